@@ -0,0 +1,88 @@
+/* eslint-disable no-restricted-globals */
+// FocusForge notification service worker.
+// Shows notifications scheduled by the page and routes notification action buttons back to the
+// timer. Only browsers with notification triggers deliver a scheduled alert once the worker is
+// stopped; elsewhere it relies on the worker staying alive, and the page shows it when it next runs.
+
+const pending = new Map(); // tag -> { timeout, resolve }, for browsers without notification triggers
+
+const supportsTriggers = () => 'showTrigger' in Notification.prototype && typeof TimestampTrigger !== 'undefined';
+
+const showNotification = ({ tag, title, body, actions = [], data = {}, renotify = true }, at = null) => {
+  const options = {
+    tag,
+    body,
+    icon: 'favicon.ico',
+    badge: 'favicon.ico',
+    renotify,
+    requireInteraction: true,
+    actions,
+    data: { ...data, tag }
+  };
+  if (at && supportsTriggers()) {
+    // eslint-disable-next-line no-undef
+    options.showTrigger = new TimestampTrigger(at);
+  }
+  return self.registration.showNotification(title, options);
+};
+
+// Cancels an alert that has not been shown yet; alerts already on screen are left alone
+const cancelNotification = async (tag) => {
+  if (pending.has(tag)) {
+    const { timeout, resolve } = pending.get(tag);
+    clearTimeout(timeout);
+    pending.delete(tag);
+    resolve(); // Lets the worker go idle instead of waiting on an alert that will never show
+  }
+  if (!supportsTriggers()) return;
+  const notifications = await self.registration.getNotifications({ tag, includeTriggered: true });
+  notifications
+    .filter(notification => notification.showTrigger && notification.showTrigger.timestamp > Date.now())
+    .forEach(notification => notification.close());
+};
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  if (message.type === 'show') {
+    event.waitUntil(showNotification(message.notification));
+  } else if (message.type === 'schedule') {
+    const { notification, at } = message;
+    event.waitUntil(cancelNotification(notification.tag).then(() => {
+      if (supportsTriggers()) return showNotification(notification, at);
+      // Without triggers the worker has to stay alive until the alert is due; browsers may
+      // still stop it early, and a stopped worker's timeout never fires.
+      return new Promise((resolve) => {
+        const timeout = setTimeout(() => {
+          pending.delete(notification.tag);
+          showNotification(notification).then(resolve, resolve);
+        }, Math.max(0, at - Date.now()));
+        pending.set(notification.tag, { timeout, resolve });
+      });
+    }));
+  } else if (message.type === 'cancel') {
+    event.waitUntil(cancelNotification(message.tag));
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const action = event.action || 'open';
+  const { tag } = event.notification.data || {};
+  event.notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+      const client = windows[0];
+      client.postMessage({ type: 'notification-action', action, tag });
+      if ('focus' in client) await client.focus();
+      return;
+    }
+    // No open window: start the app and let it pick the action up from the URL
+    const scope = self.registration.scope;
+    await self.clients.openWindow(action === 'open' ? scope : `${scope}?timerAction=${encodeURIComponent(action)}`);
+  })());
+});
@@ -0,0 +1,327 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, NeonButton } from './components/ui';
+import { onNotificationAction } from './notifications';
+import { PomodoroTimer } from './timer/PomodoroTimer';
+import { AudioMiniPlayer } from './audio/AudioService';
+import { BinauralBeats } from './audio/BinauralBeats';
+import { FocusGuides } from './pages/FocusGuides';
+import { Nootropics } from './pages/Nootropics';
+import { TimeBoxingScheduler } from './pages/TimeBoxingScheduler';
+import { TrainingHub } from './pages/TrainingHub';
+import { Progress } from './progress/Progress';
+import { Notes } from './pages/Notes';
+
+export const Dashboard = ({ userId, userEmail, db, onLogout }) => {
+  const [currentSection, setCurrentSection] = useState('plan'); // 'plan', 'act', 'review', 'library'
+  const [currentPage, setCurrentPage] = useState('scheduler'); // Default page within section
+  const [isSidebarExpanded, setIsSidebarExpanded] = useState(false);
+  const [showMobileHome, setShowMobileHome] = useState(true); // Changed to true to show menu by default
+  // Pending notification action for the Pomodoro timer, from the launch URL or the service worker
+  const [timerAction, setTimerAction] = useState(() => new URLSearchParams(window.location.search).get('timerAction'));
+
+  useEffect(() => {
+    if (timerAction) {
+      setCurrentSection('act');
+      setCurrentPage('pomodoro');
+      setShowMobileHome(false);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }, [timerAction]);
+
+  useEffect(() => onNotificationAction((action, tag) => {
+    if (action !== 'open') setTimerAction(action);
+  }), []);
+
+  const clearTimerAction = useCallback(() => setTimerAction(null), []);
+
+  const renderContent = () => {
+    switch (currentSection) {
+      case 'plan':
+        switch (currentPage) {
+          case 'scheduler':
+            return <TimeBoxingScheduler userId={userId} db={db} />;
+          default:
+            return <TimeBoxingScheduler userId={userId} db={db} />;
+        }
+      case 'act':
+        switch (currentPage) {
+          case 'pomodoro':
+            return <PomodoroTimer userId={userId} db={db} timerAction={timerAction} onTimerActionHandled={clearTimerAction} />;
+          case 'binaural':
+            return <BinauralBeats userId={userId} db={db} />;
+          default:
+            return <PomodoroTimer userId={userId} db={db} />;
+        }
+      case 'review':
+        switch (currentPage) {
+          case 'notes':
+            return <Notes userId={userId} db={db} />;
+          case 'progress':
+            return <Progress userId={userId} db={db} />;
+          default:
+            return <Notes userId={userId} db={db} />;
+        }
+      case 'library':
+        switch (currentPage) {
+          case 'guides':
+            return <FocusGuides />;
+          case 'nootropics':
+            return <Nootropics />;
+          case 'training':
+            return <TrainingHub userId={userId} db={db} />;
+          case 'admin':
+            return <AdminPanel db={db} />;
+          default:
+            return <FocusGuides />;
+        }
+      default:
+        return <TimeBoxingScheduler userId={userId} db={db} />;
+    }
+  };
+
+  // Mobile home view with sections
+  const renderMobileHome = () => {
+    const sections = [
+      { 
+        id: 'plan', 
+        label: 'Plan', 
+        icon: '◉', 
+        description: 'Schedule and organize your tasks',
+        pages: [
+          { id: 'scheduler', label: 'Scheduler', icon: '◉', description: 'Time-boxing with task management' }
+        ]
+      },
+      { 
+        id: 'act', 
+        label: 'Act', 
+        icon: '▶', 
+        description: 'Focus and productivity tools',
+        pages: [
+          { id: 'pomodoro', label: 'Pomodoro Timer', icon: '◉', description: 'Focus timer with task management' },
+          { id: 'binaural', label: 'Binaural Beats', icon: '◉', description: 'Audio-based focus enhancement' }
+        ]
+      },
+      { 
+        id: 'review', 
+        label: 'Review', 
+        icon: '◉', 
+        description: 'Track your progress and insights',
+        pages: [
+          { id: 'notes', label: 'Notes', icon: '◉', description: 'Bullet notes and daily reports' },
+          { id: 'progress', label: 'Progress', icon: '◉', description: 'Productivity charts and stats' }
+        ]
+      },
+      { 
+        id: 'library', 
+        label: 'Library', 
+        icon: '◉', 
+        description: 'Knowledge and training resources',
+        pages: [
+          { id: 'guides', label: 'Guides', icon: '◉', description: 'Productivity techniques and tips' },
+          { id: 'nootropics', label: 'Nootropics', icon: '◉', description: 'Supplement stacks for cognitive enhancement' },
+          { id: 'training', label: 'Training Hub', icon: '◉', description: 'Cognitive enhancement and flashcards' }
+        ]
+      }
+    ];
+
+    return (
+      <div className="p-4">
+        <div className="text-center mb-8">
+          <h1 className="text-4xl md:text-6xl font-extrabold text-[#FF3C00] uppercase tracking-widest mb-2">
+            FocusForge
+          </h1>
+          <p className="text-lg text-[#D1D1D1]">Choose your productivity tool</p>
+        </div>
+        <h2 className="text-2xl font-bold text-[#FF3C00] mb-6 text-center">Sections</h2>
+        <div className="grid grid-cols-1 gap-4">
+          {sections.map(section => (
+            <Card key={section.id} className="p-4 hover:border-[#FF3C00] transition-all duration-200">
+              <div className="mb-3">
+                <div className="flex items-center mb-2">
+                  <span className="text-3xl mr-4">{section.icon}</span>
+                  <div>
+                    <h3 className="text-lg font-bold text-[#FF3C00]">{section.label}</h3>
+                    <p className="text-sm text-[#D1D1D1]">{section.description}</p>
+                  </div>
+                </div>
+              </div>
+              <div className="space-y-2">
+                {section.pages.map(page => (
+                  <button
+                    key={page.id}
+                    onClick={() => {
+                      setCurrentSection(section.id);
+                      setCurrentPage(page.id);
+                      setShowMobileHome(false);
+                    }}
+                    className="w-full text-left p-2 bg-[#0F0F0F] rounded-lg hover:bg-[#1a1a1a] transition-all duration-200"
+                  >
+                    <div className="flex items-center">
+                      <span className="text-xl mr-3">{page.icon}</span>
+                      <div>
+                        <h4 className="text-sm font-semibold text-[#D1D1D1]">{page.label}</h4>
+                        <p className="text-xs text-gray-500">{page.description}</p>
+                      </div>
+                    </div>
+                  </button>
+                ))}
+              </div>
+            </Card>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="flex flex-col min-h-screen">
+      {/* Main Content Area - takes up space above bottom nav on mobile */}
+      <main className={`flex-grow p-4 md:p-8 overflow-auto pb-16 transition-all duration-300 ease-in-out ${isSidebarExpanded ? 'md:ml-64' : 'md:ml-20'}`}> {/* Added pb-16 for bottom nav space */}
+        {/* Mobile page header - only show on mobile when not in home view */}
+        {!showMobileHome && (
+          <div className="md:hidden mb-4">
+            <div className="flex items-center justify-between">
+              <h1 className="text-xl font-bold text-[#FF3C00]">
+                {currentSection === 'plan' && currentPage === 'scheduler' && '🗓️ Scheduler'}
+                {currentSection === 'act' && currentPage === 'pomodoro' && '⏰ Pomodoro Timer'}
+                {currentSection === 'act' && currentPage === 'binaural' && '🎧 Binaural Beats'}
+                {currentSection === 'review' && currentPage === 'notes' && '📝 Notes'}
+                {currentSection === 'review' && currentPage === 'progress' && '📊 Progress'}
+                {currentSection === 'library' && currentPage === 'guides' && '📖 Guides'}
+                {currentSection === 'library' && currentPage === 'nootropics' && '💊 Nootropics'}
+                {currentSection === 'library' && currentPage === 'training' && '🧠 Training Hub'}
+                {currentSection === 'library' && currentPage === 'admin' && '🛠️ Admin'}
+              </h1>
+              <button
+                onClick={() => setShowMobileHome(true)}
+                className="text-[#FF3C00] hover:text-[#FF3C00] text-lg"
+              >
+                🏠
+              </button>
+            </div>
+          </div>
+        )}
+        
+        {/* Show mobile home view or regular content */}
+        {showMobileHome ? renderMobileHome() : renderContent()}
+      </main>
+
+      {/* Sidebar Navigation - Hidden on small screens, visible on md and up */}
+      <nav
+        onMouseEnter={() => setIsSidebarExpanded(true)}
+        onMouseLeave={() => setIsSidebarExpanded(false)}
+        className={`hidden md:flex bg-[#1a1a1a] p-4 flex-col border-r border-[#333] shadow-lg fixed inset-y-0 left-0 transition-all duration-300 ease-in-out ${isSidebarExpanded ? 'w-64' : 'w-20'}`}
+      >
+        <div className={`mb-6 text-center md:text-left overflow-hidden whitespace-nowrap transition-opacity duration-300 ${isSidebarExpanded ? 'opacity-100' : 'opacity-0'}`}>
+          <h2 className="text-3xl font-extrabold text-[#FF3C00] uppercase tracking-wider">FocusForge</h2>
+          <p className="text-xs text-gray-500 mt-1">User ID: {userId}</p>
+        </div>
+        <ul className="flex flex-col space-y-4 flex-grow">
+          {/* Section Navigation */}
+          {[
+            { 
+              id: 'plan', 
+              label: 'Plan', 
+              icon: '◉',
+              pages: [
+                { id: 'scheduler', label: 'Scheduler', icon: '◉' }
+              ]
+            },
+            { 
+              id: 'act', 
+              label: 'Act', 
+              icon: '▶',
+              pages: [
+                { id: 'pomodoro', label: 'Pomodoro Timer', icon: '◉' },
+                { id: 'binaural', label: 'Binaural Beats', icon: '◉' }
+              ]
+            },
+            { 
+              id: 'review', 
+              label: 'Review', 
+              icon: '◉',
+              pages: [
+                { id: 'notes', label: 'Notes', icon: '◉' },
+                { id: 'progress', label: 'Progress', icon: '◉' }
+              ]
+            },
+            { 
+              id: 'library', 
+              label: 'Library', 
+              icon: '◉',
+              pages: [
+                { id: 'guides', label: 'Guides', icon: '◉' },
+                { id: 'nootropics', label: 'Nootropics', icon: '◉' },
+                { id: 'training', label: 'Training Hub', icon: '◉' },
+                ...(userEmail === ADMIN_EMAIL ? [{ id: 'admin', label: 'Admin', icon: '◉' }] : [])
+              ]
+            }
+          ].map(section => (
+            <li key={section.id} className="space-y-2">
+              {/* Section Header */}
+              <div className={`text-sm font-bold text-gray-500 px-2 ${isSidebarExpanded ? 'opacity-100' : 'opacity-0'}`}>
+                {section.label}
+              </div>
+              
+              {/* Section Pages */}
+              {section.pages.map(page => (
+                <button
+                  key={page.id}
+                  onClick={() => {
+                    setCurrentSection(section.id);
+                    setCurrentPage(page.id);
+                  }}
+                  className={`block w-full text-left text-base sm:text-xl py-2 px-2 rounded-br-lg transition-all duration-200
+                              ${currentSection === section.id && currentPage === page.id ? 'bg-[#FF3C00] text-white shadow-md' : 'text-[#D1D1D1] hover:bg-[#0F0F0F] hover:text-[#FF3C00]'}
+                              flex items-center`}
+                >
+                  <span className="w-8 flex-shrink-0 text-2xl text-center">
+                    {page.icon}
+                  </span>
+                  <span className={`ml-2 overflow-hidden whitespace-nowrap transition-all duration-300 ${isSidebarExpanded ? 'opacity-100 w-auto' : 'opacity-0 w-0'}`}>
+                    {page.label}
+                  </span>
+                </button>
+              ))}
+            </li>
+          ))}
+        </ul>
+        <div className="mt-8">
+          <NeonButton onClick={onLogout} className={`w-full ${isSidebarExpanded ? '' : 'opacity-0 pointer-events-none'}`}>
+            Logout
+          </NeonButton>
+        </div>
+      </nav>
+
+      {/* Bottom Navigation Bar - Visible on small screens, hidden on md and up */}
+      <nav className="fixed bottom-0 left-0 right-0 bg-[#1a1a1a] border-t border-[#333] shadow-lg flex justify-around p-2 md:hidden z-40">
+        {/* Home button - always visible */}
+        <button
+          onClick={() => setShowMobileHome(true)}
+          className="flex-1 text-center text-lg py-4 px-2 rounded-br-2xl font-extrabold transition-all duration-200 text-[#FF3C00] hover:text-[#FF3C00] bg-[#181818] shadow-md"
+        >
+          <span style={{ fontSize: '2rem', display: 'block' }}>🏠</span>
+          <span className="block text-base mt-1">Home</span>
+        </button>
+        {/* Back button - only visible when not in home view */}
+        {!showMobileHome && (
+          <button
+            onClick={() => setShowMobileHome(true)}
+            className="flex-1 text-center text-xs py-2 px-1 rounded-br-lg transition-all duration-200 text-[#D1D1D1] hover:text-[#FF3C00]"
+          >
+            ← Back
+          </button>
+        )}
+      </nav>
+
+      {/* Now-playing pill - audio keeps running while browsing other pages */}
+      <AudioMiniPlayer
+        onOpen={() => {
+          setCurrentSection('act');
+          setCurrentPage('binaural');
+          setShowMobileHome(false);
+        }}
+      />
+    </div>
+  );
+};
@@ -0,0 +1,601 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback, createContext, useContext } from 'react';
+import { doc, setDoc, collection, onSnapshot, updateDoc } from 'firebase/firestore';
+import * as Tone from 'tone'; // Import Tone.js as a namespace
+import { Modal } from '../components/ui';
+import { appId } from '../firebase';
+import { showNotification } from '../notifications';
+import { BEAT_MODES, CARRIER_WAVEFORMS, createBeatSources, scheduleBeatProgram } from './beats';
+import { AMBIENT_LAYERS, createAmbientMix, describeBackground, hasActiveLayers } from './ambient';
+import { EXPOSURE_RESET_MS, MEDIA_SESSION_ACTIONS, createMasterBus } from './masterBus';
+
+// The beat generator and soundscape live here, above the Dashboard pages, so playback survives
+// navigation and the Pomodoro timer can drive it. BinauralBeats is the UI on top of it.
+export const BINAURAL_PRESETS = [
+  { name: 'Delta (0.5-4 Hz)', beat: 2, mode: 'binaural', description: 'Deep sleep, relaxation' },
+  { name: 'Theta (4-8 Hz)', beat: 6, mode: 'binaural', description: 'Meditation, creativity, REM sleep' },
+  { name: 'Alpha (8-12 Hz)', beat: 10, mode: 'binaural', description: 'Relaxed focus, light meditation' },
+  { name: 'Beta (12-30 Hz)', beat: 20, mode: 'binaural', description: 'Alertness, concentration, active thinking' },
+  { name: 'Gamma (30-100 Hz)', beat: 40, mode: 'isochronic', description: 'Problem-solving, high-level processing' },
+];
+
+export const SESSION_LENGTHS = [0, 15, 30, 45, 60, 90]; // Minutes, 0 = play until stopped
+export const SLEEP_FADE_MINUTES = [0.5, 1, 2, 5, 10]; // Fade-out tail before the sleep timer stops playback
+export const WAKE_FADE_IN_SECONDS = 30; // Scheduled starts ease in instead of the usual 1.5 s
+
+// Shape of a preset in the binauralPresets collection and in shared JSON files
+export const isValidBinauralPreset = (preset) => (
+  preset && typeof preset.name === 'string' && preset.name.trim() !== '' &&
+  Number(preset.baseFrequency) > 0 && Number(preset.beatFrequency) > 0 &&
+  BEAT_MODES.some(mode => mode.value === preset.mode) && CARRIER_WAVEFORMS.includes(preset.waveform)
+);
+
+// Ramps a gain node from one level to another over `duration` seconds
+const fadeVolume = (node, from, to, duration = 1) => {
+  if (!node) return;
+  node.gain.cancelScheduledValues(Tone.now());
+  node.gain.setValueAtTime(from, Tone.now());
+  node.gain.linearRampToValueAtTime(to, Tone.now() + duration);
+};
+
+export const AudioServiceContext = createContext(null);
+
+export const AudioServiceProvider = ({ userId, db, children }) => {
+  const [baseFrequency, setBaseFrequency] = useState(220); // Hz
+  const [beatFrequency, setBeatFrequency] = useState(10); // Hz (e.g., Alpha wave)
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [beatMode, setBeatMode] = useState('binaural'); // 'binaural', 'isochronic' or 'monaural'
+  const [waveform, setWaveform] = useState('sine'); // Carrier waveform of the tones
+  const [selectedPresetName, setSelectedPresetName] = useState(null);
+  const [presetModes, setPresetModes] = useState({}); // Mode chosen for each preset, by preset name
+  const [beatSources, setBeatSources] = useState(null);
+  const [sessionMinutes, setSessionMinutes] = useState(0); // 0 = play until stopped
+  const [stopAt, setStopAt] = useState(null); // Epoch ms the session length runs out
+  const [sleepFadeMinutes, setSleepFadeMinutes] = useState(2);
+  const [isSleepFading, setIsSleepFading] = useState(false); // Inside the fade-out tail
+  const [startAt, setStartAt] = useState(null); // Epoch ms of a scheduled start
+  const [now, setNow] = useState(Date.now());
+  const [pendingStart, setPendingStart] = useState(false); // Restart once the current stop finishes
+  const [selectedProgram, setSelectedProgram] = useState(null); // null = constant beat
+  const [programStartedAt, setProgramStartedAt] = useState(null); // Epoch ms the running program began
+  const [gainNode, setGainNode] = useState(null);
+  const [bgAudio, setBgAudio] = useState(null);
+  const [bgGainNode, setBgGainNode] = useState(null);
+  const [mixLayers, setMixLayers] = useState({}); // layerId -> { enabled, volume, width }
+  const [bgVolume, setBgVolume] = useState(0.2);
+  const [volume, setVolume] = useState(0.3);
+  const [isFading, setIsFading] = useState(false);
+  const [isFadedOut, setIsFadedOut] = useState(false); // Silenced for a Pomodoro break, still running
+  const [pomodoroLinked, setPomodoroLinked] = useState(false); // Playback was started by the timer
+  const [listeningSession, setListeningSession] = useState(null); // { ref, startedAt } of the logged session
+  const [levelCap, setLevelCap] = useState(0.8); // Master gain ceiling for headphone safety
+  const [exposureWarningMinutes, setExposureWarningMinutes] = useState(120);
+  const [exposure, setExposure] = useState(null); // { since, stoppedAt } of continuous listening
+  const masterBusRef = useRef(null);
+  // Latest nodes and logged session, for cleanup that outlives the render it was created in
+  const liveAudioRef = useRef({});
+  liveAudioRef.current = { beatSources, gainNode, bgAudio, bgGainNode, listeningSession };
+  const [showModal, setShowModal] = useState(false);
+  const [modalContent, setModalContent] = useState({ title: '', message: '' });
+
+  const presets = useMemo(
+    () => BINAURAL_PRESETS.map(preset => ({ ...preset, mode: presetModes[preset.name] || preset.mode })),
+    [presetModes]
+  );
+
+  useEffect(() => {
+    // Clean up oscillators and audio when the Dashboard goes away. There is nothing left to fade
+    // for, so the nodes from the last render are disposed straight away.
+    return () => {
+      const { beatSources, gainNode, bgAudio, bgGainNode, listeningSession } = liveAudioRef.current;
+      updateListeningSession(listeningSession);
+      [beatSources, gainNode, bgAudio, bgGainNode].forEach(node => node && node.dispose());
+      // Only once nothing feeds it any more
+      if (masterBusRef.current) {
+        masterBusRef.current.dispose();
+        masterBusRef.current = null;
+      }
+      if ('mediaSession' in navigator) {
+        MEDIA_SESSION_ACTIONS.forEach(action => {
+          try {
+            navigator.mediaSession.setActionHandler(action, null);
+          } catch (e) {
+            // Action not supported by this browser
+          }
+        });
+        navigator.mediaSession.metadata = null;
+      }
+    };
+    // eslint-disable-next-line
+  }, []);
+
+  const safetySettingsRef = useMemo(
+    () => userId && doc(db, `artifacts/${appId}/users/${userId}/audioSettings/safety`),
+    [db, userId]
+  );
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(safetySettingsRef, (docSnap) => {
+      if (!docSnap.exists()) return;
+      const settings = docSnap.data();
+      setLevelCap(settings.levelCap ?? 0.8);
+      setExposureWarningMinutes(settings.exposureWarningMinutes ?? 120);
+    }, (error) => {
+      console.error("Error fetching audio safety settings:", error);
+    });
+
+    return () => unsubscribe();
+  }, [userId, safetySettingsRef]);
+
+  // The mode picked for each built-in preset follows the user across devices
+  const beatSettingsRef = useMemo(
+    () => userId && doc(db, `artifacts/${appId}/users/${userId}/audioSettings/beats`),
+    [db, userId]
+  );
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(beatSettingsRef, (docSnap) => {
+      if (!docSnap.exists()) return;
+      setPresetModes(docSnap.data().presetModes || {});
+    }, (error) => {
+      console.error("Error fetching beat settings:", error);
+    });
+
+    return () => unsubscribe();
+  }, [userId, beatSettingsRef]);
+
+  const updateSafetySettings = (changes) => {
+    if (changes.levelCap !== undefined) setLevelCap(changes.levelCap);
+    if (changes.exposureWarningMinutes !== undefined) setExposureWarningMinutes(changes.exposureWarningMinutes);
+    if (safetySettingsRef) {
+      setDoc(safetySettingsRef, changes, { merge: true })
+        .catch(e => console.error("Error saving audio safety settings:", e));
+    }
+  };
+
+  // Created on first playback and kept for the lifetime of the provider
+  const getMasterBus = useCallback(() => {
+    if (!masterBusRef.current) masterBusRef.current = createMasterBus(levelCap);
+    return masterBusRef.current;
+  }, [levelCap]);
+
+  // Helper: Resume audio context on user gesture
+  const resumeAudioContext = async () => {
+    if (Tone.context.state !== 'running') {
+      await Tone.context.resume();
+    }
+  };
+
+  // Helper: Create background sound
+  const createBgSound = useCallback((layers) => {
+    const gain = new Tone.Gain(bgVolume).connect(getMasterBus().input);
+    const player = createAmbientMix(layers, gain);
+    return { player, gain };
+  }, [bgVolume, getMasterBus]);
+
+  // Each start-to-stop run is logged so Progress can relate audio setups to focus scores.
+  // pomodoroSessionId names the Pomodoro that started it, so Progress need not match on time.
+  const openListeningSession = ({ presetName, program, mode, beat, linked, pomodoroSessionId }) => {
+    if (!userId) return;
+    const preset = BINAURAL_PRESETS.find(p => p.name === presetName);
+    const startedAt = Date.now();
+    const ref = doc(collection(db, `artifacts/${appId}/users/${userId}/binauralSessions`));
+    setDoc(ref, {
+      startTime: new Date(startedAt),
+      endTime: new Date(startedAt),
+      durationMinutes: 0,
+      // Built-in bands only count while the beat still matches; library presets keep their name
+      label: program ? program.name : (preset ? (preset.beat === beat ? preset.name : `Custom ${beat} Hz`) : (presetName || `Custom ${beat} Hz`)),
+      presetName: program ? null : (presetName || null),
+      programId: program ? program.id : null,
+      baseFrequency,
+      beatFrequency: beat,
+      mode,
+      background: describeBackground(mixLayers),
+      backgroundLayers: AMBIENT_LAYERS.filter(layer => mixLayers[layer.id] && mixLayers[layer.id].enabled).map(layer => layer.id),
+      pomodoroLinked: linked,
+      pomodoroSessionId: pomodoroSessionId || null
+    }).catch(e => console.error("Error logging listening session:", e));
+    setListeningSession({ ref, startedAt });
+  };
+
+  const updateListeningSession = (session) => {
+    if (!session) return;
+    updateDoc(session.ref, {
+      endTime: new Date(),
+      durationMinutes: Math.round((Date.now() - session.startedAt) / 6000) / 10
+    }).catch(e => console.error("Error updating listening session:", e));
+  };
+
+  // overrides.mode/beat/program/presetName/pomodoroLinked let callers restart with new settings
+  // before state has updated; overrides.fadeInSeconds lengthens the fade-in and
+  // overrides.pomodoroSessionId ties the logged session to the Pomodoro that started it
+  const startBeats = async (overrides = {}) => {
+    setIsFading(true);
+    try {
+      await resumeAudioContext();
+      if (beatSources) beatSources.dispose();
+      if (gainNode) gainNode.dispose();
+      if (bgAudio) bgAudio.dispose();
+      if (bgGainNode) bgGainNode.dispose();
+
+      // Main beat tones
+      const gain = new Tone.Gain(0).connect(getMasterBus().input);
+      const program = overrides.program !== undefined ? overrides.program : selectedProgram;
+      const beat = overrides.beat ?? beatFrequency;
+      const sources = createBeatSources(overrides.mode || beatMode, baseFrequency, program ? program.startBeat : beat, gain, waveform);
+      if (program) {
+        scheduleBeatProgram(sources, program, baseFrequency, Tone.now());
+        setProgramStartedAt(Date.now());
+      }
+      setBeatSources(sources);
+      setGainNode(gain);
+      // Fade in
+      fadeVolume(gain, 0, volume, overrides.fadeInSeconds || 1.5);
+
+      // Background sound
+      let bg = null, bgGain = null;
+      if (hasActiveLayers(mixLayers)) {
+        const { player, gain: g } = createBgSound(mixLayers);
+        bg = player;
+        bgGain = g;
+        fadeVolume(bgGain, 0, bgVolume, overrides.fadeInSeconds || 2);
+        setBgAudio(bg);
+        setBgGainNode(bgGain);
+      }
+      getMasterBus().setBackgroundPlayback(true)
+        .catch(e => console.error("Error routing audio for background playback:", e));
+      setIsFadedOut(false);
+      setIsPlaying(true);
+      setStopAt(sessionMinutes ? Date.now() + sessionMinutes * 60 * 1000 : null);
+      // Restarts and short pauses do not reset the exposure clock
+      setExposure(prev => prev && (!prev.stoppedAt || Date.now() - prev.stoppedAt < EXPOSURE_RESET_MS)
+        ? { since: prev.since, stoppedAt: null }
+        : { since: Date.now(), stoppedAt: null });
+      openListeningSession({
+        presetName: overrides.presetName !== undefined ? overrides.presetName : selectedPresetName,
+        program,
+        mode: overrides.mode || beatMode,
+        beat,
+        linked: overrides.pomodoroLinked ?? pomodoroLinked,
+        pomodoroSessionId: overrides.pomodoroSessionId
+      });
+      setTimeout(() => setIsFading(false), 1600);
+    } catch (error) {
+      setIsFading(false);
+      console.error('Error starting binaural beats:', error);
+      setModalContent({ title: 'Audio Error', message: 'Failed to start audio. Please ensure your browser allows audio playback and try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const stopBeats = () => {
+    setIsFading(true);
+    updateListeningSession(listeningSession);
+    setListeningSession(null);
+    setExposure(prev => prev && { ...prev, stoppedAt: Date.now() });
+    // Fade from the current level, which may already be lowered for a break
+    if (gainNode) fadeVolume(gainNode, gainNode.gain.value, 0, 1.2);
+    if (bgGainNode) fadeVolume(bgGainNode, bgGainNode.gain.value, 0, 1.2);
+    setTimeout(() => {
+      if (beatSources) beatSources.dispose();
+      if (gainNode) gainNode.dispose();
+      if (bgAudio) bgAudio.dispose();
+      if (bgGainNode) bgGainNode.dispose();
+      setBeatSources(null);
+      setProgramStartedAt(null);
+      setStopAt(null);
+      setIsSleepFading(false);
+      setGainNode(null);
+      setBgAudio(null);
+      setBgGainNode(null);
+      if (masterBusRef.current) {
+        masterBusRef.current.setBackgroundPlayback(false)
+          .catch(e => console.error("Error routing audio for background playback:", e));
+      }
+      setIsPlaying(false);
+      setIsFadedOut(false);
+      setIsFading(false);
+    }, 1300);
+  };
+
+  // startOverrides are passed on to startBeats when playback restarts
+  const setPreset = (preset, startOverrides = {}) => {
+    setBeatFrequency(preset.beat);
+    setBeatMode(preset.mode);
+    setSelectedPresetName(preset.name);
+    setSelectedProgram(null);
+    if (isPlaying) {
+      stopBeats();
+      setTimeout(() => startBeats({ mode: preset.mode, beat: preset.beat, program: null, presetName: preset.name, ...startOverrides }), 1400);
+    }
+  };
+
+  // Re-arms the sleep timer; while playing it counts from now and undoes a fade already under way
+  const changeSessionMinutes = (minutes) => {
+    setSessionMinutes(minutes);
+    if (!isPlaying) return;
+    setStopAt(minutes ? Date.now() + minutes * 60 * 1000 : null);
+    if (isSleepFading) {
+      fadeVolume(gainNode, gainNode.gain.value, volume, 1);
+      if (bgGainNode) fadeVolume(bgGainNode, bgGainNode.gain.value, bgVolume, 1);
+      setIsSleepFading(false);
+    }
+  };
+
+  // Resuming the context now, from the click, lets the later start play without a user gesture
+  const scheduleStart = async (time) => {
+    await resumeAudioContext();
+    setStartAt(time);
+  };
+
+  // Loads a preset from the user's library. Unlike the bands it carries base frequency, volumes and
+  // background, so playback restarts from fresh state once the stop has finished.
+  const applyCustomPreset = (preset) => {
+    setBaseFrequency(preset.baseFrequency);
+    setBeatFrequency(preset.beatFrequency);
+    setBeatMode(preset.mode);
+    setWaveform(preset.waveform);
+    setVolume(preset.volume ?? volume);
+    setBgVolume(preset.bgVolume ?? bgVolume);
+    setMixLayers(preset.layers || {});
+    setSessionMinutes(preset.durationMinutes || 0);
+    setSelectedPresetName(preset.name);
+    setSelectedProgram(null);
+    if (isPlaying) {
+      stopBeats();
+      setPendingStart(true);
+    }
+  };
+
+  // Steps through the built-in bands; direction is 1 (next) or -1 (previous)
+  const cyclePreset = (direction) => {
+    const index = presets.findIndex(p => p.name === selectedPresetName);
+    const next = index === -1
+      ? presets[direction > 0 ? 0 : presets.length - 1]
+      : presets[(index + direction + presets.length) % presets.length];
+    setPreset(next);
+  };
+
+  // The mode is remembered on the selected preset
+  const changeBeatMode = (mode) => {
+    setBeatMode(mode);
+    if (!selectedPresetName) return;
+    const nextModes = { ...presetModes, [selectedPresetName]: mode };
+    setPresetModes(nextModes);
+    if (beatSettingsRef) {
+      setDoc(beatSettingsRef, { presetModes: nextModes }, { merge: true })
+        .catch(e => console.error("Error saving beat settings:", e));
+    }
+  };
+
+  const updateLayer = (id, changes) => {
+    setMixLayers(prev => ({
+      ...prev,
+      [id]: { enabled: false, volume: 0.5, width: 0.7, ...prev[id], ...changes }
+    }));
+  };
+
+  // Selects a preset and makes sure it is audible, starting playback if needed
+  const playPreset = (preset, startOverrides = {}) => {
+    if (isPlaying) {
+      setPreset(preset, startOverrides);
+      return;
+    }
+    setBeatFrequency(preset.beat);
+    setBeatMode(preset.mode);
+    setSelectedPresetName(preset.name);
+    setSelectedProgram(null);
+    startBeats({ mode: preset.mode, beat: preset.beat, program: null, presetName: preset.name, ...startOverrides });
+  };
+
+  // Pomodoro lifecycle. Only playback the timer started on this device is touched.
+  const onPomodoroFocus = (presetName, pomodoroSessionId) => {
+    const preset = presets.find(p => p.name === presetName);
+    if (!preset) return;
+    setPomodoroLinked(true);
+    playPreset(preset, { pomodoroLinked: true, pomodoroSessionId });
+  };
+
+  // breakAudio is 'relax' (switch to relaxPresetName) or 'fade' (fade out, keep the graph running)
+  const onPomodoroBreak = (breakAudio, relaxPresetName) => {
+    if (!pomodoroLinked || !isPlaying) return;
+    const relaxPreset = presets.find(p => p.name === relaxPresetName);
+    if (breakAudio === 'relax' && relaxPreset) {
+      setPreset(relaxPreset, { pomodoroLinked: true });
+    } else {
+      fadeVolume(gainNode, gainNode.gain.value, 0, 3);
+      if (bgGainNode) fadeVolume(bgGainNode, bgGainNode.gain.value, 0, 3);
+      setIsFadedOut(true);
+    }
+  };
+
+  const onPomodoroCycleEnd = () => {
+    if (!pomodoroLinked) return;
+    setPomodoroLinked(false);
+    if (isPlaying) stopBeats();
+  };
+
+  // Keep the end time of the logged session current, so a closed tab loses at most a minute
+  useEffect(() => {
+    if (!listeningSession) return;
+    const interval = setInterval(() => updateListeningSession(listeningSession), 60 * 1000);
+    return () => clearInterval(interval);
+  }, [listeningSession]);
+
+  // Latest start and stop, for the effects that run them off state changes and the clock
+  const playbackRef = useRef(null);
+  playbackRef.current = { startBeats, stopBeats };
+
+  useEffect(() => {
+    if (pendingStart && !isPlaying && !isFading) {
+      setPendingStart(false);
+      playbackRef.current.startBeats();
+    }
+  }, [pendingStart, isPlaying, isFading]);
+
+  useEffect(() => {
+    if (masterBusRef.current) masterBusRef.current.setLevelCap(levelCap);
+  }, [levelCap]);
+
+  // Media Session: what the lock screen and notification shade show
+  useEffect(() => {
+    if (!('mediaSession' in navigator)) return;
+    const preset = presets.find(p => p.name === selectedPresetName);
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title: selectedProgram ? selectedProgram.name : (selectedPresetName || `${beatFrequency} Hz Beat`),
+      artist: preset ? preset.description : `${baseFrequency} Hz carrier · ${beatMode}`,
+      album: 'FocusForge Binaural Beats'
+    });
+    navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+  }, [presets, selectedPresetName, selectedProgram, beatFrequency, baseFrequency, beatMode, isPlaying]);
+
+  // Handlers are re-registered every render so they always see the current state
+  useEffect(() => {
+    if (!('mediaSession' in navigator)) return;
+    const handlers = {
+      play: () => { if (!isPlaying && !isFading) startBeats(); },
+      pause: () => { if (isPlaying && !isFading) stopBeats(); },
+      stop: () => { if (isPlaying && !isFading) stopBeats(); },
+      nexttrack: () => cyclePreset(1),
+      previoustrack: () => cyclePreset(-1)
+    };
+    MEDIA_SESSION_ACTIONS.forEach(action => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handlers[action]);
+      } catch (e) {
+        // Action not supported by this browser
+      }
+    });
+  });
+
+  // Long-session exposure warning, repeated every interval while listening continues
+  useEffect(() => {
+    if (!exposure || exposure.stoppedAt || !exposureWarningMinutes) return;
+    const timeout = setTimeout(() => {
+      const minutes = Math.round((Date.now() - exposure.since) / 60000);
+      const message = `You have been listening for ${minutes} minutes. Rest your ears for a few minutes or lower the volume.`;
+      setModalContent({ title: 'Time for an Ear Break', message });
+      setShowModal(true);
+      if ('Notification' in window && Notification.permission === 'granted') {
+        showNotification({ title: 'Time for an Ear Break', body: message, tag: 'listening-exposure' });
+      }
+      setExposure({ since: Date.now(), stoppedAt: null });
+    }, Math.max(0, exposure.since + exposureWarningMinutes * 60 * 1000 - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [exposure, exposureWarningMinutes]);
+
+  // Sleep timer and scheduled start run off a one-second clock
+  useEffect(() => {
+    if (!stopAt && !startAt) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [stopAt, startAt]);
+
+  // Fade out over the tail, then stop, which releases the Tone nodes
+  useEffect(() => {
+    if (!stopAt || !isPlaying || isFading) return;
+    if (now >= stopAt) {
+      playbackRef.current.stopBeats();
+    } else if (!isSleepFading && !isFadedOut && now >= stopAt - sleepFadeMinutes * 60 * 1000) {
+      const seconds = (stopAt - now) / 1000;
+      fadeVolume(gainNode, gainNode.gain.value, 0, seconds);
+      if (bgGainNode) fadeVolume(bgGainNode, bgGainNode.gain.value, 0, seconds);
+      setIsSleepFading(true);
+    }
+  }, [now, stopAt, isPlaying, isFading, isSleepFading, isFadedOut, sleepFadeMinutes, gainNode, bgGainNode]);
+
+  useEffect(() => {
+    if (!startAt || now < startAt) return;
+    setStartAt(null);
+    if (!isPlaying && !isFading) playbackRef.current.startBeats({ fadeInSeconds: WAKE_FADE_IN_SECONDS });
+  }, [now, startAt, isPlaying, isFading]);
+
+  useEffect(() => {
+    if (beatSources) beatSources.setWaveform(waveform);
+  }, [waveform, beatSources]);
+
+  // Update frequencies if playing; a running program owns the beat automation
+  useEffect(() => {
+    if (isPlaying && beatSources && !programStartedAt) {
+      beatSources.setFrequencies(baseFrequency, beatFrequency);
+    }
+  }, [baseFrequency, beatFrequency, isPlaying, beatSources, programStartedAt]);
+
+  // Update volumes if changed
+  useEffect(() => {
+    if (gainNode) gainNode.gain.value = volume;
+  }, [volume, gainNode]);
+  useEffect(() => {
+    if (bgGainNode) bgGainNode.gain.value = bgVolume;
+  }, [bgVolume, bgGainNode]);
+  // Mixer changes apply live; the first layer enabled mid-session brings the background in
+  useEffect(() => {
+    if (bgAudio) {
+      bgAudio.update(mixLayers);
+    } else if (isPlaying && !isFading && hasActiveLayers(mixLayers)) {
+      const { player, gain } = createBgSound(mixLayers);
+      fadeVolume(gain, 0, isFadedOut ? 0 : bgVolume, 2);
+      setBgAudio(player);
+      setBgGainNode(gain);
+    }
+  }, [mixLayers, bgAudio, isPlaying, isFading, isFadedOut, bgVolume, createBgSound]);
+
+  const audio = {
+    baseFrequency, setBaseFrequency,
+    beatFrequency, setBeatFrequency,
+    beatMode, changeBeatMode,
+    waveform, setWaveform,
+    presets, selectedPresetName, setPreset, applyCustomPreset,
+    selectedProgram, setSelectedProgram, programStartedAt,
+    sessionMinutes, changeSessionMinutes, stopAt,
+    sleepFadeMinutes, setSleepFadeMinutes, isSleepFading,
+    startAt, scheduleStart, setStartAt,
+    mixLayers, setMixLayers, updateLayer,
+    volume, setVolume,
+    bgVolume, setBgVolume,
+    levelCap, exposureWarningMinutes, updateSafetySettings,
+    masterBus: masterBusRef.current,
+    isPlaying, isFading, isFadedOut, pomodoroLinked,
+    startBeats, stopBeats, resumeAudioContext, fadeVolume,
+    onPomodoroFocus, onPomodoroBreak, onPomodoroCycleEnd
+  };
+
+  return (
+    <AudioServiceContext.Provider value={audio}>
+      {children}
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title={modalContent.title}
+        message={modalContent.message}
+      />
+    </AudioServiceContext.Provider>
+  );
+};
+
+// Floating control so playback started elsewhere can be stopped from any page
+export const AudioMiniPlayer = ({ onOpen }) => {
+  const audio = useContext(AudioServiceContext);
+  if (!audio || !audio.isPlaying) return null;
+
+  return (
+    <div className="fixed bottom-20 md:bottom-6 right-6 z-40 flex items-center gap-2 bg-[#1a1a1a] border border-[#333] rounded-full px-4 py-2 shadow-lg">
+      <button onClick={onOpen} className="text-sm text-[#D1D1D1] hover:text-[#FF3C00]">
+        🎧 {audio.selectedProgram ? audio.selectedProgram.name : (audio.selectedPresetName || `${audio.beatFrequency} Hz`)}
+        {audio.isFadedOut && <span className="text-gray-500 ml-1">(break)</span>}
+      </button>
+      <button
+        onClick={audio.stopBeats}
+        className="text-sm text-[#D1D1D1] hover:text-red-500"
+        disabled={audio.isFading}
+        title="Stop"
+      >
+        ⏹️
+      </button>
+    </div>
+  );
+};
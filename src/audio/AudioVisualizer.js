@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as Tone from 'tone'; // Import Tone.js as a namespace
+
+// Live view of the master bus: left channel on top, right below
+export const AudioVisualizer = ({ masterBus, isPlaying }) => {
+  const canvasRef = useRef(null);
+  const [view, setView] = useState('waveform'); // 'waveform' or 'spectrum'
+  const [peakDb, setPeakDb] = useState(-Infinity);
+  const [isLimiting, setIsLimiting] = useState(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !masterBus || !isPlaying) return;
+    const context = canvas.getContext('2d');
+    let frame;
+    let lastMeterUpdate = 0;
+
+    const draw = (time) => {
+      const { width, height } = canvas;
+      const laneHeight = height / 2;
+      context.fillStyle = '#0F0F0F';
+      context.fillRect(0, 0, width, height);
+      let peak = 0;
+
+      [['left', '#FF3C00'], ['right', '#D1D1D1']].forEach(([channel, color], lane) => {
+        const waveform = masterBus.analysers[channel].waveform.getValue();
+        waveform.forEach(value => { peak = Math.max(peak, Math.abs(value)); });
+        const values = view === 'waveform' ? waveform : masterBus.analysers[channel].spectrum.getValue();
+
+        context.strokeStyle = color;
+        context.lineWidth = 1.5;
+        context.beginPath();
+        values.forEach((value, i) => {
+          // Spectrum bins are spread on a log axis so the low tones are not squashed into one pixel
+          const x = view === 'waveform'
+            ? (i / (values.length - 1)) * width
+            : (Math.log(i + 1) / Math.log(values.length)) * width;
+          const level = view === 'waveform' ? (value + 1) / 2 : Math.min(1, Math.max(0, (value + 100) / 100));
+          const y = lane * laneHeight + (1 - level) * laneHeight;
+          if (i === 0) context.moveTo(x, y);
+          else context.lineTo(x, y);
+        });
+        context.stroke();
+        context.fillStyle = color;
+        context.fillText(lane === 0 ? 'L' : 'R', 4, lane * laneHeight + 12);
+      });
+
+      if (time - lastMeterUpdate > 250) {
+        setPeakDb(Tone.gainToDb(peak));
+        setIsLimiting(masterBus.limiter.reduction < -0.5);
+        lastMeterUpdate = time;
+      }
+      frame = requestAnimationFrame(draw);
+    };
+
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [masterBus, isPlaying, view]);
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        {['waveform', 'spectrum'].map(option => (
+          <button
+            key={option}
+            onClick={() => setView(option)}
+            className={`px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 capitalize
+              ${view === option ? 'bg-[#FF3C00] text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+          >
+            {option}
+          </button>
+        ))}
+        {isPlaying && (
+          <span className={`ml-auto text-xs ${isLimiting ? 'text-red-400' : 'text-gray-500'}`}>
+            Peak {Number.isFinite(peakDb) ? `${peakDb.toFixed(1)} dBFS` : '-∞'}{isLimiting && ' · limiting'}
+          </span>
+        )}
+      </div>
+      <canvas ref={canvasRef} width={600} height={140} className="w-full h-32 rounded-lg border border-[#333] bg-[#0F0F0F]" />
+    </div>
+  );
+};
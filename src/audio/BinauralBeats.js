@@ -0,0 +1,982 @@
+import React, { useState, useEffect, useMemo, useContext } from 'react';
+import { doc, collection, query, onSnapshot, deleteDoc, updateDoc, addDoc } from 'firebase/firestore';
+import * as Tone from 'tone'; // Import Tone.js as a namespace
+import { Card, Modal, NeonButton } from '../components/ui';
+import { appId } from '../firebase';
+import { BEAT_MODES, BEAT_PROGRAMS, CARRIER_WAVEFORMS, PROGRAM_CURVES, getProgramBeatAt, getProgramMinutes, isValidBeatProgram, normalizeBeatProgram } from './beats';
+import { AMBIENT_LAYERS, describeBackground, hasActiveLayers } from './ambient';
+import { EXPOSURE_WARNING_MINUTES, MASTER_LIMIT_DB } from './masterBus';
+import { AudioVisualizer } from './AudioVisualizer';
+import { EXPORT_LENGTHS, EXPORT_MAX_MINUTES, encodeWav, exportMemoryBytes, renderBeatsOffline } from './exportWav';
+import { AudioServiceContext, SESSION_LENGTHS, SLEEP_FADE_MINUTES, WAKE_FADE_IN_SECONDS, isValidBinauralPreset } from './AudioService';
+import { clamp } from '../flashcards/schedulers';
+
+export const BinauralBeats = ({ userId, db }) => {
+  const {
+    baseFrequency, setBaseFrequency,
+    beatFrequency, setBeatFrequency,
+    beatMode, changeBeatMode,
+    waveform, setWaveform,
+    presets, selectedPresetName, setPreset, applyCustomPreset,
+    selectedProgram, setSelectedProgram, programStartedAt,
+    sessionMinutes, changeSessionMinutes, stopAt,
+    sleepFadeMinutes, setSleepFadeMinutes, isSleepFading,
+    startAt, scheduleStart, setStartAt,
+    mixLayers, setMixLayers, updateLayer,
+    volume, setVolume,
+    bgVolume, setBgVolume,
+    levelCap, exposureWarningMinutes, updateSafetySettings,
+    masterBus,
+    isPlaying, isFading,
+    startBeats, stopBeats, resumeAudioContext
+  } = useContext(AudioServiceContext);
+  const [headphoneCheck, setHeadphoneCheck] = useState(null); // 'left' | 'right' while the check plays
+  const [savedPrograms, setSavedPrograms] = useState([]);
+  const [programNow, setProgramNow] = useState(Date.now());
+  const [showProgramEditor, setShowProgramEditor] = useState(false);
+  const [draftProgram, setDraftProgram] = useState({ name: '', startBeat: 10, segments: [{ to: 10, minutes: 10, curve: 'linear' }] });
+  const [programJson, setProgramJson] = useState(''); // Import box for shared programs
+  const [savedMixes, setSavedMixes] = useState([]);
+  const [newMixName, setNewMixName] = useState('');
+  const [startTime, setStartTime] = useState('07:00'); // 'HH:MM' for the scheduled start
+  const [customPresets, setCustomPresets] = useState([]);
+  const [newPresetName, setNewPresetName] = useState('');
+  const [exportMinutes, setExportMinutes] = useState(10);
+  const [isExporting, setIsExporting] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [modalContent, setModalContent] = useState({ title: '', message: '' });
+
+  const programsCollectionRef = useMemo(() => collection(db, `artifacts/${appId}/users/${userId}/binauralPrograms`), [db, userId]);
+  const allPrograms = [...BEAT_PROGRAMS, ...savedPrograms];
+
+  const mixesCollectionRef = useMemo(() => collection(db, `artifacts/${appId}/users/${userId}/ambientMixes`), [db, userId]);
+
+  const presetsCollectionRef = useMemo(() => collection(db, `artifacts/${appId}/users/${userId}/binauralPresets`), [db, userId]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(query(presetsCollectionRef), (snapshot) => {
+      const saved = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      saved.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+      setCustomPresets(saved);
+    }, (error) => {
+      console.error("Error fetching binaural presets:", error);
+    });
+
+    return () => unsubscribe();
+  }, [userId, presetsCollectionRef]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(query(programsCollectionRef), (snapshot) => {
+      const programs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      programs.sort((a, b) => a.name.localeCompare(b.name));
+      setSavedPrograms(programs);
+    }, (error) => {
+      console.error("Error fetching beat programs:", error);
+    });
+
+    return () => unsubscribe();
+  }, [userId, programsCollectionRef]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(query(mixesCollectionRef), (snapshot) => {
+      const mixes = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      mixes.sort((a, b) => a.name.localeCompare(b.name));
+      setSavedMixes(mixes);
+    }, (error) => {
+      console.error("Error fetching ambient mixes:", error);
+    });
+
+    return () => unsubscribe();
+  }, [userId, mixesCollectionRef]);
+
+  // Re-render the program progress once a second while it runs
+  useEffect(() => {
+    if (!programStartedAt) return;
+    const interval = setInterval(() => setProgramNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [programStartedAt]);
+
+  const addDraftSegment = () => {
+    const last = draftProgram.segments[draftProgram.segments.length - 1];
+    setDraftProgram({ ...draftProgram, segments: [...draftProgram.segments, { to: last.to, minutes: 5, curve: 'linear' }] });
+  };
+
+  const updateDraftSegment = (index, changes) => {
+    setDraftProgram({
+      ...draftProgram,
+      segments: draftProgram.segments.map((segment, i) => (i === index ? { ...segment, ...changes } : segment))
+    });
+  };
+
+  const removeDraftSegment = (index) => {
+    setDraftProgram({ ...draftProgram, segments: draftProgram.segments.filter((_, i) => i !== index) });
+  };
+
+  const saveProgram = async (program) => {
+    if (!isValidBeatProgram(program)) {
+      setModalContent({ title: 'Input Error', message: 'A program needs a name, a start beat and at least one segment with positive values.' });
+      setShowModal(true);
+      return;
+    }
+    const saved = normalizeBeatProgram(program);
+    try {
+      const programRef = await addDoc(programsCollectionRef, { ...saved, createdAt: new Date() });
+      setSelectedProgram({ id: programRef.id, ...saved });
+      setShowProgramEditor(false);
+    } catch (e) {
+      console.error("Error saving beat program:", e);
+      setModalContent({ title: 'Error', message: 'Failed to save program. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const deleteProgram = async (programId) => {
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/binauralPrograms`, programId));
+      setSelectedProgram(null);
+    } catch (e) {
+      console.error("Error deleting beat program:", e);
+      setModalContent({ title: 'Error', message: 'Failed to delete program. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  // Copies the program as JSON so it can be pasted into a teammate's import box
+  const shareProgram = async (program) => {
+    const { name, startBeat, segments } = program;
+    try {
+      await navigator.clipboard.writeText(JSON.stringify({ name, startBeat, segments }, null, 2));
+      setModalContent({ title: 'Program Copied', message: `"${name}" was copied to your clipboard as JSON.` });
+    } catch (e) {
+      console.error("Error copying beat program:", e);
+      setModalContent({ title: 'Error', message: 'Failed to copy program. Please try again.' });
+    }
+    setShowModal(true);
+  };
+
+  const importProgram = () => {
+    try {
+      saveProgram(JSON.parse(programJson));
+      setProgramJson('');
+    } catch (e) {
+      setModalContent({ title: 'Input Error', message: 'That is not valid program JSON.' });
+      setShowModal(true);
+    }
+  };
+
+  // Plays a tone in the left ear, then the right, to confirm headphones are on the right way round
+  const runHeadphoneCheck = async () => {
+    await resumeAudioContext();
+    const gain = new Tone.Gain(0.3).toDestination();
+    const panner = new Tone.Panner(-1).connect(gain);
+    const tone = new Tone.Oscillator(440, 'sine').connect(panner);
+    tone.volume.value = -10;
+    tone.start();
+    setHeadphoneCheck('left');
+    setTimeout(() => {
+      panner.pan.value = 1;
+      setHeadphoneCheck('right');
+    }, 1500);
+    setTimeout(() => {
+      tone.stop();
+      [tone, panner, gain].forEach(node => node.dispose());
+      setHeadphoneCheck(null);
+    }, 3000);
+  };
+
+  // Renders the current settings to a WAV download, entirely in the browser
+  const exportAudio = async () => {
+    setIsExporting(true);
+    try {
+      const buffer = await renderBeatsOffline({
+        mode: beatMode,
+        waveform,
+        baseFrequency,
+        beatFrequency,
+        program: selectedProgram,
+        layers: mixLayers,
+        volume,
+        bgVolume
+      }, exportMinutes);
+      const blob = encodeWav(buffer);
+      const label = selectedProgram ? selectedProgram.name : `${baseFrequency}hz-${beatFrequency}hz-${beatMode}-${waveform}`;
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `focusforge_${label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}_${exportMinutes}min.wav`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error("Error exporting audio:", e);
+      setModalContent({ title: 'Error', message: 'Failed to export audio. Try a shorter length and try again.' });
+      setShowModal(true);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Next occurrence of the chosen wall-clock time
+  const scheduleStartAt = () => {
+    const [hours, mins] = startTime.split(':').map(Number);
+    const time = new Date();
+    time.setHours(hours, mins, 0, 0);
+    if (time.getTime() <= Date.now()) time.setDate(time.getDate() + 1);
+    scheduleStart(time.getTime());
+  };
+
+  // Stored fields of a preset, shared by saving and JSON import/export. Levels are kept to the
+  // sliders' 0-1 range and layers to the soundscapes this version knows, so imported files can't
+  // carry anything the player would not produce itself.
+  const presetFields = (preset) => {
+    const level = (value, fallback) => {
+      const number = Number(value ?? fallback);
+      return Number.isFinite(number) ? clamp(number, 0, 1) : fallback;
+    };
+    const layers = preset.layers || {};
+    return {
+      name: preset.name.trim(),
+      baseFrequency: Number(preset.baseFrequency),
+      beatFrequency: Number(preset.beatFrequency),
+      mode: preset.mode,
+      waveform: preset.waveform,
+      volume: level(preset.volume, 0.3),
+      bgVolume: level(preset.bgVolume, 0.2),
+      layers: Object.fromEntries(AMBIENT_LAYERS.filter(layer => layers[layer.id]).map(layer => [layer.id, {
+        enabled: !!layers[layer.id].enabled,
+        volume: level(layers[layer.id].volume, 0.5),
+        width: level(layers[layer.id].width, 0.7)
+      }])),
+      durationMinutes: Number(preset.durationMinutes) || 0
+    };
+  };
+
+  const savePreset = async () => {
+    if (newPresetName.trim() === '') {
+      setModalContent({ title: 'Input Error', message: 'Please name the preset.' });
+      setShowModal(true);
+      return;
+    }
+    try {
+      const nextOrder = customPresets.reduce((max, preset) => Math.max(max, preset.order ?? 0), 0) + 1;
+      await addDoc(presetsCollectionRef, {
+        ...presetFields({
+          name: newPresetName, baseFrequency, beatFrequency, mode: beatMode, waveform,
+          volume, bgVolume, layers: mixLayers, durationMinutes: sessionMinutes
+        }),
+        favorite: false,
+        order: nextOrder,
+        createdAt: new Date()
+      });
+      setNewPresetName('');
+    } catch (e) {
+      console.error("Error saving binaural preset:", e);
+      setModalContent({ title: 'Error', message: 'Failed to save preset. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const toggleFavoritePreset = async (preset) => {
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/binauralPresets`, preset.id), { favorite: !preset.favorite });
+    } catch (e) {
+      console.error("Error updating binaural preset:", e);
+      setModalContent({ title: 'Error', message: 'Failed to update preset. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  // Swaps a preset with its neighbour; direction is -1 (up) or 1 (down)
+  const movePreset = async (index, direction) => {
+    const other = customPresets[index + direction];
+    if (!other) return;
+    const preset = customPresets[index];
+    try {
+      await Promise.all([
+        updateDoc(doc(db, `artifacts/${appId}/users/${userId}/binauralPresets`, preset.id), { order: other.order ?? index + direction }),
+        updateDoc(doc(db, `artifacts/${appId}/users/${userId}/binauralPresets`, other.id), { order: preset.order ?? index })
+      ]);
+    } catch (e) {
+      console.error("Error reordering binaural presets:", e);
+      setModalContent({ title: 'Error', message: 'Failed to reorder presets. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const deletePreset = async (presetId) => {
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/binauralPresets`, presetId));
+    } catch (e) {
+      console.error("Error deleting binaural preset:", e);
+      setModalContent({ title: 'Error', message: 'Failed to delete preset. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const exportPresets = () => {
+    const json = JSON.stringify(customPresets.map(preset => ({ ...presetFields(preset), favorite: !!preset.favorite })), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'focusforge_binaural_presets.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  // Accepts an exported file (an array) or a single preset object; invalid entries are skipped
+  const importPresets = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = JSON.parse(await file.text());
+      const valid = (Array.isArray(parsed) ? parsed : [parsed]).filter(isValidBinauralPreset);
+      if (valid.length === 0) {
+        setModalContent({ title: 'Input Error', message: 'No valid presets were found in that file.' });
+        setShowModal(true);
+        return;
+      }
+      const firstOrder = customPresets.reduce((max, preset) => Math.max(max, preset.order ?? 0), 0) + 1;
+      await Promise.all(valid.map((preset, i) => addDoc(presetsCollectionRef, {
+        ...presetFields(preset),
+        favorite: !!preset.favorite,
+        order: firstOrder + i,
+        createdAt: new Date()
+      })));
+      setModalContent({ title: 'Presets Imported', message: `Imported ${valid.length} preset${valid.length === 1 ? '' : 's'}.` });
+    } catch (e) {
+      console.error("Error importing binaural presets:", e);
+      setModalContent({ title: 'Input Error', message: 'That is not a valid preset JSON file.' });
+    }
+    setShowModal(true);
+  };
+
+  const saveMix = async () => {
+    if (newMixName.trim() === '' || !hasActiveLayers(mixLayers)) {
+      setModalContent({ title: 'Input Error', message: 'Name the mix and enable at least one layer.' });
+      setShowModal(true);
+      return;
+    }
+    try {
+      await addDoc(mixesCollectionRef, { name: newMixName.trim(), layers: mixLayers, bgVolume, createdAt: new Date() });
+      setNewMixName('');
+    } catch (e) {
+      console.error("Error saving ambient mix:", e);
+      setModalContent({ title: 'Error', message: 'Failed to save mix. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const loadMix = (mixId) => {
+    const mix = savedMixes.find(m => m.id === mixId);
+    if (!mix) return;
+    // Layers missing from the saved mix are switched off
+    setMixLayers({
+      ...Object.fromEntries(Object.entries(mixLayers).map(([id, layer]) => [id, { ...layer, enabled: false }])),
+      ...mix.layers
+    });
+    setBgVolume(mix.bgVolume ?? bgVolume);
+  };
+
+  const deleteMix = async (mixId) => {
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/ambientMixes`, mixId));
+    } catch (e) {
+      console.error("Error deleting ambient mix:", e);
+      setModalContent({ title: 'Error', message: 'Failed to delete mix. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const programElapsed = programStartedAt ? (programNow - programStartedAt) / 1000 : 0;
+  const programBeat = selectedProgram && programStartedAt ? getProgramBeatAt(selectedProgram, programElapsed) : null;
+
+  return (
+    <Card className="w-full h-full flex flex-col p-4 md:p-6">
+      <h2 className="text-3xl text-[#FF3C00] font-bold mb-6 uppercase">Binaural Beats</h2>
+
+      <p className="text-[#D1D1D1] mb-6 text-sm leading-relaxed">
+        Binaural beats are an auditory illusion perceived when two different pure-tone sine waves,
+        both with frequencies lower than 1000 Hz, with a difference between them of less than 30 Hz,
+        are presented to a listener dichotically (one tone to each ear).
+        The brain integrates the two signals, creating the perception of a third "beat" frequency.
+      </p>
+
+      {/* Controls */}
+      <div className="mb-8 space-y-4">
+        <div>
+          <label htmlFor="baseFreq" className="block text-[#FF3C00] text-lg mb-2">Base Frequency: {baseFrequency} Hz</label>
+          <input
+            id="baseFreq"
+            type="range"
+            min="100"
+            max="600"
+            value={baseFrequency}
+            onChange={e => setBaseFrequency(Number(e.target.value))}
+            className="w-full accent-[#FF3C00]"
+            disabled={(isPlaying && isFading) || !!programStartedAt}
+          />
+        </div>
+        <div>
+          <label htmlFor="beatFreq" className="block text-[#FF3C00] text-lg mb-2">Beat Frequency: {beatFrequency} Hz</label>
+          <input
+            id="beatFreq"
+            type="range"
+            min="1"
+            max="40"
+            value={beatFrequency}
+            onChange={e => setBeatFrequency(Number(e.target.value))}
+            className="w-full accent-[#FF3C00]"
+            disabled={(isPlaying && isFading) || !!selectedProgram}
+          />
+        </div>
+        <div className="flex flex-wrap gap-2 mt-2">
+          {presets.map(preset => (
+            <button
+              key={preset.name}
+              onClick={() => setPreset(preset)}
+              className={`px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200
+                ${beatFrequency === preset.beat ? 'bg-[#FF3C00] text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+              disabled={isPlaying && isFading}
+            >
+              {preset.name}
+            </button>
+          ))}
+          {customPresets.filter(preset => preset.favorite).map(preset => (
+            <button
+              key={preset.id}
+              onClick={() => applyCustomPreset(preset)}
+              className={`px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200
+                ${selectedPresetName === preset.name ? 'bg-[#FF3C00] text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+              disabled={isPlaying && isFading}
+            >
+              ★ {preset.name}
+            </button>
+          ))}
+        </div>
+        <div>
+          <label className="block text-[#FF3C00] text-lg mb-2">Beat Mode</label>
+          <div className="flex flex-wrap gap-2">
+            {BEAT_MODES.map(mode => (
+              <button
+                key={mode.value}
+                onClick={() => changeBeatMode(mode.value)}
+                className={`px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200
+                  ${beatMode === mode.value ? 'bg-[#FF3C00] text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+                disabled={isPlaying}
+              >
+                {mode.label}
+              </button>
+            ))}
+            <button
+              onClick={runHeadphoneCheck}
+              className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+              disabled={headphoneCheck !== null}
+            >
+              {headphoneCheck === 'left' && '🎧 Left ear…'}
+              {headphoneCheck === 'right' && '🎧 Right ear…'}
+              {headphoneCheck === null && '🎧 Headphone Check'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            {BEAT_MODES.find(mode => mode.value === beatMode).description}
+            {selectedPresetName && ` · saved with ${selectedPresetName}`}
+          </p>
+        </div>
+        <div>
+          <label className="block text-[#FF3C00] text-lg mb-2">Carrier Waveform</label>
+          <div className="flex flex-wrap gap-2">
+            {CARRIER_WAVEFORMS.map(type => (
+              <button
+                key={type}
+                onClick={() => setWaveform(type)}
+                className={`px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 capitalize
+                  ${waveform === type ? 'bg-[#FF3C00] text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+              >
+                {type}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label className="block text-[#FF3C00] text-lg mb-2">Sleep Timer</label>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <select
+              value={sessionMinutes}
+              onChange={e => changeSessionMinutes(Number(e.target.value))}
+              className="flex-grow p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+            >
+              {SESSION_LENGTHS.map(minutes => (
+                <option key={minutes} value={minutes}>{minutes ? `${minutes} min` : 'Until stopped'}</option>
+              ))}
+            </select>
+            <select
+              value={sleepFadeMinutes}
+              onChange={e => setSleepFadeMinutes(Number(e.target.value))}
+              className="flex-grow p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+              disabled={sessionMinutes === 0 || isSleepFading}
+            >
+              {SLEEP_FADE_MINUTES.map(minutes => (
+                <option key={minutes} value={minutes}>{minutes < 1 ? `${minutes * 60} s` : `${minutes} min`} fade-out</option>
+              ))}
+            </select>
+          </div>
+          {stopAt && (
+            <p className="text-xs text-gray-500 mt-1">
+              {isSleepFading ? 'Fading out · ' : ''}Stops at {new Date(stopAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </p>
+          )}
+        </div>
+        <div>
+          <label className="block text-[#FF3C00] text-lg mb-2">Start At</label>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="time"
+              value={startTime}
+              onChange={e => setStartTime(e.target.value)}
+              className="flex-grow p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+              disabled={!!startAt}
+            />
+            {startAt ? (
+              <button
+                onClick={() => setStartAt(null)}
+                className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+            ) : (
+              <button
+                onClick={scheduleStartAt}
+                className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-[#FF3C00] text-white"
+                disabled={!startTime}
+              >
+                Schedule
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            {startAt
+              ? `Starts ${new Date(startAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })} with ${selectedProgram ? selectedProgram.name : (selectedPresetName || `${beatFrequency} Hz`)}, easing in over ${WAKE_FADE_IN_SECONDS} s.`
+              : 'Plays the current settings or program at the chosen time, e.g. Start of Day as a wake-up. Keep this tab open.'}
+          </p>
+        </div>
+
+        {/* Preset Library */}
+        <div>
+          <label className="block text-[#FF3C00] text-lg mb-2">My Presets</label>
+          {customPresets.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-2">Save the current settings to build your own library.</p>
+          ) : (
+            <div className="space-y-2 mb-2">
+              {customPresets.map((preset, index) => (
+                <div key={preset.id} className="flex items-center gap-2 bg-[#1a1a1a] border border-[#333] rounded-lg p-2">
+                  <button
+                    onClick={() => toggleFavoritePreset(preset)}
+                    className={preset.favorite ? 'text-[#FF3C00]' : 'text-gray-500 hover:text-[#FF3C00]'}
+                    title={preset.favorite ? 'Remove from favourites' : 'Add to favourites'}
+                  >
+                    {preset.favorite ? '★' : '☆'}
+                  </button>
+                  <button onClick={() => applyCustomPreset(preset)} className="flex-grow text-left" disabled={isPlaying && isFading}>
+                    <span className={`text-sm ${selectedPresetName === preset.name ? 'text-[#FF3C00] font-bold' : 'text-[#D1D1D1]'}`}>{preset.name}</span>
+                    <span className="block text-xs text-gray-500">
+                      {preset.baseFrequency} Hz + {preset.beatFrequency} Hz · {preset.mode} · {preset.waveform}
+                      {hasActiveLayers(preset.layers || {}) && ` · ${describeBackground(preset.layers)}`}
+                      {preset.durationMinutes ? ` · ${preset.durationMinutes} min` : ''}
+                    </span>
+                  </button>
+                  <button onClick={() => movePreset(index, -1)} className="text-gray-400 hover:text-[#FF3C00]" disabled={index === 0} title="Move up">▲</button>
+                  <button onClick={() => movePreset(index, 1)} className="text-gray-400 hover:text-[#FF3C00]" disabled={index === customPresets.length - 1} title="Move down">▼</button>
+                  <button onClick={() => deletePreset(preset.id)} className="text-gray-400 hover:text-red-500" title="Delete Preset">✕</button>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              value={newPresetName}
+              onChange={e => setNewPresetName(e.target.value)}
+              placeholder="Preset name..."
+              className="flex-grow p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+            />
+            <button
+              onClick={savePreset}
+              className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-[#FF3C00] text-white"
+            >
+              Save Preset
+            </button>
+            <button
+              onClick={exportPresets}
+              className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+              disabled={customPresets.length === 0}
+            >
+              Export JSON
+            </button>
+            <label className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600 cursor-pointer flex items-center justify-center">
+              Import JSON
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={e => { importPresets(e.target.files[0]); e.target.value = ''; }}
+                className="hidden"
+              />
+            </label>
+          </div>
+        </div>
+
+        {/* Frequency Programs */}
+        <div>
+          <label className="block text-[#FF3C00] text-lg mb-2">Frequency Program</label>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <select
+              value={selectedProgram ? selectedProgram.id : ''}
+              onChange={e => setSelectedProgram(allPrograms.find(program => program.id === e.target.value) || null)}
+              className="flex-grow p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+              disabled={isPlaying}
+            >
+              <option value="">-- None (constant beat) --</option>
+              {allPrograms.map(program => (
+                <option key={program.id} value={program.id}>{program.name} ({getProgramMinutes(program)} min)</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setShowProgramEditor(!showProgramEditor)}
+              className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+            >
+              {showProgramEditor ? 'Close Editor' : '✏️ New Program'}
+            </button>
+            {selectedProgram && (
+              <button
+                onClick={() => shareProgram(selectedProgram)}
+                className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+              >
+                📋 Share
+              </button>
+            )}
+            {selectedProgram && !selectedProgram.id.startsWith('builtin-') && (
+              <button
+                onClick={() => deleteProgram(selectedProgram.id)}
+                className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-gray-700 text-red-400 hover:bg-gray-600"
+                disabled={isPlaying}
+              >
+                Delete
+              </button>
+            )}
+          </div>
+          {selectedProgram && (
+            <p className="text-xs text-gray-500 mt-2">
+              {selectedProgram.startBeat} Hz
+              {selectedProgram.segments.map((segment, i) => ` → ${segment.to} Hz (${segment.minutes} min, ${segment.curve})`).join('')}
+            </p>
+          )}
+          {programBeat !== null && (
+            <div className="mt-2">
+              <div className="text-sm text-[#D1D1D1]">
+                Current beat: <span className="text-[#FF3C00] font-bold">{programBeat.toFixed(1)} Hz</span>
+                {programElapsed >= getProgramMinutes(selectedProgram) * 60 && <span className="text-gray-500 ml-2">(program complete, holding)</span>}
+              </div>
+              <div className="w-full bg-[#0F0F0F] rounded h-2 mt-1">
+                <div
+                  className="bg-[#FF3C00] h-2 rounded"
+                  style={{ width: `${Math.min(100, (programElapsed / (getProgramMinutes(selectedProgram) * 60)) * 100)}%` }}
+                ></div>
+              </div>
+            </div>
+          )}
+
+          {showProgramEditor && (
+            <div className="mt-4 p-4 bg-[#0F0F0F] border border-[#222] rounded-lg space-y-3">
+              <input
+                type="text"
+                value={draftProgram.name}
+                onChange={e => setDraftProgram({ ...draftProgram, name: e.target.value })}
+                placeholder="Program name..."
+                className="w-full p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+              />
+              <div className="flex items-center gap-2 text-sm text-[#D1D1D1]">
+                <span>Start at</span>
+                <input
+                  type="number"
+                  value={draftProgram.startBeat}
+                  onChange={e => setDraftProgram({ ...draftProgram, startBeat: Number(e.target.value) })}
+                  min="1"
+                  max="40"
+                  className="w-20 p-1 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+                />
+                <span>Hz</span>
+              </div>
+              {draftProgram.segments.map((segment, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2 text-sm text-[#D1D1D1]">
+                  <span>→</span>
+                  <input
+                    type="number"
+                    value={segment.to}
+                    onChange={e => updateDraftSegment(index, { to: Number(e.target.value) })}
+                    min="1"
+                    max="40"
+                    className="w-20 p-1 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+                  />
+                  <span>Hz over</span>
+                  <input
+                    type="number"
+                    value={segment.minutes}
+                    onChange={e => updateDraftSegment(index, { minutes: Number(e.target.value) })}
+                    min="1"
+                    max="120"
+                    className="w-20 p-1 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+                  />
+                  <span>min</span>
+                  <select
+                    value={segment.curve}
+                    onChange={e => updateDraftSegment(index, { curve: e.target.value })}
+                    className="p-1 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+                  >
+                    {PROGRAM_CURVES.map(curve => (
+                      <option key={curve} value={curve}>{curve}</option>
+                    ))}
+                  </select>
+                  {draftProgram.segments.length > 1 && (
+                    <button onClick={() => removeDraftSegment(index)} className="text-gray-400 hover:text-red-500">✕</button>
+                  )}
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <button
+                  onClick={addDraftSegment}
+                  className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+                >
+                  + Segment
+                </button>
+                <button
+                  onClick={() => saveProgram(draftProgram)}
+                  className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-[#FF3C00] text-white"
+                >
+                  Save Program
+                </button>
+              </div>
+              <textarea
+                value={programJson}
+                onChange={e => setProgramJson(e.target.value)}
+                placeholder="Paste a shared program's JSON here..."
+                rows="3"
+                className="w-full p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333] text-xs font-mono"
+              />
+              <button
+                onClick={importProgram}
+                className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+                disabled={programJson.trim() === ''}
+              >
+                Import Program
+              </button>
+            </div>
+          )}
+        </div>
+        <div className="flex flex-col md:flex-row gap-4 mt-4">
+          <div className="flex-1">
+            <label className="block text-[#FF3C00] text-lg mb-2">Binaural Volume</label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={volume}
+              onChange={e => setVolume(Number(e.target.value))}
+              className="w-full accent-[#FF3C00]"
+              disabled={!isPlaying}
+            />
+          </div>
+          <div className="flex-1">
+            <label className="block text-[#FF3C00] text-lg mb-2">Background Volume</label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={bgVolume}
+              onChange={e => setBgVolume(Number(e.target.value))}
+              className="w-full accent-[#FF3C00]"
+            />
+          </div>
+        </div>
+
+        {/* Output & Safety */}
+        <div>
+          <label className="block text-[#FF3C00] text-lg mb-2">Output</label>
+          <AudioVisualizer masterBus={masterBus} isPlaying={isPlaying} />
+          <div className="flex flex-col md:flex-row gap-4 mt-3">
+            <div className="flex-1">
+              <label className="block text-[#D1D1D1] text-sm mb-1">Listening Level Cap: {Math.round(levelCap * 100)}%</label>
+              <input
+                type="range"
+                min="0.1"
+                max="1"
+                step="0.05"
+                value={levelCap}
+                onChange={e => updateSafetySettings({ levelCap: Number(e.target.value) })}
+                className="w-full accent-[#FF3C00]"
+              />
+            </div>
+            <div className="flex-1">
+              <label className="block text-[#D1D1D1] text-sm mb-1">Exposure Warning</label>
+              <select
+                value={exposureWarningMinutes}
+                onChange={e => updateSafetySettings({ exposureWarningMinutes: Number(e.target.value) })}
+                className="w-full p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+              >
+                {EXPOSURE_WARNING_MINUTES.map(minutes => (
+                  <option key={minutes} value={minutes}>{minutes ? `After ${minutes} min` : 'Off'}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Everything passes through a limiter at {MASTER_LIMIT_DB} dBFS. The cap scales the whole mix, whatever the sliders above say.
+          </p>
+        </div>
+
+        {/* Soundscape Mixer */}
+        <div>
+          <label className="block text-[#FF3C00] text-lg mb-2">Soundscape Mixer</label>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {AMBIENT_LAYERS.map(layer => {
+              const settings = { enabled: false, volume: 0.5, width: 0.7, ...mixLayers[layer.id] };
+              return (
+                <div key={layer.id} className="p-3 bg-[#0F0F0F] border border-[#222] rounded-lg">
+                  <button
+                    onClick={() => updateLayer(layer.id, { enabled: !settings.enabled })}
+                    className={`px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 mb-2
+                      ${settings.enabled ? 'bg-[#FF3C00] text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+                  >
+                    {layer.icon} {layer.name}
+                  </button>
+                  <div className="flex items-center gap-2 text-xs text-gray-400">
+                    <span className="w-12">Volume</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.01"
+                      value={settings.volume}
+                      onChange={e => updateLayer(layer.id, { volume: Number(e.target.value) })}
+                      className="flex-1 accent-[#FF3C00]"
+                      disabled={!settings.enabled}
+                    />
+                  </div>
+                  <div className="flex items-center gap-2 text-xs text-gray-400">
+                    <span className="w-12">Width</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.01"
+                      value={settings.width}
+                      onChange={e => updateLayer(layer.id, { width: Number(e.target.value) })}
+                      className="flex-1 accent-[#FF3C00]"
+                      disabled={!settings.enabled}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2 mt-3">
+            <select
+              value=""
+              onChange={e => loadMix(e.target.value)}
+              className="flex-grow p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+            >
+              <option value="">-- Load a saved mix --</option>
+              {savedMixes.map(mix => (
+                <option key={mix.id} value={mix.id}>{mix.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={newMixName}
+              onChange={e => setNewMixName(e.target.value)}
+              placeholder="Mix name..."
+              className="flex-grow p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+            />
+            <button
+              onClick={saveMix}
+              className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-[#FF3C00] text-white"
+            >
+              Save Mix
+            </button>
+          </div>
+          {savedMixes.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-2">
+              {savedMixes.map(mix => (
+                <span key={mix.id} className="text-xs text-gray-400 bg-[#1a1a1a] rounded-lg px-2 py-1">
+                  {mix.name}
+                  <button onClick={() => deleteMix(mix.id)} className="ml-2 hover:text-red-500" title="Delete Mix">✕</button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="flex gap-4 mt-6">
+          {!isPlaying ? (
+            <NeonButton onClick={() => startBeats()} disabled={isFading}>
+              ▶️ Start
+            </NeonButton>
+          ) : (
+            <NeonButton onClick={stopBeats} disabled={isFading}>
+              ⏹️ Stop
+            </NeonButton>
+          )}
+        </div>
+
+        {/* Export */}
+        <div className="mt-6">
+          <label className="block text-[#FF3C00] text-lg mb-2">Export Audio</label>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <select
+              value={exportMinutes}
+              onChange={e => setExportMinutes(Number(e.target.value))}
+              className="flex-grow p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+              disabled={isExporting}
+            >
+              {EXPORT_LENGTHS.map(minutes => (
+                <option key={minutes} value={minutes}>{minutes} min</option>
+              ))}
+            </select>
+            <button
+              onClick={exportAudio}
+              className="px-3 py-1 rounded-lg text-xs font-bold transition-colors duration-200 bg-[#FF3C00] text-white disabled:opacity-50"
+              disabled={isExporting || exportMinutes > EXPORT_MAX_MINUTES}
+            >
+              {isExporting ? 'Rendering...' : '⬇️ Export WAV'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Renders the current beat, mode, soundscape and program to a stereo WAV file for offline listening.
+            {selectedProgram && getProgramMinutes(selectedProgram) > exportMinutes && ' The program is longer than the export and will be cut short.'}
+          </p>
+          {exportMinutes > EXPORT_MAX_MINUTES && (
+            <p className="text-xs text-red-400 mt-1">
+              A {exportMinutes}-minute export needs about {Math.round(exportMemoryBytes(exportMinutes) / 1e6)} MB of memory while rendering,
+              which can crash the tab. Exports are limited to {EXPORT_MAX_MINUTES} minutes; loop a shorter file instead.
+            </p>
+          )}
+        </div>
+      </div>
+
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title={modalContent.title}
+        message={modalContent.message}
+      />
+    </Card>
+  );
+};
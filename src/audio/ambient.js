@@ -0,0 +1,134 @@
+import * as Tone from 'tone'; // Import Tone.js as a namespace
+
+// Every layer is synthesized from noise, filters and LFOs, so it works offline and in offline renders
+export const AMBIENT_LAYERS = [
+  { id: 'rain', name: 'Rain', icon: '🌧️' },
+  { id: 'wind', name: 'Wind', icon: '🌬️' },
+  { id: 'ocean', name: 'Ocean', icon: '🌊' },
+  { id: 'fire', name: 'Fire', icon: '🔥' },
+  { id: 'cafe', name: 'Café', icon: '☕' },
+  { id: 'white', name: 'White Noise', icon: '⚪' },
+  { id: 'pink', name: 'Pink Noise', icon: '🌸' },
+  { id: 'brown', name: 'Brown Noise', icon: '🟤' }
+];
+
+// Builds one layer into `output`; width 0 is mono and 1 is fully decorrelated stereo
+const createAmbientLayer = (id, { volume, width }, output) => {
+  const nodes = [];
+  const track = (node) => {
+    nodes.push(node);
+    return node;
+  };
+  // Independent noise per channel so the widener has a side signal to work with
+  const stereoNoise = (color) => {
+    const merge = track(new Tone.Merge());
+    const left = track(new Tone.Noise(color));
+    const right = track(new Tone.Noise(color));
+    left.connect(merge, 0, 0);
+    right.connect(merge, 0, 1);
+    left.start();
+    right.start();
+    return merge;
+  };
+  // Sporadic positive spikes (noise above a threshold) for rain drops, crackles and clinks
+  const bursts = (threshold) => {
+    const noise = track(new Tone.Noise('brown'));
+    const shaper = track(new Tone.WaveShaper(x => (x > threshold ? (x - threshold) / (1 - threshold) : 0), 1024));
+    noise.connect(shaper);
+    noise.start();
+    return shaper;
+  };
+  const lfo = (frequency, min, max, target) => track(new Tone.LFO({ frequency, min, max }).connect(target).start());
+
+  const gain = track(new Tone.Gain(volume)).connect(output);
+  const widener = track(new Tone.StereoWidener(width * 0.5)).connect(gain);
+
+  switch (id) {
+    case 'rain': {
+      stereoNoise('pink').chain(track(new Tone.Filter(800, 'highpass')), track(new Tone.Filter(9000, 'lowpass')), widener);
+      const drops = track(new Tone.Gain(0));
+      stereoNoise('white').chain(track(new Tone.Filter({ frequency: 5000, type: 'bandpass', Q: 1 })), drops, widener);
+      bursts(0.5).connect(drops.gain);
+      break;
+    }
+    case 'wind': {
+      const filter = track(new Tone.Filter({ frequency: 600, type: 'bandpass', Q: 1.5 }));
+      const gust = track(new Tone.Gain(0.6));
+      stereoNoise('pink').chain(filter, gust, widener);
+      lfo(0.07, 300, 1200, filter.frequency);
+      lfo(0.05, 0.3, 1, gust.gain);
+      break;
+    }
+    case 'ocean': {
+      const filter = track(new Tone.Filter(700, 'lowpass'));
+      const swell = track(new Tone.Gain(0.5));
+      stereoNoise('brown').chain(filter, swell, widener);
+      lfo(0.1, 300, 1200, filter.frequency);
+      lfo(0.1, 0.1, 1, swell.gain);
+      break;
+    }
+    case 'fire': {
+      const rumble = track(new Tone.Gain(0.6));
+      stereoNoise('brown').chain(track(new Tone.Filter(300, 'lowpass')), rumble, widener);
+      const crackle = track(new Tone.Gain(0));
+      stereoNoise('white').chain(track(new Tone.Filter(2500, 'highpass')), crackle, widener);
+      bursts(0.7).connect(crackle.gain);
+      break;
+    }
+    case 'cafe': {
+      // Speech-band babble with a syllable-rate flutter and a slow crowd swell, plus the odd cup clink
+      const babble = track(new Tone.Gain(0.8));
+      const crowd = track(new Tone.Gain(0.8));
+      stereoNoise('pink').chain(track(new Tone.Filter({ frequency: 700, type: 'bandpass', Q: 0.7 })), babble, crowd, widener);
+      lfo(3.5, 0.5, 1, babble.gain);
+      lfo(0.15, 0.6, 1, crowd.gain);
+      const clink = track(new Tone.Gain(0));
+      stereoNoise('white').chain(track(new Tone.Filter({ frequency: 3500, type: 'bandpass', Q: 8 })), clink, widener);
+      bursts(0.85).connect(clink.gain);
+      break;
+    }
+    default:
+      stereoNoise(id).connect(widener);
+  }
+
+  return {
+    setVolume: (value) => { gain.gain.value = value; },
+    setWidth: (value) => { widener.width.value = value * 0.5; },
+    dispose: () => nodes.forEach(node => node.dispose())
+  };
+};
+
+// A set of layers keyed by id; update() builds, adjusts and releases layers to match `layers`
+export const createAmbientMix = (layers, output) => {
+  const active = {};
+  const update = (nextLayers) => {
+    Object.keys(active).forEach(id => {
+      if (!nextLayers[id]?.enabled) {
+        active[id].dispose();
+        delete active[id];
+      }
+    });
+    Object.entries(nextLayers).forEach(([id, settings]) => {
+      if (!settings.enabled) return;
+      if (active[id]) {
+        active[id].setVolume(settings.volume);
+        active[id].setWidth(settings.width);
+      } else {
+        active[id] = createAmbientLayer(id, settings, output);
+      }
+    });
+  };
+  update(layers);
+  return {
+    update,
+    dispose: () => Object.values(active).forEach(layer => layer.dispose())
+  };
+};
+
+export const hasActiveLayers = (layers) => Object.values(layers).some(layer => layer.enabled);
+
+// Label of a mix as stored with listening sessions, e.g. 'Rain + Brown Noise'
+export const describeBackground = (layers) => {
+  const names = AMBIENT_LAYERS.filter(layer => layers[layer.id] && layers[layer.id].enabled).map(layer => layer.name);
+  return names.length ? names.join(' + ') : 'None';
+};
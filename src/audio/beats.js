@@ -0,0 +1,132 @@
+import * as Tone from 'tone'; // Import Tone.js as a namespace
+
+export const BEAT_MODES = [
+  { value: 'binaural', label: 'Binaural', description: 'One tone per ear — needs headphones' },
+  { value: 'isochronic', label: 'Isochronic', description: 'A single tone pulsed at the beat rate — works on speakers' },
+  { value: 'monaural', label: 'Monaural', description: 'Both tones mixed in each ear — works on speakers' }
+];
+
+export const CARRIER_WAVEFORMS = ['sine', 'triangle', 'square', 'sawtooth'];
+
+// Connects the tone sources for a beat mode to `output` and starts them.
+// Returns setFrequencies(base, beat) and setWaveform(type) for live changes, beatTargets(base) listing
+// the params that carry the beat (with the offset to add to a beat value) for automation, and dispose().
+export const createBeatSources = (mode, baseFrequency, beatFrequency, output, waveform = 'sine') => {
+  if (mode === 'isochronic') {
+    const pulse = new Tone.Gain(0).connect(output);
+    const carrier = new Tone.Oscillator(baseFrequency, waveform).connect(pulse);
+    const lfo = new Tone.LFO({ frequency: beatFrequency, min: 0, max: 1, type: 'square' }).connect(pulse.gain);
+    carrier.volume.value = -10;
+    carrier.start();
+    lfo.start();
+    return {
+      setFrequencies: (base, beat) => {
+        carrier.frequency.value = base;
+        lfo.frequency.value = beat;
+      },
+      setWaveform: (type) => {
+        carrier.type = type;
+      },
+      beatTargets: () => [{ param: lfo.frequency, offset: 0 }],
+      dispose: () => [carrier, lfo, pulse].forEach(node => node.dispose())
+    };
+  }
+
+  const left = new Tone.Oscillator(baseFrequency, waveform);
+  const right = new Tone.Oscillator(baseFrequency + beatFrequency, waveform);
+  const nodes = [left, right];
+  if (mode === 'binaural') {
+    // Hard-pan each tone so every ear hears exactly one frequency
+    const panLeft = new Tone.Panner(-1).connect(output);
+    const panRight = new Tone.Panner(1).connect(output);
+    left.connect(panLeft);
+    right.connect(panRight);
+    nodes.push(panLeft, panRight);
+  } else {
+    left.connect(output);
+    right.connect(output);
+  }
+  left.volume.value = -10;
+  right.volume.value = -10;
+  left.start();
+  right.start();
+  return {
+    setFrequencies: (base, beat) => {
+      left.frequency.value = base;
+      right.frequency.value = base + beat;
+    },
+    setWaveform: (type) => {
+      left.type = type;
+      right.type = type;
+    },
+    beatTargets: (base) => [{ param: right.frequency, offset: base }],
+    dispose: () => nodes.forEach(node => node.dispose())
+  };
+};
+
+// Built-in entrainment programs: the beat starts at startBeat and each segment moves it to `to` Hz
+// over `minutes`, with a 'linear' or 'exponential' ramp or a 'step' that jumps and holds
+export const BEAT_PROGRAMS = [
+  { id: 'builtin-wind-down', name: 'Wind-down (Beta → Alpha)', startBeat: 20, segments: [{ to: 10, minutes: 10, curve: 'exponential' }] },
+  { id: 'builtin-start-day', name: 'Start of Day (Alpha → Beta)', startBeat: 10, segments: [{ to: 18, minutes: 10, curve: 'linear' }] },
+  { id: 'builtin-sleep', name: 'Sleep Descent (Alpha → Theta → Delta)', startBeat: 10, segments: [{ to: 6, minutes: 15, curve: 'linear' }, { to: 2, minutes: 20, curve: 'exponential' }] },
+  { id: 'builtin-focus-steps', name: 'Focus Steps (Alpha → Beta)', startBeat: 10, segments: [{ to: 14, minutes: 5, curve: 'step' }, { to: 18, minutes: 5, curve: 'step' }] }
+];
+
+export const PROGRAM_CURVES = ['linear', 'exponential', 'step'];
+
+export const getProgramMinutes = (program) => program.segments.reduce((total, segment) => total + segment.minutes, 0);
+
+// Schedules a program on the sources' beat params from startTime (seconds on the Tone clock)
+export const scheduleBeatProgram = (sources, program, baseFrequency, startTime) => {
+  sources.beatTargets(baseFrequency).forEach(({ param, offset }) => {
+    param.cancelScheduledValues(startTime);
+    param.setValueAtTime(offset + program.startBeat, startTime);
+    let time = startTime;
+    program.segments.forEach(segment => {
+      const endTime = time + segment.minutes * 60;
+      const value = offset + segment.to;
+      if (segment.curve === 'step') {
+        param.setValueAtTime(value, time);
+        param.setValueAtTime(value, endTime);
+      } else if (segment.curve === 'exponential') {
+        param.exponentialRampToValueAtTime(value, endTime);
+      } else {
+        param.linearRampToValueAtTime(value, endTime);
+      }
+      time = endTime;
+    });
+  });
+};
+
+// Beat frequency a program reaches after `seconds`, mirroring the scheduled automation
+export const getProgramBeatAt = (program, seconds) => {
+  let from = program.startBeat;
+  let elapsed = seconds;
+  for (const segment of program.segments) {
+    const length = segment.minutes * 60;
+    if (elapsed < length) {
+      const progress = elapsed / length;
+      if (segment.curve === 'step') return segment.to;
+      if (segment.curve === 'exponential') return from * Math.pow(segment.to / from, progress);
+      return from + (segment.to - from) * progress;
+    }
+    elapsed -= length;
+    from = segment.to;
+  }
+  return from;
+};
+
+// Checks a program read from JSON before it is saved
+export const isValidBeatProgram = (program) => (
+  program && typeof program.name === 'string' && program.name.trim() !== '' &&
+  Number(program.startBeat) > 0 && Array.isArray(program.segments) && program.segments.length > 0 &&
+  program.segments.every(segment => Number(segment.to) > 0 && Number(segment.minutes) > 0 && PROGRAM_CURVES.includes(segment.curve))
+);
+
+// The stored form of a valid program: trimmed name and numeric beats and lengths
+export const normalizeBeatProgram = (program) => ({
+  name: program.name.trim(),
+  startBeat: Number(program.startBeat),
+  segments: program.segments.map(({ to, minutes, curve }) => ({ to: Number(to), minutes: Number(minutes), curve }))
+});
@@ -0,0 +1,54 @@
+import { BEAT_PROGRAMS, getProgramBeatAt, getProgramMinutes, isValidBeatProgram, normalizeBeatProgram } from './beats';
+
+const program = (curve) => ({ name: 'Test', startBeat: 20, segments: [{ to: 5, minutes: 10, curve }] });
+
+describe('getProgramBeatAt', () => {
+  it('ramps linearly', () => {
+    expect(getProgramBeatAt(program('linear'), 0)).toBe(20);
+    expect(getProgramBeatAt(program('linear'), 300)).toBe(12.5);
+    expect(getProgramBeatAt(program('linear'), 450)).toBe(8.75);
+  });
+
+  it('ramps exponentially', () => {
+    expect(getProgramBeatAt(program('exponential'), 0)).toBe(20);
+    expect(getProgramBeatAt(program('exponential'), 300)).toBeCloseTo(10);
+    expect(getProgramBeatAt(program('exponential'), 450)).toBeCloseTo(7.071, 3);
+  });
+
+  it('jumps at the start of a step', () => {
+    expect(getProgramBeatAt(program('step'), 0)).toBe(5);
+    expect(getProgramBeatAt(program('step'), 599)).toBe(5);
+  });
+
+  it('continues from where the previous segment ended', () => {
+    const sleep = BEAT_PROGRAMS.find(p => p.id === 'builtin-sleep');
+    expect(getProgramBeatAt(sleep, 15 * 60)).toBe(6);
+    expect(getProgramBeatAt(sleep, 25 * 60)).toBeCloseTo(Math.sqrt(6 * 2));
+  });
+
+  it('holds the last beat once the program is over', () => {
+    const steps = BEAT_PROGRAMS.find(p => p.id === 'builtin-focus-steps');
+    expect(getProgramBeatAt(steps, 5 * 60)).toBe(18);
+    expect(getProgramBeatAt(steps, 10 * 60)).toBe(18);
+    expect(getProgramBeatAt(steps, 60 * 60)).toBe(18);
+  });
+});
+
+describe('program helpers', () => {
+  it('adds up the program length', () => {
+    expect(BEAT_PROGRAMS.map(getProgramMinutes)).toEqual([10, 10, 35, 10]);
+  });
+
+  it('checks imported programs', () => {
+    expect(isValidBeatProgram(program('linear'))).toBe(true);
+    expect(isValidBeatProgram({ ...program('linear'), name: ' ' })).toBe(false);
+    expect(isValidBeatProgram({ ...program('linear'), segments: [] })).toBe(false);
+    expect(isValidBeatProgram(program('sine'))).toBe(false);
+    expect(isValidBeatProgram({ ...program('linear'), startBeat: '0' })).toBe(false);
+  });
+
+  it('stores numeric beats and lengths', () => {
+    const raw = { name: ' Imported ', startBeat: '12', segments: [{ to: '8', minutes: '2.5', curve: 'step', extra: true }] };
+    expect(normalizeBeatProgram(raw)).toEqual({ name: 'Imported', startBeat: 12, segments: [{ to: 8, minutes: 2.5, curve: 'step' }] });
+  });
+});
@@ -0,0 +1,84 @@
+import * as Tone from 'tone'; // Import Tone.js as a namespace
+import { createBeatSources, scheduleBeatProgram } from './beats';
+import { createAmbientMix, hasActiveLayers } from './ambient';
+import { MASTER_LIMIT_DB } from './masterBus';
+
+export const EXPORT_LENGTHS = [1, 5, 10, 15, 20, 30]; // Minutes
+// Tones and noise top out well below 11 kHz, and the lower rate halves the memory of long renders
+const EXPORT_SAMPLE_RATE = 22050;
+// The whole render is held in memory, so longer exports risk running a mobile tab out of memory
+export const EXPORT_MAX_MINUTES = 10;
+
+// Bytes held while exporting: the float stereo render plus the 16-bit WAV encoded from it
+export const exportMemoryBytes = (minutes) => minutes * 60 * EXPORT_SAMPLE_RATE * 2 * (4 + 2);
+
+// Encodes an AudioBuffer as 16-bit PCM WAV
+export const encodeWav = (audioBuffer) => {
+  const channels = audioBuffer.numberOfChannels;
+  const frames = audioBuffer.length;
+  const dataSize = frames * channels * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // PCM chunk size
+  view.setUint16(20, 1, true); // PCM format
+  view.setUint16(22, channels, true);
+  view.setUint32(24, audioBuffer.sampleRate, true);
+  view.setUint32(28, audioBuffer.sampleRate * channels * 2, true); // Byte rate
+  view.setUint16(32, channels * 2, true); // Block align
+  view.setUint16(34, 16, true); // Bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channelData = Array.from({ length: channels }, (_, c) => audioBuffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += 2;
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' });
+};
+
+// Renders a beat configuration and soundscape to a stereo AudioBuffer, faded in and out.
+// Tone.Offline always renders at the live context's rate, so the offline context is set up here
+// to render at EXPORT_SAMPLE_RATE; nodes created while it is Tone's context are recorded into it.
+export const renderBeatsOffline = async ({ mode, waveform, baseFrequency, beatFrequency, program, layers, volume, bgVolume }, minutes) => {
+  if (minutes > EXPORT_MAX_MINUTES) throw new Error(`Exports are limited to ${EXPORT_MAX_MINUTES} minutes`);
+  const seconds = minutes * 60;
+  const fadeSeconds = Math.min(3, seconds / 10);
+  const liveContext = Tone.context;
+  const offlineContext = new Tone.OfflineContext(2, seconds, EXPORT_SAMPLE_RATE);
+  Tone.setContext(offlineContext);
+  try {
+    const limiter = new Tone.Limiter(MASTER_LIMIT_DB).toDestination();
+    const fade = (gain, level) => {
+      gain.gain.setValueAtTime(0, 0);
+      gain.gain.linearRampToValueAtTime(level, fadeSeconds);
+      gain.gain.setValueAtTime(level, seconds - fadeSeconds);
+      gain.gain.linearRampToValueAtTime(0, seconds);
+    };
+
+    const gain = new Tone.Gain(0).connect(limiter);
+    const sources = createBeatSources(mode, baseFrequency, program ? program.startBeat : beatFrequency, gain, waveform);
+    if (program) scheduleBeatProgram(sources, program, baseFrequency, 0);
+    fade(gain, volume);
+
+    if (hasActiveLayers(layers)) {
+      const bgGain = new Tone.Gain(0).connect(limiter);
+      createAmbientMix(layers, bgGain);
+      fade(bgGain, bgVolume);
+    }
+  } finally {
+    Tone.setContext(liveContext);
+  }
+  return offlineContext.render();
+};
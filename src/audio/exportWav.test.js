@@ -0,0 +1,55 @@
+import { EXPORT_MAX_MINUTES, encodeWav, exportMemoryBytes, renderBeatsOffline } from './exportWav';
+
+const fakeBuffer = (channels, sampleRate) => ({
+  numberOfChannels: channels.length,
+  length: channels[0].length,
+  sampleRate,
+  getChannelData: (c) => Float32Array.from(channels[c])
+});
+
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new DataView(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+const readString = (view, offset, length) =>
+  String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+
+describe('encodeWav', () => {
+  it('writes a 16-bit PCM WAV header', async () => {
+    const blob = encodeWav(fakeBuffer([[0, 0, 0], [0, 0, 0]], 22050));
+    expect(blob.type).toBe('audio/wav');
+    expect(blob.size).toBe(44 + 3 * 2 * 2);
+
+    const view = await readBlob(blob);
+    expect(readString(view, 0, 4)).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(36 + 12);
+    expect(readString(view, 8, 8)).toBe('WAVEfmt ');
+    expect(view.getUint16(20, true)).toBe(1);
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(22050);
+    expect(view.getUint32(28, true)).toBe(22050 * 4);
+    expect(view.getUint16(32, true)).toBe(4);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(readString(view, 36, 4)).toBe('data');
+    expect(view.getUint32(40, true)).toBe(12);
+  });
+
+  it('interleaves the channels and clips samples', async () => {
+    const view = await readBlob(encodeWav(fakeBuffer([[1, -1, 2], [0.5, -0.5, -3]], 44100)));
+    const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+    expect(samples).toEqual([32767, 16383, -32768, -16384, 32767, -32768]);
+  });
+});
+
+describe('export limits', () => {
+  it('estimates the memory an export holds', () => {
+    expect(exportMemoryBytes(EXPORT_MAX_MINUTES)).toBe(10 * 60 * 22050 * 2 * 6);
+  });
+
+  it('refuses exports above the cap', async () => {
+    await expect(renderBeatsOffline({}, EXPORT_MAX_MINUTES + 5)).rejects.toThrow('Exports are limited to 10 minutes');
+  });
+});
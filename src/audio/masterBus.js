@@ -0,0 +1,79 @@
+import * as Tone from 'tone'; // Import Tone.js as a namespace
+
+export const MASTER_LIMIT_DB = -1; // Limiter ceiling, keeps stacked tones and noise from clipping
+export const EXPOSURE_WARNING_MINUTES = [0, 60, 90, 120, 180]; // 0 = off
+export const EXPOSURE_RESET_MS = 10 * 60 * 1000; // A pause this long counts as an ear break
+export const MEDIA_SESSION_ACTIONS = ['play', 'pause', 'stop', 'nexttrack', 'previoustrack'];
+
+// Generator output chain: listening-level cap -> limiter -> speakers, with a stereo split feeding
+// waveform and spectrum analysers for each channel
+export const createMasterBus = (levelCap) => {
+  const input = new Tone.Gain(levelCap);
+  const limiter = new Tone.Limiter(MASTER_LIMIT_DB);
+  const split = new Tone.Split();
+  const channels = [0, 1].map(() => ({
+    waveform: new Tone.Analyser('waveform', 1024),
+    spectrum: new Tone.Analyser('fft', 256)
+  }));
+  input.connect(limiter);
+  limiter.toDestination();
+  limiter.connect(split);
+  channels.forEach(({ waveform, spectrum }, channel) => {
+    split.connect(waveform, channel);
+    split.connect(spectrum, channel);
+  });
+
+  // Playing the bus through a media element makes the browser treat the page as a media player,
+  // so it keeps sounding in the background and gets lock-screen controls
+  const streamDestination = Tone.getContext().rawContext.createMediaStreamDestination();
+  limiter.connect(streamDestination);
+  const element = new Audio();
+  element.srcObject = streamDestination.stream;
+  let viaElement = false;
+  let wantElement = false; // Latest requested routing
+  let routing = null; // In-flight routing change
+
+  // Calls may overlap while play() is pending, so the loop re-checks the latest request after it
+  const applyRouting = async () => {
+    while (viaElement !== wantElement) {
+      if (wantElement) {
+        try {
+          await element.play();
+        } catch (e) {
+          // Falls back to the direct output if the element is not allowed to play
+          console.error('Background playback unavailable:', e);
+          wantElement = false;
+          return;
+        }
+        if (wantElement) {
+          limiter.disconnect(Tone.getDestination());
+          viaElement = true;
+        } else {
+          element.pause();
+        }
+      } else {
+        limiter.toDestination();
+        element.pause();
+        viaElement = false;
+      }
+    }
+  };
+
+  return {
+    input,
+    limiter,
+    analysers: { left: channels[0], right: channels[1] },
+    setLevelCap: (level) => input.gain.rampTo(level, 0.2),
+    setBackgroundPlayback: (enabled) => {
+      wantElement = enabled;
+      if (!routing) routing = applyRouting().finally(() => { routing = null; });
+      return routing;
+    },
+    dispose: () => {
+      wantElement = false;
+      element.pause();
+      element.srcObject = null;
+      [input, limiter, split, ...channels.flatMap(c => [c.waveform, c.spectrum])].forEach(node => node.dispose());
+    }
+  };
+};
@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+
+const useSwipeGesture = (onSwipeLeft, onSwipeRight, threshold = 80) => {
+  const [startX, setStartX] = useState(null);
+  const [currentX, setCurrentX] = useState(null);
+  const [isSwiping, setIsSwiping] = useState(false);
+
+  const handleTouchStart = (e) => {
+    setStartX(e.touches[0].clientX);
+    setCurrentX(e.touches[0].clientX);
+    setIsSwiping(true);
+  };
+
+  const handleTouchMove = (e) => {
+    if (!isSwiping) return;
+    setCurrentX(e.touches[0].clientX);
+  };
+
+  const handleTouchEnd = () => {
+    if (!isSwiping || startX === null || currentX === null) return;
+
+    const diff = startX - currentX;
+    const absDiff = Math.abs(diff);
+
+    if (absDiff > threshold) {
+      // Haptic feedback if available
+      if (navigator.vibrate) {
+        navigator.vibrate(50);
+      }
+      
+      if (diff > 0 && onSwipeLeft) {
+        onSwipeLeft();
+      } else if (diff < 0 && onSwipeRight) {
+        onSwipeRight();
+      }
+    }
+
+    setStartX(null);
+    setCurrentX(null);
+    setIsSwiping(false);
+  };
+
+  return {
+    touchHandlers: {
+      onTouchStart: handleTouchStart,
+      onTouchMove: handleTouchMove,
+      onTouchEnd: handleTouchEnd,
+    },
+    swipeOffset: startX && currentX ? startX - currentX : 0,
+    isSwiping
+  };
+};
+
+// --- Swipeable Item Component ---
+export const SwipeableItem = ({ 
+  children, 
+  onSwipeLeft, 
+  onSwipeRight, 
+  leftAction = 'Delete', 
+  rightAction = 'Complete',
+  leftColor = 'bg-red-500',
+  rightColor = 'bg-green-500',
+  className = ''
+}) => {
+  const { touchHandlers, swipeOffset, isSwiping } = useSwipeGesture(onSwipeLeft, onSwipeRight);
+  
+  const transform = `translateX(${swipeOffset}px)`;
+  const opacity = Math.min(Math.abs(swipeOffset) / 100, 1);
+
+  return (
+    <div className={`relative overflow-hidden ${className}`}>
+      {/* Background Actions */}
+      <div className="absolute inset-0 flex">
+        <div 
+          className={`flex items-center justify-center px-4 text-white font-bold transition-opacity duration-200 ${
+            swipeOffset > 0 ? rightColor : 'bg-transparent'
+          }`}
+          style={{ 
+            width: '25%', 
+            opacity: swipeOffset > 0 ? opacity : 0 
+          }}
+        >
+          {rightAction}
+        </div>
+        <div className="flex-1"></div>
+        <div 
+          className={`flex items-center justify-center px-4 text-white font-bold transition-opacity duration-200 ${
+            swipeOffset < 0 ? leftColor : 'bg-transparent'
+          }`}
+          style={{ 
+            width: '25%', 
+            opacity: swipeOffset < 0 ? opacity : 0 
+          }}
+        >
+          {leftAction}
+        </div>
+      </div>
+      
+      {/* Content */}
+      <div 
+        className="relative bg-[#0F0F0F] transition-transform duration-200 ease-out touch-pan-y"
+        style={{ transform }}
+        {...touchHandlers}
+      >
+        {children}
+      </div>
+    </div>
+  );
+};
+
+// Utility function for dot grid background
+export const DotGridBackground = ({ children }) => (
+  <div className="min-h-screen bg-[#0F0F0F] text-[#D1D1D1] font-mono"
+       style={{
+         backgroundImage: 'radial-gradient(#1a1a1a 1px, transparent 1px)',
+         backgroundSize: '20px 20px'
+       }}>
+    {children}
+  </div>
+);
+
+// Button component with consistent styling
+export const NeonButton = ({ onClick, children, className = '', ...props }) => (
+  <button
+    onClick={onClick}
+    {...props}
+    className={`bg-[#FF3C00] text-white uppercase px-6 py-3 rounded-br-xl shadow-lg hover:shadow-orange-500/50
+                transition-all duration-300 ease-in-out transform hover:scale-105
+                focus:outline-none focus:ring-2 focus:ring-[#FF3C00] focus:ring-opacity-75
+                text-lg md:text-xl font-extrabold tracking-wide
+                md:px-8 md:py-4
+                w-full max-w-xs mx-auto block
+                ${className}`}
+  >
+    {children}
+  </button>
+);
+
+// Card component with consistent styling
+export const Card = ({ children, className = '' }) => (
+  <div className={`bg-[#1a1a1a] p-4 md:p-6 rounded-br-xl shadow-lg border border-[#333] ${className}`}>
+    {children}
+  </div>
+);
+
+// Modal component for alerts/confirmations
+export const Modal = ({ isOpen, onClose, title, message, onConfirm, showConfirm = false }) => {
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <Card className="max-w-md w-full text-center">
+        <h3 className="text-xl text-[#FF3C00] font-bold mb-4">{title}</h3>
+        <p className="text-[#D1D1D1] mb-6">{message}</p>
+        <div className="flex justify-center space-x-4">
+          {showConfirm && <NeonButton onClick={onConfirm}>Confirm</NeonButton>}
+          <NeonButton onClick={onClose}>Close</NeonButton>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+// Floating Action Button (FAB) component
+export const FAB = ({ onClick, label = 'Add', icon = '+', className = '' }) => (
+  <button
+    onClick={onClick}
+    className={`fixed bottom-6 right-4 z-[100] bg-[#FF3C00] text-white rounded-full shadow-lg p-5 flex items-center justify-center text-3xl font-extrabold md:hidden transition-all duration-300 hover:scale-110 active:scale-95 ${className}`}
+    aria-label={label}
+    style={{ boxShadow: '0 4px 24px 0 rgba(255,60,0,0.25)' }}
+  >
+    {icon}
+  </button>
+);
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, onSnapshot, where } from 'firebase/firestore';
+import { Card } from '../components/ui';
+import { appId } from '../firebase';
+import { toMillis } from '../timer/timing';
+import { DAY_MS } from './schedulers';
+import { getCardDeckId, getDeckPath, getSubtreeIds } from './decks';
+import { LEECH_LAPSES, MATURE_INTERVAL_DAYS, RETENTION_PERIODS, STATS_DAYS, dueForecast, hardestCards, intervalDistribution, reviewsPerDay, trueRetention } from './stats';
+
+const StatBars = ({ rows, color = 'bg-[#FF3C00]', title }) => {
+  const max = Math.max(1, ...rows.map(row => row.count));
+  return (
+    <div className="flex items-end justify-between h-32 gap-px mb-2">
+      {rows.map((row, i) => (
+        <div key={row.key || row.label} className="flex flex-col items-center justify-end flex-1 h-full" title={title(row)}>
+          <div className={`w-full rounded-t ${color}`} style={{ height: `${(row.count / max) * 100}%` }}></div>
+          {(rows.length <= 10 || i % 5 === 0) && <div className="text-[10px] text-gray-500 mt-1 whitespace-nowrap">{row.label}</div>}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export const FlashcardStats = ({ userId, db, cards, decks, deckId = null }) => {
+  const [reviews, setReviews] = useState([]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const since = new Date();
+    since.setDate(since.getDate() - 365);
+    const q = query(
+      collection(db, `artifacts/${appId}/users/${userId}/flashcardReviews`),
+      where('reviewedAt', '>=', since)
+    );
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setReviews(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), reviewedAt: new Date(toMillis(doc.data().reviewedAt)) })));
+    }, (error) => {
+      console.error("Error fetching flashcard reviews:", error);
+    });
+
+    return () => unsubscribe();
+  }, [userId, db]);
+
+  const scopeDeckIds = getSubtreeIds(decks, deckId);
+  const scopedCards = cards.filter(card => scopeDeckIds.includes(getCardDeckId(card)));
+  const scopedCardIds = new Set(scopedCards.map(card => card.id));
+  const scopedReviews = deckId ? reviews.filter(review => scopedCardIds.has(review.cardId)) : reviews;
+
+  const now = new Date();
+  const daily = reviewsPerDay(scopedReviews, STATS_DAYS, now);
+  const forecast = dueForecast(scopedCards, STATS_DAYS, now);
+  const intervals = intervalDistribution(scopedCards);
+  const hardest = hardestCards(scopedCards, scopedReviews);
+  const recent = scopedReviews.filter(review => now.getTime() - review.reviewedAt.getTime() <= STATS_DAYS * DAY_MS);
+  const averageSeconds = recent.length ? recent.reduce((sum, review) => sum + (review.timeTakenMs || 0), 0) / recent.length / 1000 : 0;
+  const retention = RETENTION_PERIODS.map(period => ({
+    ...period,
+    ...trueRetention(scopedReviews.filter(review => now.getTime() - review.reviewedAt.getTime() <= period.days * DAY_MS))
+  }));
+  const formatRate = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+
+  return (
+    <Card>
+      <h3 className="text-xl font-bold text-[#FF3C00] mb-4">
+        Statistics{deckId ? ` · ${getDeckPath(decks, deckId)}` : ''}
+      </h3>
+      {scopedReviews.length === 0 && scopedCards.length === 0 ? (
+        <div className="text-center text-[#D1D1D1] py-4">Review some cards to see your statistics.</div>
+      ) : (
+        <div className="space-y-8">
+          <div>
+            <h4 className="text-[#D1D1D1] font-semibold mb-2">Reviews per Day</h4>
+            <StatBars rows={daily} title={(day) => `${day.label}: ${day.count} reviews, ${day.failed} again`} />
+            <p className="text-xs text-gray-500">
+              {recent.length} reviews in the last {STATS_DAYS} days · {averageSeconds.toFixed(1)}s per card on average
+            </p>
+          </div>
+
+          <div>
+            <h4 className="text-[#D1D1D1] font-semibold mb-2">True Retention</h4>
+            <div className="grid grid-cols-4 gap-2 text-sm text-center">
+              <span></span>
+              <span className="text-gray-400">Young</span>
+              <span className="text-gray-400">Mature</span>
+              <span className="text-gray-400">Total</span>
+              {retention.map(period => (
+                <React.Fragment key={period.label}>
+                  <span className="text-gray-400 text-left">{period.label}</span>
+                  <span className="text-[#D1D1D1]">{formatRate(period.young)}</span>
+                  <span className="text-[#D1D1D1]">{formatRate(period.mature)}</span>
+                  <span className="text-[#FF3C00] font-bold" title={`${period.count} reviews`}>{formatRate(period.total)}</span>
+                </React.Fragment>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Share of review cards you remembered (Hard or better). Mature cards have an interval of {MATURE_INTERVAL_DAYS} days or more.
+            </p>
+          </div>
+
+          <div>
+            <h4 className="text-[#D1D1D1] font-semibold mb-2">Due Forecast</h4>
+            <StatBars rows={forecast} color="bg-green-500" title={(day) => `${day.label}: ${day.count} due`} />
+            <p className="text-xs text-gray-500">Learning and review cards due in the next {STATS_DAYS} days; today includes overdue cards.</p>
+          </div>
+
+          <div>
+            <h4 className="text-[#D1D1D1] font-semibold mb-2">Interval Distribution</h4>
+            <StatBars rows={intervals} color="bg-blue-500" title={(bucket) => `${bucket.label}: ${bucket.count} cards`} />
+          </div>
+
+          <div>
+            <h4 className="text-[#D1D1D1] font-semibold mb-2">Hardest Cards</h4>
+            {hardest.length === 0 ? (
+              <p className="text-sm text-gray-500">No lapses yet.</p>
+            ) : (
+              <div className="space-y-2">
+                {hardest.map(({ card, lapses, failures }) => (
+                  <div key={card.id} className="flex justify-between items-center text-sm bg-[#0F0F0F] rounded-lg p-2">
+                    <span className="text-[#D1D1D1] truncate mr-2">{card.question}</span>
+                    <span className="whitespace-nowrap text-gray-400">
+                      {lapses >= LEECH_LAPSES && <span className="text-red-400 font-bold mr-2">Leech</span>}
+                      {lapses} lapses · {failures} again
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            <p className="text-xs text-gray-500 mt-2">
+              Cards forgotten {LEECH_LAPSES} or more times are leeches; rewording or splitting them usually helps more than reviewing again.
+            </p>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
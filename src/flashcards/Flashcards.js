@@ -0,0 +1,1004 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { doc, setDoc, collection, query, onSnapshot, deleteDoc, updateDoc, addDoc, increment, deleteField } from 'firebase/firestore';
+import { Card, FAB, Modal, NeonButton, SwipeableItem } from '../components/ui';
+import { appId } from '../firebase';
+import { DEFAULT_SCHEDULER_SETTINGS, LEARN_AHEAD_MINUTES, REVIEW_GRADES, SCHEDULERS, formatInterval, getCardState, parseSteps, scheduleReview } from './schedulers';
+import { DEFAULT_DECK, buildStudyQueue, flattenDeckTree, getAncestorIds, getCardDeckId, getDeckPath, getSubtreeIds, parseTags, todayKey, withDefaultDeck } from './decks';
+import { MAX_CARD_IMAGE_BYTES, cardSides, emptyNote, getNoteId, inlineImages, jsonBytes, newCardSchedule, noteFromCard, noteItemKey, noteItems, usedImages } from './cardContent';
+import { CardContent, NoteEditor } from './NoteEditor';
+import { ANKI_REVLOG_STATES, ankiIntervalDays, buildApkg, commitInBatches, downloadBlob, htmlToText, parseApkg, parseCardTable, tableCardType, toDelimited } from './importExport';
+import { REVIEW_TIME_CAP_MS, reviewIntervalDays } from './stats';
+
+export const Flashcards = ({ userId, db, deckId = null, onSelectDeck }) => {
+  const [cards, setCards] = useState([]); // Every card; the review queue is derived from it
+  const [savedDecks, setSavedDecks] = useState([]);
+  const [tagFilter, setTagFilter] = useState(''); // Only study cards with this tag
+  const [newNote, setNewNote] = useState(emptyNote(deckId));
+  const [editingCard, setEditingCard] = useState(null); // Card whose note is open in the editor
+  const [editNote, setEditNote] = useState(null);
+  const [showDeckManager, setShowDeckManager] = useState(false);
+  const [newDeckName, setNewDeckName] = useState('');
+  const [newDeckParentId, setNewDeckParentId] = useState('');
+  const [listTag, setListTag] = useState(''); // Tag added to or removed from the listed cards
+  const [showAnswer, setShowAnswer] = useState(false);
+  const [showAddCardForm, setShowAddCardForm] = useState(false);
+  const [schedulerSettings, setSchedulerSettings] = useState(DEFAULT_SCHEDULER_SETTINGS);
+  const [showSchedulerSettings, setShowSchedulerSettings] = useState(false);
+  const [showImportExport, setShowImportExport] = useState(false);
+  const [importPreview, setImportPreview] = useState(null); // Parsed file waiting for confirmation
+  const [importDeckId, setImportDeckId] = useState(''); // '' keeps the decks named in the file
+  const [keepSchedule, setKeepSchedule] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [showModal, setShowModal] = useState(false);
+  const [modalContent, setModalContent] = useState({ title: '', message: '' });
+  const cardShownAtRef = useRef(Date.now()); // When the current card appeared, for the review log
+
+  const flashcardsCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/flashcards`);
+  const schedulerSettingsRef = useMemo(() => doc(db, `artifacts/${appId}/users/${userId}/flashcardSettings/scheduler`), [db, userId]);
+  const decksCollectionRef = useMemo(() => collection(db, `artifacts/${appId}/users/${userId}/flashcardDecks`), [db, userId]);
+  const reviewLogCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/flashcardReviews`);
+  const decks = withDefaultDeck(savedDecks);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(query(decksCollectionRef), (snapshot) => {
+      setSavedDecks(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching flashcard decks:", error);
+    });
+
+    return () => unsubscribe();
+  }, [userId, decksCollectionRef]);
+
+  // New cards go to the deck being studied
+  useEffect(() => {
+    setNewNote(prev => ({ ...prev, deckId: deckId || DEFAULT_DECK.id }));
+    setShowAnswer(false);
+  }, [deckId]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const q = query(
+      flashcardsCollectionRef
+      // No orderBy here to avoid index issues, sort in client
+    );
+
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const fetchedCards = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        // Ensure nextReviewDate is a Date object for comparison
+        nextReviewDate: doc.data().nextReviewDate ? new Date(doc.data().nextReviewDate) : new Date(0) // Use epoch for never reviewed
+      }));
+      setCards(fetchedCards);
+      setShowAnswer(false);
+    }, (error) => {
+      console.error("Error fetching flashcards:", error);
+      setModalContent({ title: 'Error', message: 'Failed to load flashcards. Please try again.' });
+      setShowModal(true);
+    });
+
+    return () => unsubscribe();
+  }, [userId, db]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(schedulerSettingsRef, (docSnap) => {
+      if (docSnap.exists()) setSchedulerSettings({ ...DEFAULT_SCHEDULER_SETTINGS, ...docSnap.data() });
+    }, (error) => {
+      console.error("Error fetching scheduler settings:", error);
+    });
+
+    return () => unsubscribe();
+  }, [userId, schedulerSettingsRef]);
+
+  // Learning steps are minutes long, so the queue is re-evaluated every half minute
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const updateSchedulerSettings = async (changes) => {
+    const next = { ...schedulerSettings, ...changes };
+    setSchedulerSettings(next);
+    try {
+      await setDoc(schedulerSettingsRef, next);
+    } catch (e) {
+      console.error("Error saving scheduler settings: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to save scheduler settings. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  // Creates, updates and deletes a note's cards so they match its type and content
+  const saveNote = async (note, noteCards = []) => {
+    const items = noteItems(note);
+    if (note.front.trim() === '' || (note.type !== 'cloze' && note.back.trim() === '')) {
+      setModalContent({ title: 'Input Error', message: 'Question and Answer cannot be empty.' });
+      setShowModal(true);
+      return false;
+    }
+    if (items.length === 0) {
+      setModalContent({ title: 'Input Error', message: 'Cloze text needs at least one blank, e.g. {{c1::answer}}.' });
+      setShowModal(true);
+      return false;
+    }
+    const images = usedImages([note.front, note.back], note.images);
+    if (jsonBytes(images) > MAX_CARD_IMAGE_BYTES) {
+      setModalContent({ title: 'Input Error', message: 'The images on this card are too large. Remove one or use a smaller image.' });
+      setShowModal(true);
+      return false;
+    }
+
+    const shared = {
+      noteId: noteCards.length ? getNoteId(noteCards[0]) : doc(flashcardsCollectionRef).id,
+      images,
+      deckId: note.deckId,
+      tags: parseTags(note.tags)
+    };
+    try {
+      await Promise.all([
+        ...items.map(item => {
+          const existing = noteCards.find(card => noteItemKey(card) === noteItemKey(item));
+          return existing
+            ? updateDoc(doc(flashcardsCollectionRef, existing.id), { ...item, ...shared })
+            : addDoc(flashcardsCollectionRef, { ...item, ...shared, ...newCardSchedule() });
+        }),
+        ...noteCards
+          .filter(card => !items.some(item => noteItemKey(item) === noteItemKey(card)))
+          .map(card => deleteDoc(doc(flashcardsCollectionRef, card.id)))
+      ]);
+      return true;
+    } catch (e) {
+      console.error("Error saving flashcard: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to save flashcard. Please try again.' });
+      setShowModal(true);
+      return false;
+    }
+  };
+
+  const getNoteCards = (card) => cards.filter(c => getNoteId(c) === getNoteId(card));
+
+  const addFlashcard = async () => {
+    if (await saveNote(newNote)) {
+      setNewNote(emptyNote(newNote.deckId));
+      setShowAddCardForm(false);
+    }
+  };
+
+  const startEditing = (card) => {
+    setEditingCard(card);
+    setEditNote(noteFromCard(card));
+    setShowAddCardForm(false);
+  };
+
+  const updateNote = async () => {
+    if (await saveNote(editNote, getNoteCards(editingCard))) setEditingCard(null);
+  };
+
+  const showEditorError = (message) => {
+    setModalContent({ title: 'Error', message });
+    setShowModal(true);
+  };
+
+  const calculateNextReview = (card, grade) => scheduleReview(card, grade, schedulerSettings, new Date());
+
+  // Learning cards first (they are time-critical), then reviews, then new cards
+  const stateOrder = { learning: 0, relearning: 0, review: 1, new: 2 };
+  const byQueueOrder = (a, b) =>
+    stateOrder[getCardState(a)] - stateOrder[getCardState(b)] || a.nextReviewDate.getTime() - b.nextReviewDate.getTime();
+  const queue = buildStudyQueue(cards, decks, deckId, now, tagFilter);
+  const dueCards = [...queue.learning, ...queue.review, ...queue.new];
+  const queueCounts = { new: queue.new.length, learning: queue.learning.length, review: queue.review.length };
+  const scopeDeckIds = getSubtreeIds(decks, deckId);
+  const cardsInScope = cards.filter(card => scopeDeckIds.includes(getCardDeckId(card)));
+  const allTags = [...new Set(cardsInScope.flatMap(card => card.tags || []))].sort();
+  const listedCards = cardsInScope.filter(card => !tagFilter || (card.tags || []).includes(tagFilter));
+
+  // Counts a new card or review against the card's deck and every deck above it. Counts are keyed
+  // by day and incremented on the server, so reviews on several devices all count; earlier days are
+  // dropped in the same write.
+  const recordDailyCount = (card, kind) => {
+    const today = todayKey();
+    const deckIds = [getCardDeckId(card), ...getAncestorIds(decks, getCardDeckId(card))];
+    return Promise.all(deckIds.map(id => {
+      const deck = decks.find(d => d.id === id);
+      const staleKeys = Object.keys((deck && deck.dailyCounts) || {}).filter(key => key !== today);
+      return setDoc(doc(decksCollectionRef, id), {
+        dailyCounts: {
+          [today]: { [kind]: increment(1) },
+          ...Object.fromEntries(staleKeys.map(key => [key, deleteField()]))
+        }
+      }, { merge: true });
+    }));
+  };
+
+  const addDeck = async () => {
+    if (newDeckName.trim() === '') {
+      setModalContent({ title: 'Input Error', message: 'Deck name cannot be empty.' });
+      setShowModal(true);
+      return;
+    }
+    try {
+      await addDoc(decksCollectionRef, {
+        name: newDeckName.trim(),
+        parentId: newDeckParentId || null,
+        newPerDay: DEFAULT_DECK.newPerDay,
+        reviewsPerDay: DEFAULT_DECK.reviewsPerDay,
+        createdAt: new Date()
+      });
+      setNewDeckName('');
+    } catch (e) {
+      console.error("Error adding deck: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to add deck. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const updateDeck = async (id, changes) => {
+    try {
+      await setDoc(doc(decksCollectionRef, id), changes, { merge: true });
+    } catch (e) {
+      console.error("Error updating deck: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to update deck. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  // Limits are saved when the field loses focus; a blank or invalid entry keeps the current limit
+  const saveDeckLimit = (deck, field, input) => {
+    const value = parseInt(input.value, 10);
+    const limit = Number.isNaN(value) ? deck[field] : Math.max(0, value);
+    input.value = limit;
+    if (limit !== deck[field]) updateDeck(deck.id, { [field]: limit });
+  };
+
+  // Cards and subdecks of a deleted deck move up to its parent (or Default)
+  const deleteDeck = async (deck) => {
+    const parentId = deck.parentId || null;
+    try {
+      await Promise.all([
+        ...cards.filter(card => getCardDeckId(card) === deck.id).map(card =>
+          updateDoc(doc(flashcardsCollectionRef, card.id), { deckId: parentId || DEFAULT_DECK.id })
+        ),
+        ...decks.filter(d => d.parentId === deck.id).map(child =>
+          updateDoc(doc(decksCollectionRef, child.id), { parentId })
+        )
+      ]);
+      await deleteDoc(doc(decksCollectionRef, deck.id));
+      if (deckId === deck.id && onSelectDeck) onSelectDeck(parentId);
+    } catch (e) {
+      console.error("Error deleting deck: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to delete deck. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  // Reassigns every card in the list below. Cards of one note share a deck and tags, so the
+  // note's other cards follow even when they are filtered out of the list.
+  const updateListedCards = async (changesFor) => {
+    const noteIds = new Set(listedCards.map(getNoteId));
+    try {
+      await Promise.all(cards.filter(card => noteIds.has(getNoteId(card))).map(card =>
+        updateDoc(doc(flashcardsCollectionRef, card.id), changesFor(card))
+      ));
+    } catch (e) {
+      console.error("Error updating flashcards: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to update flashcards. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const moveListedCards = (targetDeckId) => {
+    if (targetDeckId) updateListedCards(() => ({ deckId: targetDeckId }));
+  };
+
+  const tagListedCards = (add) => {
+    const tags = parseTags(listTag);
+    if (tags.length === 0) return;
+    updateListedCards(card => ({
+      tags: add ? [...new Set([...(card.tags || []), ...tags])] : (card.tags || []).filter(tag => !tags.includes(tag))
+    }));
+    setListTag('');
+  };
+
+  // Anki names nested decks 'Parent::Child'
+  const ankiDeckPath = (id) => getDeckPath(decks, id).split(' :: ').join('::');
+
+  // Resolves each level of a 'Parent::Child' path, queueing writes for decks that don't exist yet
+  const resolveDeckPath = (path, knownPaths, writes) => {
+    let parentId = null;
+    const names = path.split('::').map(name => name.trim()).filter(Boolean);
+    names.forEach((name, i) => {
+      const key = names.slice(0, i + 1).join('::').toLowerCase();
+      if (!knownPaths[key]) {
+        const ref = doc(decksCollectionRef);
+        writes.push({
+          ref,
+          data: { name, parentId, newPerDay: DEFAULT_DECK.newPerDay, reviewsPerDay: DEFAULT_DECK.reviewsPerDay, createdAt: new Date() }
+        });
+        knownPaths[key] = ref.id;
+      }
+      parentId = knownPaths[key];
+    });
+    return parentId || DEFAULT_DECK.id;
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = null; // Allow picking the same file again
+    if (!file) return;
+    try {
+      const preview = /\.apkg$/i.test(file.name)
+        ? { kind: 'apkg', fileName: file.name, ...(await parseApkg(file)) }
+        : { kind: 'table', fileName: file.name, ...parseCardTable(await file.text(), file.name) };
+      setImportPreview(preview);
+      setImportDeckId(preview.kind === 'apkg' || preview.mapping.deck >= 0 ? '' : (deckId || DEFAULT_DECK.id));
+    } catch (err) {
+      console.error("Error reading import file: ", err);
+      setModalContent({ title: 'Import Error', message: `Failed to read ${file.name}. ${err.message}` });
+      setShowModal(true);
+    }
+  };
+
+  const updateImportMapping = (changes) => {
+    setImportPreview(prev => ({ ...prev, mapping: { ...prev.mapping, ...changes } }));
+  };
+
+  const tableRowsToCards = ({ rows, hasHeader, html, mapping }) => {
+    const cell = (row, column) => {
+      const value = column >= 0 ? (row[column] || '').trim() : '';
+      return html ? htmlToText(value) : value;
+    };
+    return (hasHeader ? rows.slice(1) : rows).flatMap((row, i) => {
+      const note = {
+        type: tableCardType(cell(row, mapping.type), cell(row, mapping.question)),
+        front: cell(row, mapping.question),
+        back: cell(row, mapping.answer)
+      };
+      if (note.front === '' || (note.type !== 'cloze' && note.back === '')) return [];
+      return noteItems(note).map(item => ({
+        ...item,
+        noteKey: `row-${i}`,
+        tags: parseTags(cell(row, mapping.tags)),
+        deckPath: cell(row, mapping.deck)
+      }));
+    });
+  };
+
+  const importCards = async () => {
+    const preview = importPreview;
+    const parsed = preview.kind === 'apkg' ? preview.cards : tableRowsToCards(preview);
+    // Same limit as the editor; CSV rows carry their images inline in the text
+    const incoming = parsed.filter(card =>
+      jsonBytes(card.images || {}) + jsonBytes([card.question, card.answer]) <= MAX_CARD_IMAGE_BYTES);
+    const oversized = parsed.length - incoming.length;
+    if (incoming.length === 0) {
+      setModalContent({
+        title: 'Nothing to Import',
+        message: oversized
+          ? 'Every card in this file has images too large to store.'
+          : 'No cards with both a question and an answer were found.'
+      });
+      setShowModal(true);
+      return;
+    }
+
+    setIsImporting(true);
+    const knownPaths = Object.fromEntries(decks.map(deck => [ankiDeckPath(deck.id).toLowerCase(), deck.id]));
+    const deckWrites = [];
+    const cardWrites = [];
+    const cardIds = {}; // Anki card id -> new card document
+    const noteIds = {}; // Note in the file -> noteId shared by its cards
+    incoming.forEach(card => {
+      const ref = doc(flashcardsCollectionRef);
+      const cardDeckId = importDeckId || (card.deckPath ? resolveDeckPath(card.deckPath, knownPaths, deckWrites) : DEFAULT_DECK.id);
+      if (card.ankiId) cardIds[card.ankiId] = { id: ref.id, deckId: cardDeckId };
+      if (card.noteKey !== undefined && !noteIds[card.noteKey]) noteIds[card.noteKey] = ref.id;
+      cardWrites.push({
+        ref,
+        data: {
+          question: card.question,
+          answer: card.answer,
+          type: card.type || 'basic',
+          ord: card.ord || 0,
+          ...(card.noteKey !== undefined ? { noteId: noteIds[card.noteKey] } : {}),
+          images: card.images || {},
+          deckId: cardDeckId,
+          tags: card.tags,
+          ...(keepSchedule && card.schedule ? card.schedule : newCardSchedule())
+        }
+      });
+    });
+    const reviewWrites = keepSchedule && preview.kind === 'apkg'
+      ? preview.reviews.filter(review => cardIds[review.cid]).map(review => ({
+          ref: doc(reviewLogCollectionRef),
+          data: {
+            cardId: cardIds[review.cid].id,
+            deckId: cardIds[review.cid].deckId,
+            grade: review.ease,
+            state: ANKI_REVLOG_STATES[review.type] || 'review',
+            previousInterval: ankiIntervalDays(review.lastIvl),
+            newInterval: ankiIntervalDays(review.ivl),
+            timeTakenMs: review.time,
+            reviewedAt: new Date(review.id),
+            source: 'anki'
+          }
+        }))
+      : [];
+
+    try {
+      // Decks first so cards never point at a missing deck
+      await commitInBatches(db, deckWrites);
+      await commitInBatches(db, [...cardWrites, ...reviewWrites]);
+      setImportPreview(null);
+      setModalContent({
+        title: 'Import Complete',
+        message: `Imported ${cardWrites.length} cards${deckWrites.length ? ` into ${deckWrites.length} new decks` : ''}${reviewWrites.length ? ` with ${reviewWrites.length} past reviews` : ''}.` +
+          (oversized ? ` ${oversized} cards were skipped because their images are too large.` : '')
+      });
+      setShowModal(true);
+    } catch (e) {
+      console.error("Error importing flashcards: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to import flashcards. Please try again.' });
+      setShowModal(true);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const exportFileName = (extension) =>
+    `${deckId ? getDeckPath(decks, deckId).replace(/[^\w-]+/g, '-').toLowerCase() : 'flashcards'}.${extension}`;
+
+  // One row per note; images are written inline as data URLs
+  const exportCsv = () => {
+    const notes = new Map(cardsInScope.map(card => [getNoteId(card), noteFromCard(card)]));
+    const rows = [
+      ['question', 'answer', 'tags', 'deck', 'type'],
+      ...[...notes.values()].map(note => [
+        inlineImages(note.front, note.images), inlineImages(note.back, note.images), note.tags, ankiDeckPath(note.deckId), note.type
+      ])
+    ];
+    downloadBlob(new Blob([toDelimited(rows)], { type: 'text/csv' }), exportFileName('csv'));
+  };
+
+  const exportApkg = async () => {
+    setIsExporting(true);
+    try {
+      const deckPaths = Object.fromEntries(decks.map(deck => [deck.id, ankiDeckPath(deck.id)]));
+      downloadBlob(await buildApkg(cardsInScope, deckPaths), exportFileName('apkg'));
+    } catch (e) {
+      console.error("Error exporting Anki package: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to export the Anki package. Please try again.' });
+      setShowModal(true);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleReview = async (grade) => {
+    const card = dueCards[0];
+    if (!card) return;
+
+    const reviewedAt = new Date();
+    const schedule = scheduleReview(card, grade, schedulerSettings, reviewedAt);
+
+    try {
+      const cardDocRef = doc(db, `artifacts/${appId}/users/${userId}/flashcards`, card.id);
+      const previousState = getCardState(card);
+      await updateDoc(cardDocRef, schedule);
+      if (previousState === 'new' || previousState === 'review') await recordDailyCount(card, previousState);
+      addDoc(reviewLogCollectionRef, {
+        cardId: card.id,
+        deckId: getCardDeckId(card),
+        grade,
+        state: previousState,
+        previousInterval: card.interval || 0,
+        newInterval: reviewIntervalDays(schedule, reviewedAt),
+        timeTakenMs: Math.min(reviewedAt.getTime() - cardShownAtRef.current, REVIEW_TIME_CAP_MS),
+        algorithm: schedule.algorithm,
+        reviewedAt
+      }).catch(e => console.error("Error logging flashcard review: ", e));
+
+      setShowAnswer(false);
+      setNow(Date.now());
+      cardShownAtRef.current = Date.now(); // A lone learning card can come straight back
+      const comesBackSoon = new Date(schedule.nextReviewDate).getTime() <= Date.now() + LEARN_AHEAD_MINUTES * 60 * 1000;
+      if (dueCards.length === 1 && !comesBackSoon) {
+        setModalContent({ title: 'Review Complete!', message: 'You have reviewed all due flashcards for today!' });
+        setShowModal(true);
+      }
+    } catch (e) {
+      console.error("Error updating flashcard review: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to update flashcard review. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  // Deletes the whole note: a reverse side or cloze blank on its own would come back on the next edit
+  const deleteFlashcard = async (card) => {
+    try {
+      await Promise.all(getNoteCards(card).map(noteCard =>
+        deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/flashcards`, noteCard.id))
+      ));
+      if (editingCard && getNoteId(editingCard) === getNoteId(card)) setEditingCard(null);
+    } catch (e) {
+      console.error("Error deleting flashcard: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to delete flashcard. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const currentCard = dueCards[0];
+  const currentCardId = currentCard ? currentCard.id : null;
+  const currentSides = currentCard ? cardSides(currentCard) : null;
+
+  useEffect(() => {
+    cardShownAtRef.current = Date.now();
+  }, [currentCardId]);
+
+  return (
+    <Card className="w-full h-full flex flex-col p-4 md:p-6">
+      <h2 className="text-3xl text-[#FF3C00] font-bold mb-6 uppercase">Flashcards</h2>
+
+      <div className="flex flex-col sm:flex-row justify-between items-center mb-6 space-y-4 sm:space-y-0">
+        <h3 className="text-xl text-[#D1D1D1] font-bold">
+          Cards Due: {dueCards.length}
+          {dueCards.length > 0 && (
+            <span className="text-sm font-normal ml-2">
+              <span className="text-blue-400">{queueCounts.new} new</span> · <span className="text-red-400">{queueCounts.learning} learning</span> · <span className="text-green-400">{queueCounts.review} review</span>
+            </span>
+          )}
+        </h3>
+        <div className="flex gap-2">
+          <NeonButton onClick={() => setShowDeckManager(!showDeckManager)}>
+            🗃️ Decks
+          </NeonButton>
+          <NeonButton onClick={() => setShowSchedulerSettings(!showSchedulerSettings)}>
+            ⚙️ Scheduler
+          </NeonButton>
+          <NeonButton onClick={() => setShowImportExport(!showImportExport)}>
+            ⇅ Import / Export
+          </NeonButton>
+          <NeonButton onClick={() => setShowAddCardForm(!showAddCardForm)}>
+            {showAddCardForm ? 'Hide Add Form' : 'Add New Card'}
+          </NeonButton>
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2 mb-6">
+        <select
+          value={deckId || ''}
+          onChange={(e) => onSelectDeck && onSelectDeck(e.target.value || null)}
+          className="flex-grow p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+        >
+          <option value="">All Decks</option>
+          {flattenDeckTree(decks).map(({ deck, depth }) => (
+            <option key={deck.id} value={deck.id}>{`${'\u00A0\u00A0'.repeat(depth)}${deck.name}`}</option>
+          ))}
+        </select>
+        <select
+          value={tagFilter}
+          onChange={(e) => setTagFilter(e.target.value)}
+          className="flex-grow p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+        >
+          <option value="">All Tags</option>
+          {allTags.map(tag => (
+            <option key={tag} value={tag}>#{tag}</option>
+          ))}
+        </select>
+      </div>
+
+      {showDeckManager && (
+        <Card className="mb-8 p-4 bg-[#0F0F0F] border border-[#222]">
+          <h4 className="text-xl text-[#FF3C00] font-bold mb-4">Decks</h4>
+          <div className="space-y-2 mb-4">
+            {flattenDeckTree(decks).map(({ deck, depth }) => (
+              <div key={deck.id} className="flex flex-col md:flex-row md:items-center gap-2 bg-[#1a1a1a] border border-[#333] rounded-lg p-2" style={{ marginLeft: `${depth * 1.5}rem` }}>
+                <span className="flex-grow text-[#D1D1D1] font-semibold">{deck.name}</span>
+                <label className="text-xs text-gray-400 flex items-center gap-1">
+                  New/day
+                  <input
+                    type="number"
+                    defaultValue={deck.newPerDay}
+                    key={`newPerDay-${deck.newPerDay}`}
+                    onBlur={(e) => saveDeckLimit(deck, 'newPerDay', e.target)}
+                    min="0"
+                    className="w-16 p-1 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                  />
+                </label>
+                <label className="text-xs text-gray-400 flex items-center gap-1">
+                  Reviews/day
+                  <input
+                    type="number"
+                    defaultValue={deck.reviewsPerDay}
+                    key={`reviewsPerDay-${deck.reviewsPerDay}`}
+                    onBlur={(e) => saveDeckLimit(deck, 'reviewsPerDay', e.target)}
+                    min="0"
+                    className="w-16 p-1 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                  />
+                </label>
+                {deck.id !== DEFAULT_DECK.id && (
+                  <button onClick={() => deleteDeck(deck)} className="text-gray-400 hover:text-red-500 text-sm" title="Delete Deck">✕</button>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              value={newDeckName}
+              onChange={(e) => setNewDeckName(e.target.value)}
+              placeholder="New deck name..."
+              className="flex-grow p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+            />
+            <select
+              value={newDeckParentId}
+              onChange={(e) => setNewDeckParentId(e.target.value)}
+              className="flex-grow p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+            >
+              <option value="">Top level</option>
+              {flattenDeckTree(decks).map(({ deck }) => (
+                <option key={deck.id} value={deck.id}>Inside {getDeckPath(decks, deck.id)}</option>
+              ))}
+            </select>
+            <NeonButton onClick={addDeck}>Add Deck</NeonButton>
+          </div>
+          <p className="text-sm text-gray-500 mt-4">
+            Studying a deck includes its subdecks. Limits apply to each deck and to the deck you study. Deleting a deck moves its cards up a level.
+          </p>
+        </Card>
+      )}
+
+      {showSchedulerSettings && (
+        <Card className="mb-8 p-4 bg-[#0F0F0F] border border-[#222]">
+          <h4 className="text-xl text-[#FF3C00] font-bold mb-4">Scheduler Settings</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Algorithm</label>
+              <select
+                value={schedulerSettings.algorithm}
+                onChange={(e) => updateSchedulerSettings({ algorithm: e.target.value })}
+                className="w-full p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+              >
+                {Object.entries(SCHEDULERS).map(([id, scheduler]) => (
+                  <option key={id} value={id}>{scheduler.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Maximum Interval (days)</label>
+              <input
+                type="number"
+                value={schedulerSettings.maximumInterval}
+                onChange={(e) => updateSchedulerSettings({ maximumInterval: Math.max(1, parseInt(e.target.value) || 1) })}
+                min="1"
+                className="w-full p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+              />
+            </div>
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Learning Steps (minutes)</label>
+              <input
+                type="text"
+                defaultValue={schedulerSettings.learningSteps.join(' ')}
+                key={`learning-${schedulerSettings.learningSteps.join(' ')}`}
+                onBlur={(e) => updateSchedulerSettings({ learningSteps: parseSteps(e.target.value) })}
+                placeholder="e.g. 1 10"
+                className="w-full p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+              />
+            </div>
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Relearning Steps (minutes)</label>
+              <input
+                type="text"
+                defaultValue={schedulerSettings.relearningSteps.join(' ')}
+                key={`relearning-${schedulerSettings.relearningSteps.join(' ')}`}
+                onBlur={(e) => updateSchedulerSettings({ relearningSteps: parseSteps(e.target.value) })}
+                placeholder="e.g. 10"
+                className="w-full p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+              />
+            </div>
+            {schedulerSettings.algorithm === 'fsrs' ? (
+              <div className="md:col-span-2">
+                <label className="block text-[#D1D1D1] mb-2 font-semibold">
+                  Target Retention: {Math.round(schedulerSettings.targetRetention * 100)}%
+                </label>
+                <input
+                  type="range"
+                  min="0.7"
+                  max="0.97"
+                  step="0.01"
+                  value={schedulerSettings.targetRetention}
+                  onChange={(e) => updateSchedulerSettings({ targetRetention: parseFloat(e.target.value) })}
+                  className="w-full accent-[#FF3C00]"
+                />
+                <p className="text-xs text-gray-500 mt-1">Higher retention means shorter intervals and more reviews per day.</p>
+              </div>
+            ) : (
+              <>
+                <div>
+                  <label className="block text-[#D1D1D1] mb-2 font-semibold">Graduating Interval (days)</label>
+                  <input
+                    type="number"
+                    value={schedulerSettings.graduatingInterval}
+                    onChange={(e) => updateSchedulerSettings({ graduatingInterval: Math.max(1, parseInt(e.target.value) || 1) })}
+                    min="1"
+                    className="w-full p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+                  />
+                </div>
+                <div>
+                  <label className="block text-[#D1D1D1] mb-2 font-semibold">Easy Interval (days)</label>
+                  <input
+                    type="number"
+                    value={schedulerSettings.easyInterval}
+                    onChange={(e) => updateSchedulerSettings({ easyInterval: Math.max(1, parseInt(e.target.value) || 1) })}
+                    min="1"
+                    className="w-full p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+                  />
+                </div>
+              </>
+            )}
+          </div>
+          <p className="text-sm text-gray-500 mt-4">
+            Changes apply from each card's next review. Existing schedules are kept.
+          </p>
+        </Card>
+      )}
+
+      {showImportExport && (
+        <Card className="mb-8 p-4 bg-[#0F0F0F] border border-[#222]">
+          <h4 className="text-xl text-[#FF3C00] font-bold mb-4">Import / Export</h4>
+          <label className="block text-[#D1D1D1] mb-2 font-semibold">Import Anki package (.apkg) or CSV/TSV</label>
+          <input
+            type="file"
+            accept=".apkg,.csv,.tsv,.txt"
+            onChange={handleImportFile}
+            className="w-full p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1] mb-4"
+          />
+
+          {importPreview && (
+            <div className="bg-[#1a1a1a] border border-[#333] rounded-lg p-4 mb-4 space-y-4">
+              {importPreview.kind === 'apkg' ? (
+                <p className="text-[#D1D1D1]">
+                  {importPreview.fileName}: {importPreview.cards.length} cards in {new Set(importPreview.cards.map(card => card.deckPath)).size} decks, {importPreview.reviews.length} past reviews.
+                </p>
+              ) : (
+                <>
+                  <p className="text-[#D1D1D1]">
+                    {importPreview.fileName}: {importPreview.rows.length - (importPreview.hasHeader ? 1 : 0)} rows.
+                  </p>
+                  <label className="flex items-center gap-2 text-[#D1D1D1]">
+                    <input
+                      type="checkbox"
+                      checked={importPreview.hasHeader}
+                      onChange={(e) => setImportPreview(prev => ({ ...prev, hasHeader: e.target.checked }))}
+                      className="accent-[#FF3C00]"
+                    />
+                    First row is a header
+                  </label>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {[['question', 'Question'], ['answer', 'Answer'], ['tags', 'Tags'], ['deck', 'Deck'], ['type', 'Card type']].map(([field, label]) => (
+                      <div key={field}>
+                        <label className="block text-[#D1D1D1] mb-2 font-semibold">{label} column</label>
+                        <select
+                          value={importPreview.mapping[field]}
+                          onChange={(e) => updateImportMapping({ [field]: parseInt(e.target.value) })}
+                          className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                        >
+                          {(field === 'tags' || field === 'deck' || field === 'type') && <option value={-1}>None</option>}
+                          {(importPreview.rows[0] || []).map((value, i) => (
+                            <option key={i} value={i}>{`Column ${i + 1}: ${value.slice(0, 30)}`}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+              <div>
+                <label className="block text-[#D1D1D1] mb-2 font-semibold">Import into</label>
+                <select
+                  value={importDeckId}
+                  onChange={(e) => setImportDeckId(e.target.value)}
+                  className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                >
+                  {(importPreview.kind === 'apkg' || importPreview.mapping.deck >= 0) && <option value="">Decks named in the file</option>}
+                  {flattenDeckTree(decks).map(({ deck }) => (
+                    <option key={deck.id} value={deck.id}>{getDeckPath(decks, deck.id)}</option>
+                  ))}
+                </select>
+              </div>
+              {importPreview.kind === 'apkg' && (
+                <label className="flex items-center gap-2 text-[#D1D1D1]">
+                  <input
+                    type="checkbox"
+                    checked={keepSchedule}
+                    onChange={(e) => setKeepSchedule(e.target.checked)}
+                    className="accent-[#FF3C00]"
+                  />
+                  Keep scheduling and review history
+                </label>
+              )}
+              <div className="flex gap-2">
+                <NeonButton onClick={importCards} disabled={isImporting}>
+                  {isImporting ? 'Importing...' : 'Import'}
+                </NeonButton>
+                <button
+                  onClick={() => setImportPreview(null)}
+                  className="px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          <label className="block text-[#D1D1D1] mb-2 font-semibold">
+            Export {deckId ? getDeckPath(decks, deckId) : 'all decks'} ({cardsInScope.length} cards)
+          </label>
+          <div className="flex gap-2">
+            <NeonButton onClick={exportCsv} disabled={cardsInScope.length === 0}>Export CSV</NeonButton>
+            <NeonButton onClick={exportApkg} disabled={cardsInScope.length === 0 || isExporting}>
+              {isExporting ? 'Exporting...' : 'Export .apkg'}
+            </NeonButton>
+          </div>
+          <p className="text-sm text-gray-500 mt-4">
+            Files are read and written in your browser. Anki packages from Anki 2.1.50 or later need "Support older Anki versions" ticked when exporting. Images and sounds are not imported.
+          </p>
+        </Card>
+      )}
+
+      {showAddCardForm && (
+        <Card className="mb-8 p-4 bg-[#0F0F0F] border border-[#222]">
+          <h4 className="text-xl text-[#FF3C00] font-bold mb-4">Add New Flashcard</h4>
+          <div className="space-y-4">
+            <NoteEditor note={newNote} onChange={setNewNote} decks={decks} onError={showEditorError} />
+            <NeonButton onClick={addFlashcard} className="w-full">Save Card</NeonButton>
+            {window.innerWidth < 768 && (
+              <button onClick={() => setShowAddCardForm(false)} className="mt-2 text-gray-400 hover:text-red-500">Cancel</button>
+            )}
+          </div>
+        </Card>
+      )}
+      {editingCard && editNote && (
+        <Card className="mb-8 p-4 bg-[#0F0F0F] border border-[#222]">
+          <h4 className="text-xl text-[#FF3C00] font-bold mb-4">Edit Card</h4>
+          <div className="space-y-4">
+            <NoteEditor note={editNote} onChange={setEditNote} decks={decks} onError={showEditorError} />
+            <NeonButton onClick={updateNote} className="w-full">Save Changes</NeonButton>
+            <button onClick={() => setEditingCard(null)} className="mt-2 text-gray-400 hover:text-red-500">Cancel</button>
+          </div>
+          <p className="text-sm text-gray-500 mt-4">
+            Cards that still exist after the edit keep their schedule; removed blanks or a removed reverse side are deleted.
+          </p>
+        </Card>
+      )}
+      {/* FAB for Add Card (mobile only) */}
+      {window.innerWidth < 768 && (
+        <FAB onClick={() => setShowAddCardForm(true)} label="Add Card" icon="+" />
+      )}
+
+      {dueCards.length > 0 && currentCard ? (
+        <div className="flex flex-col flex-grow items-center justify-center text-center">
+          <Card className="w-full max-w-lg min-h-[150px] flex flex-col justify-center items-center p-6 mb-6 transition-all duration-300 ease-in-out transform hover:scale-[1.02]">
+            {/* A revealed cloze repeats the whole text, so it replaces the front */}
+            {!(showAnswer && currentCard.type === 'cloze') && (
+              <CardContent text={currentSides.front} images={currentCard.images} className="text-2xl text-[#D1D1D1] font-bold mb-4 w-full" />
+            )}
+            {showAnswer && (
+              <CardContent text={currentSides.back} images={currentCard.images} className="text-lg text-[#D1D1D1] leading-relaxed animate-fade-in w-full" />
+            )}
+          </Card>
+          <button onClick={() => startEditing(currentCard)} className="text-sm text-gray-400 hover:text-[#FF3C00] mb-4">
+            ✏️ Edit Card
+          </button>
+
+          {!showAnswer ? (
+            <NeonButton onClick={() => setShowAnswer(true)} className="mb-4">
+              Show Answer
+            </NeonButton>
+          ) : (
+            <div className="flex flex-wrap justify-center gap-4 mt-4">
+              {REVIEW_GRADES.map(grade => {
+                const preview = calculateNextReview(currentCard, grade.value);
+                return (
+                  <NeonButton key={grade.value} onClick={() => handleReview(grade.value)} className={grade.className}>
+                    {grade.label}
+                    <span className="block text-xs font-normal opacity-75">
+                      {formatInterval(new Date(preview.nextReviewDate).getTime() - Date.now())}
+                    </span>
+                  </NeonButton>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="flex flex-col flex-grow items-center justify-center text-center">
+          <p className="text-xl text-[#D1D1D1] opacity-70">No flashcards due for review today!</p>
+          <p className="text-md text-[#D1D1D1] opacity-50 mt-2">Add new cards or check back later.</p>
+        </div>
+      )}
+
+      {/* Flashcard Management */}
+      <div className="mt-8">
+        <h3 className="text-xl font-bold text-[#FF3C00] mb-4">All Flashcards</h3>
+        {listedCards.length > 0 && (
+          <div className="flex flex-col sm:flex-row gap-2 mb-4">
+            <select
+              value=""
+              onChange={(e) => moveListedCards(e.target.value)}
+              className="flex-grow p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+            >
+              <option value="">Move {listedCards.length} listed cards to...</option>
+              {flattenDeckTree(decks).map(({ deck, depth }) => (
+                <option key={deck.id} value={deck.id}>{`${'\u00A0\u00A0'.repeat(depth)}${deck.name}`}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={listTag}
+              onChange={(e) => setListTag(e.target.value)}
+              placeholder="Tags for listed cards..."
+              className="flex-grow p-2 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1]"
+            />
+            <NeonButton onClick={() => tagListedCards(true)} disabled={listTag.trim() === ''}>Add Tags</NeonButton>
+            <NeonButton onClick={() => tagListedCards(false)} disabled={listTag.trim() === ''}>Remove Tags</NeonButton>
+          </div>
+        )}
+        <div className="space-y-2 max-h-64 overflow-y-auto">
+          {listedCards.sort(byQueueOrder).map((card) => (
+            <SwipeableItem
+              key={card.id}
+              onSwipeLeft={() => deleteFlashcard(card)}
+              leftAction="Delete"
+              leftColor="bg-red-500"
+              className="mb-2"
+            >
+              <div className="bg-[#0F0F0F] p-3 rounded-br-lg border border-[#222]">
+                <div className="flex justify-between items-start">
+                  <div className="flex-1 min-w-0">
+                    <CardContent text={cardSides(card).front} images={card.images} className="text-[#D1D1D1] font-semibold mb-1" />
+                    <CardContent text={card.type === 'cloze' ? card.answer : cardSides(card).back} images={card.images} className="text-gray-400 text-sm" />
+                    {card.type && card.type !== 'basic' && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        {card.type === 'cloze' ? `Cloze ${card.ord}` : (card.ord === 1 ? 'Reversed (back → front)' : 'Reversed (front → back)')}
+                      </p>
+                    )}
+                    {(card.tags || []).length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {card.tags.map(tag => (
+                          <span key={tag} className="text-xs text-gray-400 bg-[#1a1a1a] rounded-lg px-2">#{tag}</span>
+                        ))}
+                      </div>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">{getDeckPath(decks, getCardDeckId(card))}</p>
+                    <p className="text-xs text-[#FF3C00] mt-1">
+                      {getCardState(card) === 'new'
+                        ? 'New'
+                        : `Next Review: ${card.nextReviewDate.toLocaleString([], { dateStyle: 'short', timeStyle: getCardState(card) === 'review' ? undefined : 'short' })}`}
+                      {card.algorithm && <span className="text-gray-500 ml-2">({SCHEDULERS[card.algorithm] ? SCHEDULERS[card.algorithm].name : card.algorithm})</span>}
+                    </p>
+                  </div>
+                  <button onClick={() => startEditing(card)} className="text-gray-400 hover:text-[#FF3C00] text-sm ml-2" title="Edit Card">✏️</button>
+                </div>
+              </div>
+            </SwipeableItem>
+          ))}
+        </div>
+      </div>
+
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title={modalContent.title}
+        message={modalContent.message}
+      />
+    </Card>
+  );
+};
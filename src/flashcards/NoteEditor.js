@@ -0,0 +1,142 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { flattenDeckTree, getDeckPath } from './decks';
+import { CARD_TYPES, cardSides, clozeNumbers, imageToDataUrl, noteItemKey, noteItems, renderCardMarkdown } from './cardContent';
+
+export const CardContent = ({ text, images, className = '' }) => {
+  const html = useMemo(() => renderCardMarkdown(text, images), [text, images]);
+  return <div className={`card-content ${className}`} dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+// Edit view for every card type; `note` is { type, front, back, images, deckId, tags }
+export const NoteEditor = ({ note, onChange, decks, onError }) => {
+  const frontRef = useRef(null);
+  const backRef = useRef(null);
+  const lastFieldRef = useRef('front'); // Field that receives inserted images
+  const [showPreview, setShowPreview] = useState(false);
+  const isCloze = note.type === 'cloze';
+  const fieldClass = "w-full bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-3 rounded-bl-md focus:outline-none focus:border-[#FF3C00] font-mono text-sm";
+
+  const update = (changes) => onChange({ ...note, ...changes });
+
+  // The field's text with the selection replaced by wrap(selection)
+  const withInsertion = (field, wrap) => {
+    const textarea = (field === 'front' ? frontRef : backRef).current;
+    const value = note[field] || '';
+    const start = textarea ? textarea.selectionStart : value.length;
+    const end = textarea ? textarea.selectionEnd : value.length;
+    return value.slice(0, start) + wrap(value.slice(start, end)) + value.slice(end);
+  };
+
+  const addCloze = () => {
+    const next = Math.max(0, ...clozeNumbers(note.front)) + 1;
+    update({ front: withInsertion('front', (selected) => `{{c${next}::${selected || '...'}}}`) });
+  };
+
+  const addImage = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = null;
+    if (!file) return;
+    try {
+      const id = Date.now().toString(36);
+      const field = lastFieldRef.current;
+      update({
+        images: { ...note.images, [id]: await imageToDataUrl(file) },
+        [field]: withInsertion(field, (selected) => `![${selected || file.name.replace(/\.\w+$/, '')}](image:${id})`)
+      });
+    } catch (err) {
+      console.error("Error reading image: ", err);
+      onError(`Failed to add ${file.name}. ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        {CARD_TYPES.map(cardType => (
+          <button
+            key={cardType.id}
+            onClick={() => update({ type: cardType.id })}
+            className={`px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200
+              ${note.type === cardType.id ? 'bg-[#FF3C00] text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+          >
+            {cardType.label}
+          </button>
+        ))}
+      </div>
+      <textarea
+        ref={frontRef}
+        value={note.front}
+        onChange={(e) => update({ front: e.target.value })}
+        onFocus={() => { lastFieldRef.current = 'front'; }}
+        placeholder={isCloze ? 'Text with blanks, e.g. The capital of France is {{c1::Paris}}.' : 'Enter question...'}
+        rows="3"
+        className={fieldClass}
+      ></textarea>
+      <textarea
+        ref={backRef}
+        value={note.back}
+        onChange={(e) => update({ back: e.target.value })}
+        onFocus={() => { lastFieldRef.current = 'back'; }}
+        placeholder={isCloze ? 'Extra (optional, shown with the answer)...' : 'Enter answer...'}
+        rows="3"
+        className={fieldClass}
+      ></textarea>
+      <div className="flex flex-wrap gap-2">
+        {isCloze && (
+          <button onClick={addCloze} className="px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600">
+            [...] Cloze
+          </button>
+        )}
+        <label className="px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600 cursor-pointer">
+          🖼️ Image
+          <input type="file" accept="image/*" onChange={addImage} className="hidden" />
+        </label>
+        <button
+          onClick={() => setShowPreview(!showPreview)}
+          className="px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+        >
+          {showPreview ? 'Hide Preview' : 'Preview'}
+        </button>
+      </div>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <select
+          value={note.deckId}
+          onChange={(e) => update({ deckId: e.target.value })}
+          className="flex-grow bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-3 rounded-bl-md focus:outline-none focus:border-[#FF3C00]"
+        >
+          {flattenDeckTree(decks).map(({ deck }) => (
+            <option key={deck.id} value={deck.id}>{getDeckPath(decks, deck.id)}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={note.tags}
+          onChange={(e) => update({ tags: e.target.value })}
+          placeholder="Tags (comma or space separated)"
+          className="flex-grow bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-3 rounded-bl-md focus:outline-none focus:border-[#FF3C00]"
+        />
+      </div>
+      {showPreview && (
+        <div className="space-y-2">
+          {noteItems(note).length === 0 && (
+            <p className="text-sm text-gray-500">Select some text and press [...] Cloze to add a blank.</p>
+          )}
+          {noteItems(note).map(item => {
+            const sides = cardSides(item);
+            return (
+              <div key={noteItemKey(item)} className="grid grid-cols-1 md:grid-cols-2 gap-2 bg-[#1a1a1a] border border-[#333] rounded-lg p-3 text-[#D1D1D1]">
+                <CardContent text={sides.front} images={note.images} />
+                <CardContent text={sides.back} images={note.images} className="border-t md:border-t-0 md:border-l border-[#333] pt-2 md:pt-0 md:pl-2" />
+              </div>
+            );
+          })}
+        </div>
+      )}
+      <p className="text-xs text-gray-500">
+        Markdown, ```code``` blocks, $math$ and $$display math$$ are supported.
+        {note.type === 'reversed' && ' A second card asks the answer side first.'}
+        {isCloze && ' Each numbered blank becomes its own card; reuse a number to hide several parts together.'}
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,153 @@
+import { Marked } from 'marked';
+import hljs from 'highlight.js/lib/common';
+import katex from 'katex';
+import DOMPurify from 'dompurify';
+import 'highlight.js/styles/github-dark.css';
+import 'katex/dist/katex.min.css';
+import { DEFAULT_DECK, getCardDeckId } from './decks';
+
+export const CARD_TYPES = [
+  { id: 'basic', label: 'Basic' },
+  { id: 'reversed', label: 'Basic + Reversed' },
+  { id: 'cloze', label: 'Cloze' }
+];
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([^}]*?))?\}\}/g;
+const IMAGE_REF_PATTERN = /\(image:([\w-]+)\)/g; // Markdown image targets: ![alt](image:id)
+export const IMAGE_MAX_DIMENSION = 800;
+export const IMAGE_MIN_DIMENSION = 200; // Smallest an imported image is shrunk to so its card fits
+export const MAX_CARD_IMAGE_BYTES = 700 * 1024; // Firestore documents are limited to 1 MiB
+// Private-use characters mark where math and cloze highlights go once the Markdown is rendered.
+// They are stripped from card text first, so nothing a user enters can be mistaken for them.
+const MATH_MARKER = '\uE000';
+const CLOZE_START_MARKER = '\uE001';
+const CLOZE_END_MARKER = '\uE002';
+const CARD_MARKER_PATTERN = /[\uE000-\uE002]/g;
+
+const cardMarked = new Marked({
+  breaks: true,
+  renderer: {
+    code({ text, lang }) {
+      const language = lang && hljs.getLanguage(lang) ? lang : null;
+      const highlighted = language ? hljs.highlight(text, { language }).value : hljs.highlightAuto(text).value;
+      return `<pre><code class="hljs${language ? ` language-${language}` : ''}">${highlighted}</code></pre>`;
+    }
+  }
+});
+
+export const newCardSchedule = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0); // Due immediately
+  return {
+    state: 'new',
+    step: 0,
+    lastReviewDate: null,
+    nextReviewDate: today.toISOString(),
+    interval: 0,
+    eFactor: 2.5, // Initial ease factor (SM-2)
+    stability: null, // Set by the first FSRS rating
+    difficulty: null,
+    reps: 0,
+    lapses: 0,
+    algorithm: null // Scheduler that produced nextReviewDate
+  };
+};
+
+export const emptyNote = (deckId) => ({ type: 'basic', front: '', back: '', images: {}, deckId: deckId || DEFAULT_DECK.id, tags: '' });
+
+export const clozeNumbers = (text) =>
+  [...new Set([...(text || '').matchAll(CLOZE_PATTERN)].map(match => Number(match[1])))].sort((a, b) => a - b);
+
+// Hides cloze `ord` as [...] (or its hint) until the answer is shown; other clozes read as plain text
+export const renderCloze = (text, ord, { showAnswer = false, mark = (value) => value } = {}) => text.replace(
+  CLOZE_PATTERN,
+  (_, number, answer, hint) => (Number(number) === ord ? mark(showAnswer ? answer : `[${hint || '...'}]`) : answer)
+);
+
+// A note is what the user edits; each review item it produces is stored as its own card so it
+// keeps its own schedule. Reversed notes produce front→back and back→front, cloze notes one per blank.
+export const noteItems = ({ type = 'basic', front, back }) => {
+  if (type === 'cloze') return clozeNumbers(front).map(ord => ({ type, ord, question: front, answer: back }));
+  const items = [{ type, ord: 0, question: front, answer: back }];
+  if (type === 'reversed') items.push({ type, ord: 1, question: back, answer: front });
+  return items;
+};
+
+// Items that survive an edit keep their schedule, including across basic ↔ reversed
+export const noteItemKey = (item) => `${item.type === 'cloze' ? 'cloze' : 'basic'}-${item.ord || 0}`;
+
+export const getNoteId = (card) => card.noteId || card.id;
+
+export const noteFromCard = (card) => {
+  const isBackSide = card.type === 'reversed' && card.ord === 1;
+  return {
+    type: card.type || 'basic',
+    front: isBackSide ? card.answer : card.question,
+    back: isBackSide ? card.question : card.answer,
+    images: card.images || {},
+    deckId: getCardDeckId(card),
+    tags: (card.tags || []).join(' ')
+  };
+};
+
+// The Markdown shown before and after revealing the answer. The active cloze is marked rather
+// than wrapped in HTML, so it is highlighted even inside code blocks.
+export const cardSides = (card) => {
+  const question = (card.question || '').replace(CARD_MARKER_PATTERN, '');
+  const answer = (card.answer || '').replace(CARD_MARKER_PATTERN, '');
+  if (card.type !== 'cloze') return { front: question, back: answer };
+  const mark = (value) => `${CLOZE_START_MARKER}${value}${CLOZE_END_MARKER}`;
+  return {
+    front: renderCloze(question, card.ord, { mark }),
+    back: [renderCloze(question, card.ord, { showAnswer: true, mark }), answer].filter(Boolean).join('\n\n')
+  };
+};
+
+export const inlineImages = (text, images = {}) =>
+  text.replace(IMAGE_REF_PATTERN, (match, id) => (images[id] ? `(${images[id]})` : match));
+
+// Drops images no longer referenced by the note's text
+export const usedImages = (texts, images = {}) =>
+  Object.fromEntries(Object.entries(images).filter(([id]) => texts.some(text => text.includes(`(image:${id})`))));
+
+// UTF-8 size of a value as JSON, close to what Firestore stores for it
+export const jsonBytes = (value) => new TextEncoder().encode(JSON.stringify(value)).length;
+
+// Downscales an image so cards stay well under Firestore's document size limit
+export const imageToDataUrl = (blob, maxDimension = IMAGE_MAX_DIMENSION) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(blob);
+  const image = new Image();
+  image.onload = () => {
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    resolve(canvas.toDataURL('image/webp', 0.8));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The image could not be read.'));
+  };
+  image.src = url;
+});
+
+// Markdown with highlighted code and $inline$ / $$display$$ KaTeX math. Math and cloze highlights
+// are swapped in after sanitizing (DOMPurify would strip KaTeX's MathML); math is never looked for
+// inside code.
+export const renderCardMarkdown = (text, images) => {
+  const math = [];
+  const placeholder = (tex, displayMode) => `${MATH_MARKER}${math.push({ tex, displayMode }) - 1}${MATH_MARKER}`;
+  const source = inlineImages((text || '').replace(new RegExp(MATH_MARKER, 'g'), ''), images)
+    .split(/(```[\s\S]*?```|`[^`\n]*`)/)
+    .map((part, i) => (i % 2 ? part : part
+      .replace(/\$\$([\s\S]+?)\$\$/g, (_, tex) => placeholder(tex, true))
+      .replace(/\$([^\s$](?:[^$\n]*[^\s$])?)\$/g, (_, tex) => placeholder(tex, false))))
+    .join('');
+  return DOMPurify.sanitize(cardMarked.parse(source))
+    .replace(new RegExp(`${MATH_MARKER}(\\d+)${MATH_MARKER}`, 'g'), (match, i) => (math[i]
+      ? katex.renderToString(math[i].tex, { displayMode: math[i].displayMode, throwOnError: false })
+      : match))
+    .replace(new RegExp(CLOZE_START_MARKER, 'g'), '<span class="cloze">')
+    .replace(new RegExp(CLOZE_END_MARKER, 'g'), '</span>');
+};
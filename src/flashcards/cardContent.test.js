@@ -0,0 +1,81 @@
+import { renderCardMarkdown, renderCloze, clozeNumbers, cardSides, noteItems, noteFromCard, inlineImages, usedImages } from './cardContent';
+
+describe('cloze expansion', () => {
+  const text = 'The {{c1::sun}} is a {{c2::star::type of object}}; {{c1::Sol}} for short';
+
+  it('lists the cloze numbers once each', () => {
+    expect(clozeNumbers(text)).toEqual([1, 2]);
+    expect(clozeNumbers('{{c10::a}} {{c2::b}}')).toEqual([2, 10]);
+    expect(clozeNumbers('')).toEqual([]);
+  });
+
+  it('hides the active cloze and shows the others', () => {
+    expect(renderCloze(text, 1)).toBe('The [...] is a star; [...] for short');
+    expect(renderCloze(text, 2)).toBe('The sun is a [type of object]; Sol for short');
+    expect(renderCloze(text, 2, { showAnswer: true, mark: value => `*${value}*` })).toBe('The sun is a *star*; Sol for short');
+  });
+
+  it('makes one review item per cloze and two for reversed notes', () => {
+    expect(noteItems({ type: 'cloze', front: text, back: 'extra' }).map(item => item.ord)).toEqual([1, 2]);
+    expect(noteItems({ type: 'reversed', front: 'one', back: 'uno' })).toEqual([
+      { type: 'reversed', ord: 0, question: 'one', answer: 'uno' },
+      { type: 'reversed', ord: 1, question: 'uno', answer: 'one' }
+    ]);
+  });
+
+  it('reads the note back from either side of a reversed card', () => {
+    expect(noteFromCard({ type: 'reversed', ord: 1, question: 'uno', answer: 'one', deckId: 'es', tags: ['a', 'b'] }))
+      .toMatchObject({ front: 'one', back: 'uno', deckId: 'es', tags: 'a b' });
+  });
+});
+
+describe('renderCardMarkdown', () => {
+  it('renders Markdown and sanitizes HTML', () => {
+    const html = renderCardMarkdown('**bold**<img src=x onerror="alert(1)">');
+    expect(html).toContain('<strong>bold</strong>');
+    expect(html).not.toContain('onerror');
+  });
+
+  it('highlights the active cloze, even inside code', () => {
+    const { front, back } = cardSides({ type: 'cloze', ord: 1, question: 'Use `{{c1::map}}` here', answer: 'Notes' });
+    expect(renderCardMarkdown(front)).toContain('<span class="cloze">[...]</span>');
+    const answer = renderCardMarkdown(back);
+    expect(answer).toContain('<span class="cloze">map</span>');
+    expect(answer).toContain('Notes');
+  });
+
+  it('strips marker characters typed into the card', () => {
+    const { front, back } = cardSides({ type: 'cloze', ord: 1, question: 'a\uE001b\uE002c {{c1::d}}', answer: '\uE001e' });
+    expect(renderCardMarkdown(front)).toBe('<p>abc <span class="cloze">[...]</span></p>\n');
+    expect(back).toBe('abc \uE001d\uE002\n\ne');
+  });
+
+  it('renders math outside code only', () => {
+    const html = renderCardMarkdown('$x^2$ and `$y$`');
+    expect(html).toContain('class="katex"');
+    expect(html).toContain('<code>$y$</code>');
+    expect(renderCardMarkdown('$$\\frac{1}{2}$$')).toContain('katex-display');
+  });
+
+  it('leaves prices alone', () => {
+    expect(renderCardMarkdown('costs $5 or $ 10')).not.toContain('katex');
+  });
+
+  it('highlights fenced code', () => {
+    expect(renderCardMarkdown('```js\nconst a = 1;\n```')).toContain('<code class="hljs language-js">');
+  });
+});
+
+describe('card images', () => {
+  const images = { abc: 'data:image/png;base64,AAAA', old: 'data:image/png;base64,BBBB' };
+
+  it('inlines stored images', () => {
+    expect(inlineImages('![x](image:abc) ![y](image:missing)', images))
+      .toBe('![x](data:image/png;base64,AAAA) ![y](image:missing)');
+    expect(renderCardMarkdown('![x](image:abc)', images)).toContain('src="data:image/png;base64,AAAA"');
+  });
+
+  it('drops images no longer referenced', () => {
+    expect(usedImages(['![x](image:abc)', 'back'], images)).toEqual({ abc: images.abc });
+  });
+});
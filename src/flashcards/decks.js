@@ -0,0 +1,81 @@
+import { LEARN_AHEAD_MINUTES, getCardState } from './schedulers';
+
+// Cards without a deckId live in the Default deck, which works before its document is first written
+export const DEFAULT_DECK = { id: 'default', name: 'Default', parentId: null, newPerDay: 20, reviewsPerDay: 200 };
+
+export const todayKey = (date = new Date()) => date.toLocaleDateString('en-CA'); // Local 'YYYY-MM-DD'
+
+export const withDefaultDeck = (decks) => [
+  { ...DEFAULT_DECK, ...decks.find(deck => deck.id === DEFAULT_DECK.id) },
+  ...decks.filter(deck => deck.id !== DEFAULT_DECK.id)
+];
+
+export const getCardDeckId = (card) => card.deckId || DEFAULT_DECK.id;
+
+// Deck ids of a deck and all its descendants; null means every deck
+export const getSubtreeIds = (decks, deckId) => {
+  if (!deckId) return decks.map(deck => deck.id);
+  const children = decks.filter(deck => deck.parentId === deckId);
+  return [deckId, ...children.flatMap(child => getSubtreeIds(decks, child.id))];
+};
+
+// Ancestors first, e.g. 'Languages :: Spanish :: Verbs'
+export const getDeckPath = (decks, deckId) => {
+  const deck = decks.find(d => d.id === deckId);
+  if (!deck) return '';
+  return deck.parentId ? `${getDeckPath(decks, deck.parentId)} :: ${deck.name}` : deck.name;
+};
+
+export const getAncestorIds = (decks, deckId) => {
+  const deck = decks.find(d => d.id === deckId);
+  return deck && deck.parentId ? [deck.parentId, ...getAncestorIds(decks, deck.parentId)] : [];
+};
+
+// Depth-first list of { deck, depth } for indented tree views
+export const flattenDeckTree = (decks, parentId = null, depth = 0) => decks
+  .filter(deck => (deck.parentId || null) === parentId)
+  .sort((a, b) => a.name.localeCompare(b.name))
+  .flatMap(deck => [{ deck, depth }, ...flattenDeckTree(decks, deck.id, depth + 1)]);
+
+// New or review cards a deck may still show today; dailyCounts is { 'YYYY-MM-DD': { new, review } }
+const remainingToday = (deck, kind) => {
+  const counts = (deck.dailyCounts && deck.dailyCounts[todayKey()]) || {};
+  return Math.max(0, (kind === 'new' ? deck.newPerDay : deck.reviewsPerDay) - (counts[kind] || 0));
+};
+
+// Cards to study now in a deck and its subdecks, optionally narrowed to a tag. Learning cards are
+// never limited; new and review cards respect each deck's own daily limits, then the studied deck's.
+export const buildStudyQueue = (cards, decks, deckId, now, tag = '') => {
+  const deckIds = getSubtreeIds(decks, deckId);
+  const inScope = cards.filter(card =>
+    deckIds.includes(getCardDeckId(card)) && (!tag || (card.tags || []).includes(tag))
+  );
+  const byDue = (a, b) => a.nextReviewDate.getTime() - b.nextReviewDate.getTime();
+  const isLearning = (card) => ['learning', 'relearning'].includes(getCardState(card));
+  const due = inScope.filter(card => card.nextReviewDate.getTime() <= now);
+
+  const limited = (state, kind) => {
+    const picked = deckIds.flatMap(id => {
+      const deck = decks.find(d => d.id === id);
+      const cardsInDeck = due.filter(card => getCardDeckId(card) === id && getCardState(card) === state).sort(byDue);
+      return deck ? cardsInDeck.slice(0, remainingToday(deck, kind)) : cardsInDeck;
+    }).sort(byDue);
+    const studied = decks.find(d => d.id === deckId);
+    return studied ? picked.slice(0, remainingToday(studied, kind)) : picked;
+  };
+
+  const queue = {
+    learning: due.filter(isLearning).sort(byDue),
+    review: limited('review', 'review'),
+    new: limited('new', 'new')
+  };
+  if (queue.learning.length + queue.review.length + queue.new.length === 0) {
+    queue.learning = inScope
+      .filter(card => isLearning(card) && card.nextReviewDate.getTime() <= now + LEARN_AHEAD_MINUTES * 60 * 1000)
+      .sort(byDue);
+  }
+  return queue;
+};
+
+// Tags as typed in the add form, e.g. 'spanish, verbs' -> ['spanish', 'verbs']
+export const parseTags = (text) => [...new Set(text.split(/[\s,]+/).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
@@ -0,0 +1,99 @@
+import { getSubtreeIds, getDeckPath, flattenDeckTree, buildStudyQueue, parseTags, todayKey } from './decks';
+
+const decks = [
+  { id: 'default', name: 'Default', parentId: null, newPerDay: 20, reviewsPerDay: 200 },
+  { id: 'lang', name: 'Languages', parentId: null, newPerDay: 3, reviewsPerDay: 200 },
+  { id: 'es', name: 'Spanish', parentId: 'lang', newPerDay: 2, reviewsPerDay: 200 },
+  { id: 'verbs', name: 'Verbs', parentId: 'es', newPerDay: 20, reviewsPerDay: 1 },
+  { id: 'de', name: 'German', parentId: 'lang', newPerDay: 20, reviewsPerDay: 200 }
+];
+const now = new Date(2024, 0, 10, 15, 0).getTime();
+const minutesAgo = (minutes) => new Date(now - minutes * 60 * 1000);
+const card = (id, deckId, state, dueMinutesAgo, extra = {}) => ({
+  id,
+  deckId,
+  state,
+  nextReviewDate: minutesAgo(dueMinutesAgo),
+  ...extra
+});
+const ids = (cards) => cards.map(c => c.id);
+
+describe('deck tree helpers', () => {
+  it('lists a deck and all its descendants', () => {
+    expect(getSubtreeIds(decks, 'lang')).toEqual(['lang', 'es', 'verbs', 'de']);
+    expect(getSubtreeIds(decks, 'verbs')).toEqual(['verbs']);
+    expect(getSubtreeIds(decks, null)).toEqual(decks.map(deck => deck.id));
+  });
+
+  it('builds the full deck path', () => {
+    expect(getDeckPath(decks, 'verbs')).toBe('Languages :: Spanish :: Verbs');
+    expect(getDeckPath(decks, 'missing')).toBe('');
+  });
+
+  it('flattens the tree alphabetically with depths', () => {
+    expect(flattenDeckTree(decks).map(({ deck, depth }) => `${depth}:${deck.id}`))
+      .toEqual(['0:default', '0:lang', '1:de', '1:es', '2:verbs']);
+  });
+
+  it('parses tags', () => {
+    expect(parseTags('Spanish, verbs  spanish')).toEqual(['spanish', 'verbs']);
+  });
+});
+
+describe('buildStudyQueue', () => {
+  it('orders due cards by due date and leaves future cards out', () => {
+    const cards = [
+      card('later', 'de', 'review', 5),
+      card('earlier', 'de', 'review', 50),
+      card('future', 'de', 'review', -60)
+    ];
+    expect(ids(buildStudyQueue(cards, decks, 'de', now).review)).toEqual(['earlier', 'later']);
+  });
+
+  it('applies each subdeck limit, then the studied deck limit', () => {
+    const cards = [
+      card('es1', 'es', 'new', 10),
+      card('es2', 'es', 'new', 9),
+      card('es3', 'es', 'new', 8),
+      card('de1', 'de', 'new', 7),
+      card('de2', 'de', 'new', 6)
+    ];
+    expect(ids(buildStudyQueue(cards, decks, 'es', now).new)).toEqual(['es1', 'es2']);
+    expect(ids(buildStudyQueue(cards, decks, 'lang', now).new)).toEqual(['es1', 'es2', 'de1']);
+  });
+
+  it('subtracts what was already studied today', () => {
+    const studied = decks.map(deck => deck.id === 'de' ? { ...deck, dailyCounts: { [todayKey()]: { new: 19 } } } : deck);
+    const cards = [card('de1', 'de', 'new', 7), card('de2', 'de', 'new', 6)];
+    expect(ids(buildStudyQueue(cards, studied, 'de', now).new)).toEqual(['de1']);
+  });
+
+  it('never limits learning cards', () => {
+    const cards = [
+      card('l1', 'verbs', 'learning', 3),
+      card('l2', 'verbs', 'relearning', 2),
+      card('r1', 'verbs', 'review', 5),
+      card('r2', 'verbs', 'review', 4)
+    ];
+    const queue = buildStudyQueue(cards, decks, 'verbs', now);
+    expect(ids(queue.learning)).toEqual(['l1', 'l2']);
+    expect(ids(queue.review)).toEqual(['r1']);
+  });
+
+  it('narrows the queue to a tag', () => {
+    const cards = [card('a', 'de', 'review', 5, { tags: ['verbs'] }), card('b', 'de', 'review', 5)];
+    expect(ids(buildStudyQueue(cards, decks, null, now, 'verbs').review)).toEqual(['a']);
+  });
+
+  it('learns ahead only when nothing else is due', () => {
+    const soon = card('soon', 'de', 'learning', -10);
+    const tooLate = card('tooLate', 'de', 'learning', -30);
+    expect(ids(buildStudyQueue([soon, tooLate], decks, 'de', now).learning)).toEqual(['soon']);
+    expect(ids(buildStudyQueue([soon, card('due', 'de', 'review', 1)], decks, 'de', now).learning)).toEqual([]);
+  });
+
+  it('treats cards without a deck as Default cards', () => {
+    const cards = [{ id: 'old', interval: 3, nextReviewDate: minutesAgo(1) }];
+    expect(ids(buildStudyQueue(cards, decks, 'default', now).review)).toEqual(['old']);
+  });
+});
@@ -0,0 +1,441 @@
+import { writeBatch } from 'firebase/firestore';
+import JSZip from 'jszip';
+import initSqlJs from 'sql.js';
+import sqlWasmUrl from 'sql.js/dist/sql-wasm-browser.wasm';
+import { DAY_MS, getCardState } from './schedulers';
+import { DEFAULT_DECK, getCardDeckId, parseTags } from './decks';
+import { IMAGE_MAX_DIMENSION, IMAGE_MIN_DIMENSION, MAX_CARD_IMAGE_BYTES, clozeNumbers, getNoteId, imageToDataUrl, jsonBytes, noteFromCard, renderCloze, usedImages } from './cardContent';
+
+const ANKI_FIELD_SEPARATOR = '\x1f';
+const FIRESTORE_BATCH_SIZE = 450; // Firestore allows 500 writes per batch
+const FIRESTORE_BATCH_BYTES = 8 * 1024 * 1024; // and 10 MiB per request
+
+// Legacy (schema 11) collection layout, which every Anki version can import
+const ANKI_SCHEMA = `
+  CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+  CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+  CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+  CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+  CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+`;
+
+const ANKI_CARD_STATES = { 0: 'new', 1: 'learning', 2: 'review', 3: 'relearning' };
+export const ANKI_REVLOG_STATES = { 0: 'learning', 1: 'review', 2: 'relearning', 3: 'review' };
+
+// sql.js compiles its WebAssembly once per page
+let sqlJsPromise = null;
+const loadSqlJs = () => {
+  if (!sqlJsPromise) sqlJsPromise = initSqlJs({ locateFile: () => sqlWasmUrl });
+  return sqlJsPromise;
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// A batch is committed once it holds FIRESTORE_BATCH_SIZE writes or the next write would take
+// it past FIRESTORE_BATCH_BYTES, so cards carrying images do not overflow the request
+export const commitInBatches = async (db, writes) => {
+  let batch = writeBatch(db);
+  let count = 0;
+  let bytes = 0;
+  for (const { ref, data } of writes) {
+    const size = jsonBytes(data);
+    if (count > 0 && (count >= FIRESTORE_BATCH_SIZE || bytes + size > FIRESTORE_BATCH_BYTES)) {
+      await batch.commit();
+      batch = writeBatch(db);
+      count = 0;
+      bytes = 0;
+    }
+    batch.set(ref, data);
+    count++;
+    bytes += size;
+  }
+  if (count > 0) await batch.commit();
+};
+
+// Anki fields are HTML; cards here are plain text
+export const htmlToText = (html) => {
+  const withBreaks = html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|li)>/gi, '\n')
+    .replace(/\[sound:[^\]]*\]/g, '');
+  const text = new DOMParser().parseFromString(withBreaks, 'text/html').body.textContent || '';
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+};
+
+const textToHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\n/g, '<br>');
+
+// Renders an Anki card template: {{Field}}, {{#Field}}…{{/Field}}, {{^Field}}…{{/Field}},
+// {{FrontSide}} and filters such as {{cloze:Text}} or {{text:Field}}
+const renderAnkiTemplate = (template, fields, { frontSide = '', clozeOrd = null, showAnswer = false } = {}) => template
+  .replace(/\{\{([#^])([^}]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, kind, name, inner) => {
+    const filled = (fields[name.trim()] || '').trim() !== '';
+    return (kind === '#') === filled ? inner : '';
+  })
+  .replace(/\{\{([^}]+)\}\}/g, (_, tag) => {
+    const parts = tag.trim().split(':');
+    const fieldName = parts.pop();
+    if (fieldName === 'FrontSide') return frontSide;
+    if (parts.includes('type')) return ''; // Type-in-the-answer boxes have no equivalent here
+    const value = fields[fieldName] || '';
+    return parts.includes('cloze') ? renderCloze(value, clozeOrd, { showAnswer }) : value;
+  });
+
+const sqlRows = (database, sql) => {
+  const [result] = database.exec(sql);
+  if (!result) return [];
+  return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+};
+
+// Reads an .apkg into cards with their deck path, tags, images, Anki scheduling and review log.
+// Packages in the newer zstd format (collection.anki21b only) must be re-exported as legacy.
+export const parseApkg = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+  const entry = zip.file('collection.anki21') || (!zip.file('collection.anki21b') && zip.file('collection.anki2'));
+  if (!entry) {
+    throw new Error(zip.file('collection.anki21b')
+      ? 'This package uses the newer Anki format. Export it again with "Support older Anki versions" ticked.'
+      : 'This file does not contain an Anki collection.');
+  }
+
+  const SQL = await loadSqlJs();
+  const database = new SQL.Database(await entry.async('uint8array'));
+  try {
+    const [col] = sqlRows(database, 'SELECT crt, models, decks FROM col');
+    const models = JSON.parse(col.models);
+    const ankiDecks = JSON.parse(col.decks);
+    const notes = Object.fromEntries(sqlRows(database, 'SELECT id, mid, tags, flds FROM notes').map(note => [note.id, note]));
+    const reviews = sqlRows(database, 'SELECT id, cid, ease, ivl, lastIvl, time, type FROM revlog');
+    const lastReviews = new Map(); // Card id -> time of its latest review
+    reviews.forEach(review => lastReviews.set(review.cid, Math.max(lastReviews.get(review.cid) || 0, review.id)));
+
+    const mediaNames = zip.file('media') ? JSON.parse(await zip.file('media').async('string')) : {};
+    const mediaEntries = Object.fromEntries(Object.entries(mediaNames).map(([entryName, fileName]) => [fileName, entryName]));
+    const imageIds = {}; // Media file name -> image id on the imported cards
+    // <img> tags become Markdown image references; the files are read once every card is known
+    const toText = (html) => htmlToText(html.replace(/<img[^>]*?src=["']?([^"'>\s]+)["']?[^>]*>/gi, (_, src) => {
+      let fileName = src;
+      try { fileName = decodeURIComponent(src); } catch (e) { /* Keep the name as written */ }
+      if (!mediaEntries[fileName]) return '';
+      imageIds[fileName] = imageIds[fileName] || `anki${Object.keys(imageIds).length}`;
+      return `![](image:${imageIds[fileName]})`;
+    }));
+
+    const cards = sqlRows(database, 'SELECT id, nid, did, ord, type, queue, due, ivl, factor, reps, lapses FROM cards').flatMap(card => {
+      const note = notes[card.nid];
+      const model = note && models[note.mid];
+      if (!model) return [];
+      const values = note.flds.split(ANKI_FIELD_SEPARATOR);
+      const fieldNames = [...model.flds].sort((a, b) => a.ord - b.ord).map(field => field.name);
+      const fields = Object.fromEntries(fieldNames.map((name, i) => [name, values[i] || '']));
+      const lastReview = lastReviews.get(card.id) || 0;
+      const common = {
+        ankiId: card.id,
+        deckPath: ankiDecks[card.did] ? ankiDecks[card.did].name : 'Default',
+        tags: parseTags(note.tags),
+        schedule: ankiSchedule(card, col.crt, lastReview)
+      };
+
+      // Cloze notes stay cloze notes: the text keeps its {{cN::...}} markup and other fields become the extra
+      if (model.type === 1) {
+        const clozeMatch = model.tmpls[0].qfmt.match(/\{\{(?:[^}:]*:)*cloze:([^}]+)\}\}/);
+        const clozeField = clozeMatch ? clozeMatch[1].trim() : fieldNames[0];
+        return [{
+          ...common,
+          type: 'cloze',
+          ord: card.ord + 1,
+          noteKey: note.id,
+          question: toText(fields[clozeField] || ''),
+          answer: fieldNames.filter(name => name !== clozeField).map(name => toText(fields[name])).filter(Boolean).join('\n\n')
+        }];
+      }
+
+      const template = model.tmpls.find(t => t.ord === card.ord);
+      if (!template) return [];
+      const front = renderAnkiTemplate(template.qfmt, fields);
+      const back = renderAnkiTemplate(template.afmt, fields, { frontSide: front, showAnswer: true });
+      return [{
+        ...common,
+        question: toText(front),
+        answer: toText(back.split(/<hr id=["']?answer["']?\s*\/?>/i).pop())
+      }];
+    }).filter(card => card.question !== '');
+
+    const images = {};
+    const blobs = {};
+    for (const [fileName, id] of Object.entries(imageIds)) {
+      try {
+        blobs[id] = await zip.file(mediaEntries[fileName]).async('blob');
+        images[id] = await imageToDataUrl(blobs[id]);
+      } catch (e) {
+        console.error(`Error reading Anki media ${fileName}: `, e);
+      }
+    }
+
+    // A card whose images together are too large has them re-encoded at half the size until they
+    // fit; one that still does not is left over the limit and skipped by the import
+    const cardsWithImages = [];
+    for (const card of cards) {
+      let cardImages = usedImages([card.question, card.answer], images);
+      for (let maxDimension = IMAGE_MAX_DIMENSION / 2;
+        jsonBytes(cardImages) > MAX_CARD_IMAGE_BYTES && maxDimension >= IMAGE_MIN_DIMENSION;
+        maxDimension /= 2) {
+        const smaller = {};
+        for (const id of Object.keys(cardImages)) smaller[id] = await imageToDataUrl(blobs[id], maxDimension);
+        cardImages = smaller;
+      }
+      cardsWithImages.push({ ...card, images: cardImages });
+    }
+
+    return {
+      cards: cardsWithImages,
+      reviews: reviews.filter(review => review.ease > 0)
+    };
+  } finally {
+    database.close();
+  }
+};
+
+// Anki review cards are due on a day counted from the collection's creation; learning cards
+// (queue 1) at an epoch second and day-learning cards (queue 3) on a day again
+export const ankiSchedule = (card, crt, lastReviewMs) => {
+  const state = ANKI_CARD_STATES[card.type] || 'new';
+  const dayDue = new Date((crt + card.due * 86400) * 1000);
+  dayDue.setHours(0, 0, 0, 0);
+  let nextReviewDate;
+  if (state === 'new') {
+    nextReviewDate = new Date();
+    nextReviewDate.setHours(0, 0, 0, 0);
+  } else if (state === 'review' || card.queue === 3) {
+    nextReviewDate = dayDue;
+  } else {
+    nextReviewDate = new Date(card.due * 1000);
+  }
+  return {
+    state,
+    step: 0,
+    interval: state === 'review' ? card.ivl : 0,
+    eFactor: card.factor ? card.factor / 1000 : 2.5,
+    stability: null,
+    difficulty: null,
+    reps: card.reps,
+    lapses: card.lapses,
+    algorithm: state === 'new' ? null : 'sm2',
+    nextReviewDate: nextReviewDate.toISOString(),
+    lastReviewDate: lastReviewMs
+      ? new Date(lastReviewMs).toISOString()
+      : (state === 'review' ? new Date(dayDue.getTime() - card.ivl * DAY_MS).toISOString() : null)
+  };
+};
+
+// Anki logs learning intervals as negative seconds
+export const ankiIntervalDays = (ivl) => (ivl < 0 ? -ivl / 86400 : ivl);
+
+const ankiChecksum = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  return parseInt(Array.from(new Uint8Array(digest).slice(0, 4)).map(b => b.toString(16).padStart(2, '0')).join(''), 16);
+};
+
+// Builds an .apkg with one note per FocusForge note, using Basic, Basic (and reversed card) and
+// Cloze note types. `deckPaths` maps deck ids to 'A::B' names. Card images go in as media files.
+export const buildApkg = async (cards, deckPaths) => {
+  const SQL = await loadSqlJs();
+  const database = new SQL.Database();
+  try {
+    database.run(ANKI_SCHEMA);
+    const zip = new JSZip();
+    const now = Date.now();
+    const nowSeconds = Math.floor(now / 1000);
+    const crtDate = new Date(Math.min(now, ...cards.map(card => card.nextReviewDate.getTime())));
+    crtDate.setHours(0, 0, 0, 0);
+    const crt = Math.floor(crtDate.getTime() / 1000);
+    const dayNumber = (date) => {
+      const start = new Date(date);
+      start.setHours(0, 0, 0, 0);
+      return Math.round((start.getTime() / 1000 - crt) / 86400);
+    };
+
+    const ankiModel = (id, name, type, fieldNames, templates) => ({
+      id, name, type, mod: nowSeconds, usn: -1, sortf: 0, did: 1,
+      flds: fieldNames.map((fieldName, ord) => ({ name: fieldName, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+      tmpls: templates.map(([qfmt, afmt], ord) => ({ name: `Card ${ord + 1}`, ord, qfmt, afmt, did: null, bqfmt: '', bafmt: '' })),
+      css: '.card { font-family: arial; font-size: 20px; text-align: center; } .cloze { font-weight: bold; color: blue; }',
+      latexPre: '', latexPost: '', req: templates.map((_, ord) => [ord, 'any', [ord]]), tags: [], vers: []
+    });
+    const models = {
+      basic: ankiModel(now, 'FocusForge Basic', 0, ['Front', 'Back'], [
+        ['{{Front}}', '{{FrontSide}}<hr id=answer>{{Back}}']
+      ]),
+      reversed: ankiModel(now + 1, 'FocusForge Basic (and reversed card)', 0, ['Front', 'Back'], [
+        ['{{Front}}', '{{FrontSide}}<hr id=answer>{{Back}}'],
+        ['{{Back}}', '{{FrontSide}}<hr id=answer>{{Front}}']
+      ]),
+      cloze: ankiModel(now + 2, 'FocusForge Cloze', 1, ['Text', 'Back Extra'], [
+        ['{{cloze:Text}}', '{{cloze:Text}}<br>{{Back Extra}}']
+      ])
+    };
+    const ankiDeck = (id, name) => ({
+      id, name, desc: '', mod: nowSeconds, usn: -1, collapsed: false, dyn: 0, conf: 1, extendNew: 10, extendRev: 50,
+      newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+    });
+    const deckIds = { [DEFAULT_DECK.id]: 1 };
+    const ankiDecks = { 1: ankiDeck(1, 'Default') };
+    Object.entries(deckPaths).forEach(([deckId, path], i) => {
+      if (deckId === DEFAULT_DECK.id) return;
+      deckIds[deckId] = now + 10 + i;
+      ankiDecks[deckIds[deckId]] = ankiDeck(deckIds[deckId], path);
+    });
+    const dconf = {
+      1: {
+        id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+        new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: false },
+        rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, maxIvl: 36500, hardFactor: 1.2, bury: false },
+        lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 1 }
+      }
+    };
+    database.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+      crt, now, now, JSON.stringify({ nextPos: cards.length + 1, curDeck: 1 }),
+      JSON.stringify(Object.fromEntries(Object.values(models).map(model => [model.id, model]))),
+      JSON.stringify(ankiDecks), JSON.stringify(dconf), '{}'
+    ]);
+
+    const media = {}; // Zip entry name -> file name, as Anki's `media` file lists them
+    const mediaFiles = new Map(); // Data URL -> file name
+    const fieldHtml = (text, images = {}) => textToHtml(text || '').replace(/!\[([^\]]*)\]\(image:([\w-]+)\)/g, (match, alt, imageId) => {
+      const dataUrl = images[imageId];
+      const parts = dataUrl && dataUrl.match(/^data:image\/(\w+)[^,]*;base64,(.*)$/);
+      if (!parts) return match;
+      if (!mediaFiles.has(dataUrl)) {
+        const entryName = String(mediaFiles.size);
+        mediaFiles.set(dataUrl, `focusforge-${entryName}.${parts[1]}`);
+        media[entryName] = mediaFiles.get(dataUrl);
+        zip.file(entryName, Uint8Array.from(atob(parts[2]), char => char.charCodeAt(0)));
+      }
+      return `<img src="${mediaFiles.get(dataUrl)}" alt="${alt.replace(/"/g, '&quot;')}">`;
+    });
+
+    const notes = new Map(); // Note id -> its cards, in export order
+    cards.forEach(card => notes.set(getNoteId(card), [...(notes.get(getNoteId(card)) || []), card]));
+    let nextId = now + 1000;
+    let position = 0;
+    for (const noteCards of notes.values()) {
+      const note = noteFromCard(noteCards[0]);
+      const noteId = nextId++;
+      const tags = (noteCards[0].tags || []).length ? ` ${noteCards[0].tags.join(' ')} ` : '';
+      database.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [
+        noteId, `ff${noteId.toString(36)}`, (models[note.type] || models.basic).id, nowSeconds, tags,
+        [fieldHtml(note.front, note.images), fieldHtml(note.back, note.images)].join(ANKI_FIELD_SEPARATOR),
+        note.front, await ankiChecksum(note.front)
+      ]);
+
+      for (const card of noteCards) {
+        position += 1;
+        const state = getCardState(card);
+        const factor = state === 'new' ? 0 : Math.round((card.eFactor || 2.5) * 1000);
+        let type = 0, queue = 0, due = position, ivl = 0, left = 0;
+        if (state === 'review') {
+          type = 2; queue = 2; due = dayNumber(card.nextReviewDate); ivl = Math.max(1, Math.round(card.interval || 1));
+        } else if (state === 'learning' || state === 'relearning') {
+          type = state === 'learning' ? 1 : 3; queue = 1; due = Math.floor(card.nextReviewDate.getTime() / 1000); left = 1001;
+        }
+        database.run('INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, \'\')', [
+          nextId++, noteId, deckIds[getCardDeckId(card)] || 1, card.type === 'cloze' ? card.ord - 1 : (card.ord || 0), nowSeconds,
+          type, queue, due, ivl, factor, card.reps || 0, card.lapses || 0, left
+        ]);
+      }
+    }
+
+    zip.file('collection.anki2', database.export());
+    zip.file('media', JSON.stringify(media));
+    return zip.generateAsync({ type: 'blob' });
+  } finally {
+    database.close();
+  }
+};
+
+// RFC 4180 rows: quoted fields may contain the delimiter, doubled quotes and newlines
+export const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [], field = '', inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ' };
+
+// Reads CSV/TSV, including Anki's text export with its '#separator:', '#html:' and
+// '#tags column:' / '#deck column:' / '#notetype column:' header lines (columns are 1-based there)
+export const parseCardTable = (text, fileName) => {
+  const directives = {};
+  const body = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => {
+    const match = line.match(/^#([\w ]+):(.*)$/);
+    if (match) directives[match[1].trim().toLowerCase()] = match[2].trim();
+    return !match;
+  }).join('\n');
+  const firstLine = body.split('\n')[0] || '';
+  const delimiter = ANKI_SEPARATORS[(directives.separator || '').toLowerCase()] || directives.separator ||
+    (/\.tsv$/i.test(fileName) || firstLine.includes('\t') ? '\t' : (firstLine.includes(';') && !firstLine.includes(',') ? ';' : ','));
+  const rows = parseDelimited(body, delimiter);
+  const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+  const hasHeader = header.includes('question') || header.includes('front');
+  const columnOf = (names, directive) => {
+    if (directives[directive]) return Number(directives[directive]) - 1;
+    return hasHeader ? header.findIndex(cell => names.includes(cell)) : -1;
+  };
+  // Without a named column, questions come from the first column and answers from the second
+  const questionColumn = columnOf(['question', 'front'], 'question column');
+  const answerColumn = columnOf(['answer', 'back'], 'answer column');
+  return {
+    rows,
+    html: directives.html === 'true',
+    hasHeader,
+    mapping: {
+      question: questionColumn === -1 ? 0 : questionColumn,
+      answer: answerColumn === -1 ? (rows[0] && rows[0].length > 1 ? 1 : 0) : answerColumn,
+      tags: columnOf(['tags'], 'tags column'),
+      deck: columnOf(['deck'], 'deck column'),
+      type: columnOf(['type', 'notetype'], 'notetype column')
+    }
+  };
+};
+
+// Card type from a 'type' cell ('cloze', 'reversed' or Anki note type names), else from the text
+export const tableCardType = (typeCell, question) => {
+  if (/cloze/i.test(typeCell)) return 'cloze';
+  if (/revers/i.test(typeCell)) return 'reversed';
+  return !typeCell && clozeNumbers(question).length > 0 ? 'cloze' : 'basic';
+};
+
+export const toDelimited = (rows, delimiter = ',') => rows.map(row => row.map(value => {
+  const text = String(value ?? '');
+  return /["\n\r]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(delimiter)).join('\r\n');
@@ -0,0 +1,123 @@
+import { parseDelimited, parseCardTable, ankiSchedule, tableCardType, toDelimited } from './importExport';
+
+describe('parseDelimited', () => {
+  it('splits rows and fields', () => {
+    expect(parseDelimited('a,b\nc,d', ',')).toEqual([['a', 'b'], ['c', 'd']]);
+    expect(parseDelimited('a\tb\r\nc\td\r\n', '\t')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+
+  it('keeps delimiters, doubled quotes and newlines inside quoted fields', () => {
+    expect(parseDelimited('"a, b","say ""hi""","line 1\nline 2"', ',')).toEqual([['a, b', 'say "hi"', 'line 1\nline 2']]);
+  });
+
+  it('keeps empty fields and drops blank lines', () => {
+    expect(parseDelimited('a,,c\n\n , \nd,e', ',')).toEqual([['a', '', 'c'], ['d', 'e']]);
+  });
+
+  it('treats quotes inside an unquoted field as text', () => {
+    expect(parseDelimited('5" screen,b', ',')).toEqual([['5" screen', 'b']]);
+  });
+});
+
+describe('parseCardTable', () => {
+  it('maps named header columns', () => {
+    const { hasHeader, mapping } = parseCardTable('Back,Front,Tags\nuno,one,numbers', 'cards.csv');
+    expect(hasHeader).toBe(true);
+    expect(mapping).toEqual({ question: 1, answer: 0, tags: 2, deck: -1, type: -1 });
+  });
+
+  it('falls back to the first two columns without a header', () => {
+    const { hasHeader, mapping } = parseCardTable('one,uno\ntwo,dos', 'cards.csv');
+    expect(hasHeader).toBe(false);
+    expect(mapping).toMatchObject({ question: 0, answer: 1, tags: -1 });
+  });
+
+  it('falls back per column when only one is named', () => {
+    expect(parseCardTable('Question,Notes\none,uno', 'cards.csv').mapping).toMatchObject({ question: 0, answer: 1 });
+  });
+
+  it('detects tab and semicolon delimiters', () => {
+    expect(parseCardTable('one\tuno', 'cards.txt').rows).toEqual([['one', 'uno']]);
+    expect(parseCardTable('one;uno', 'cards.csv').rows).toEqual([['one', 'uno']]);
+    expect(parseCardTable('one;uno,dos', 'cards.csv').rows).toEqual([['one;uno', 'dos']]);
+  });
+
+  it("reads Anki's text export header lines", () => {
+    const text = '\uFEFF#separator:tab\n#html:true\n#tags column:3\n#deck column:4\none\tuno\tnumbers\tSpanish';
+    const { rows, html, mapping } = parseCardTable(text, 'export.txt');
+    expect(rows).toEqual([['one', 'uno', 'numbers', 'Spanish']]);
+    expect(html).toBe(true);
+    expect(mapping).toEqual({ question: 0, answer: 1, tags: 2, deck: 3, type: -1 });
+  });
+
+  it('takes a literal separator character', () => {
+    expect(parseCardTable('#separator:|\none|uno', 'export.txt').rows).toEqual([['one', 'uno']]);
+  });
+});
+
+describe('ankiSchedule', () => {
+  const crt = new Date(2024, 0, 1).getTime() / 1000;
+  const base = { reps: 4, lapses: 1, factor: 2300 };
+
+  it('counts review due days from the collection creation', () => {
+    const schedule = ankiSchedule({ ...base, type: 2, queue: 2, due: 10, ivl: 5 }, crt, null);
+    expect(schedule).toMatchObject({
+      state: 'review',
+      interval: 5,
+      eFactor: 2.3,
+      reps: 4,
+      lapses: 1,
+      algorithm: 'sm2',
+      nextReviewDate: new Date(2024, 0, 11).toISOString(),
+      lastReviewDate: new Date(2024, 0, 6).toISOString()
+    });
+  });
+
+  it('prefers the last review log entry', () => {
+    const lastReviewMs = new Date(2024, 0, 5, 18, 30).getTime();
+    expect(ankiSchedule({ ...base, type: 2, queue: 2, due: 10, ivl: 5 }, crt, lastReviewMs).lastReviewDate)
+      .toBe(new Date(lastReviewMs).toISOString());
+  });
+
+  it('reads learning cards due at an epoch second', () => {
+    const due = new Date(2024, 0, 10, 15, 20).getTime() / 1000;
+    expect(ankiSchedule({ ...base, type: 1, queue: 1, due, ivl: 0 }, crt, null)).toMatchObject({
+      state: 'learning',
+      interval: 0,
+      nextReviewDate: new Date(due * 1000).toISOString(),
+      lastReviewDate: null
+    });
+  });
+
+  it('reads day-learning cards due on a day', () => {
+    expect(ankiSchedule({ ...base, type: 3, queue: 3, due: 12, ivl: 0 }, crt, null)).toMatchObject({
+      state: 'relearning',
+      nextReviewDate: new Date(2024, 0, 13).toISOString()
+    });
+  });
+
+  it('makes new cards due today without an algorithm', () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    expect(ankiSchedule({ type: 0, queue: 0, due: 1, ivl: 0, factor: 0, reps: 0, lapses: 0 }, crt, null)).toMatchObject({
+      state: 'new',
+      eFactor: 2.5,
+      algorithm: null,
+      nextReviewDate: today.toISOString()
+    });
+  });
+});
+
+describe('tableCardType and toDelimited', () => {
+  it('reads the card type from the type cell or the question', () => {
+    expect(tableCardType('Cloze', 'plain')).toBe('cloze');
+    expect(tableCardType('Basic (and reversed card)', 'plain')).toBe('reversed');
+    expect(tableCardType('', 'The {{c1::sun}} is a star')).toBe('cloze');
+    expect(tableCardType('Basic', 'The {{c1::sun}} is a star')).toBe('basic');
+  });
+
+  it('round-trips through parseDelimited', () => {
+    const rows = [['a, b', 'say "hi"'], ['line 1\nline 2', '']];
+    expect(parseDelimited(toDelimited(rows), ',')).toEqual(rows);
+  });
+});
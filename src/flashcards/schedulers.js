@@ -0,0 +1,186 @@
+
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+export const LEARN_AHEAD_MINUTES = 20; // Learning cards due this soon are shown once nothing else is due
+
+export const REVIEW_GRADES = [
+  { value: 1, label: 'Again', className: 'bg-red-600 hover:bg-red-700' },
+  { value: 2, label: 'Hard', className: 'bg-yellow-600 hover:bg-yellow-700' },
+  { value: 3, label: 'Good', className: 'bg-green-600 hover:bg-green-700' },
+  { value: 4, label: 'Easy', className: 'bg-blue-600 hover:bg-blue-700' }
+];
+
+export const DEFAULT_SCHEDULER_SETTINGS = {
+  algorithm: 'fsrs',
+  learningSteps: [1, 10], // Minutes
+  relearningSteps: [10], // Minutes
+  graduatingInterval: 1, // Days, SM-2 only
+  easyInterval: 4, // Days, SM-2 only
+  targetRetention: 0.9, // FSRS only
+  maximumInterval: 36500 // Days
+};
+
+export const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Faithful SM-2: the grade maps to a 0-5 quality, E-Factor changes on every successful recall
+// and a lapse restarts the repetition count while keeping the E-Factor.
+const SM2_QUALITY = { 1: 1, 2: 3, 3: 4, 4: 5 };
+
+const sm2Scheduler = {
+  name: 'SM-2',
+  // Memory of a card leaving (re)learning
+  graduate: (card, grade, settings) => {
+    const eFactor = card.eFactor || 2.5;
+    if (card.state === 'relearning') return { eFactor, repetitions: 1, interval: 1 };
+    return grade === 4
+      ? { eFactor, repetitions: 2, interval: settings.easyInterval }
+      : { eFactor, repetitions: 1, interval: settings.graduatingInterval };
+  },
+  review: (card, grade) => {
+    const quality = SM2_QUALITY[grade];
+    const eFactor = card.eFactor || 2.5;
+    if (quality < 3) return { eFactor, repetitions: 0, interval: 1 };
+    // Cards from the old scheduler only stored their interval
+    const previous = card.repetitions ?? (card.interval >= 6 ? 2 : card.interval >= 1 ? 1 : 0);
+    const repetitions = previous + 1;
+    const newEFactor = Math.max(1.3, eFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    let interval;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round((card.interval || 1) * newEFactor);
+    return { eFactor: newEFactor, repetitions, interval };
+  }
+};
+
+// FSRS-4.5 memory model with its published default weights. Each card keeps a stability
+// (days until recall probability falls to 90%) and a difficulty between 1 and 10.
+const FSRS_WEIGHTS = [0.4072, 1.1829, 3.1262, 15.4722, 7.2102, 0.5316, 1.0651, 0.0234, 1.616, 0.1544, 1.0824, 1.9813, 0.0953, 0.2975, 2.2042, 0.2407, 2.9466];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81; // Makes retrievability 90% when elapsed days equal stability
+
+const fsrsRetrievability = (elapsedDays, stability) => Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+const fsrsInitialDifficulty = (grade) => clamp(FSRS_WEIGHTS[4] - (grade - 3) * FSRS_WEIGHTS[5], 1, 10);
+const fsrsInterval = (stability, settings) => clamp(
+  Math.round(stability / FSRS_FACTOR * (Math.pow(settings.targetRetention, 1 / FSRS_DECAY) - 1)),
+  1,
+  settings.maximumInterval
+);
+
+// Cards scheduled before FSRS get a memory estimated from their SM-2 interval and E-Factor
+const fsrsMemoryOf = (card) => ({
+  stability: card.stability || Math.max(card.interval || 0, 0.1),
+  difficulty: card.difficulty || clamp(10 - ((card.eFactor || 2.5) - 1.3) * 5, 1, 10)
+});
+
+const fsrsScheduler = {
+  name: 'FSRS',
+  // First rating of a new card
+  initial: (grade) => ({ stability: FSRS_WEIGHTS[grade - 1], difficulty: fsrsInitialDifficulty(grade) }),
+  graduate: (card, grade, settings) => {
+    const { stability, difficulty } = fsrsMemoryOf(card);
+    return { stability, difficulty, interval: fsrsInterval(stability, settings) };
+  },
+  review: (card, grade, settings, elapsedDays) => {
+    const w = FSRS_WEIGHTS;
+    const { stability, difficulty } = fsrsMemoryOf(card);
+    const retrievability = fsrsRetrievability(elapsedDays, stability);
+    const nextDifficulty = clamp(
+      w[7] * fsrsInitialDifficulty(4) + (1 - w[7]) * (difficulty - w[6] * (grade - 3)),
+      1,
+      10
+    );
+    let nextStability;
+    if (grade === 1) {
+      nextStability = Math.min(stability, w[11] * Math.pow(nextDifficulty, -w[12]) *
+        (Math.pow(stability + 1, w[13]) - 1) * Math.exp(w[14] * (1 - retrievability)));
+    } else {
+      const hardPenalty = grade === 2 ? w[15] : 1;
+      const easyBonus = grade === 4 ? w[16] : 1;
+      nextStability = stability * (1 + Math.exp(w[8]) * (11 - nextDifficulty) * Math.pow(stability, -w[9]) *
+        (Math.exp(w[10] * (1 - retrievability)) - 1) * hardPenalty * easyBonus);
+    }
+    return { stability: nextStability, difficulty: nextDifficulty, interval: fsrsInterval(nextStability, settings) };
+  }
+};
+
+export const SCHEDULERS = { sm2: sm2Scheduler, fsrs: fsrsScheduler };
+
+// Cards created before learning states existed are new until their first successful review
+export const getCardState = (card) => card.state || ((card.interval || 0) > 0 ? 'review' : 'new');
+
+// Review-state cards fall due at the start of a day; learning steps are due to the minute
+const dueInDays = (now, days) => {
+  const due = new Date(now);
+  due.setHours(0, 0, 0, 0);
+  due.setDate(due.getDate() + days);
+  return due;
+};
+
+// Schedules a card after a grade (1 Again, 2 Hard, 3 Good, 4 Easy) with the configured algorithm.
+// New, learning and relearning cards walk their minute steps; review cards are handed to the
+// algorithm. Returns the fields to store on the card.
+export const scheduleReview = (card, grade, settings, now = new Date()) => {
+  const scheduler = SCHEDULERS[settings.algorithm] || fsrsScheduler;
+  const state = getCardState(card);
+  const memory = scheduler === fsrsScheduler && state === 'new' ? fsrsScheduler.initial(grade) : {};
+  const base = {
+    algorithm: settings.algorithm,
+    lastReviewDate: now.toISOString(),
+    reps: (card.reps || 0) + 1,
+    lapses: card.lapses || 0
+  };
+
+  const graduate = (from) => {
+    const { interval, ...rest } = scheduler.graduate({ ...card, ...memory, state: from }, grade, settings);
+    return { ...base, ...rest, state: 'review', step: 0, interval, nextReviewDate: dueInDays(now, interval).toISOString() };
+  };
+  const stayInSteps = (nextState, steps, step, minutes) => ({
+    ...base,
+    ...memory,
+    state: nextState,
+    step,
+    interval: 0,
+    nextReviewDate: new Date(now.getTime() + minutes * 60 * 1000).toISOString()
+  });
+
+  if (state === 'review') {
+    const elapsedDays = card.lastReviewDate ? Math.max(0, (now - new Date(card.lastReviewDate)) / DAY_MS) : card.interval || 0;
+    const { interval, ...rest } = scheduler.review(card, grade, settings, elapsedDays);
+    if (grade === 1) {
+      const lapse = { ...rest, lapses: base.lapses + 1 };
+      if (settings.relearningSteps.length > 0) {
+        return { ...stayInSteps('relearning', settings.relearningSteps, 0, settings.relearningSteps[0]), ...lapse };
+      }
+      return { ...base, ...lapse, state: 'review', step: 0, interval, nextReviewDate: dueInDays(now, interval).toISOString() };
+    }
+    return { ...base, ...rest, state: 'review', step: 0, interval, nextReviewDate: dueInDays(now, interval).toISOString() };
+  }
+
+  // new, learning or relearning
+  const steps = state === 'relearning' ? settings.relearningSteps : settings.learningSteps;
+  const nextState = state === 'new' ? 'learning' : state;
+  const step = state === 'new' ? 0 : (card.step || 0);
+  if (grade === 4 || steps.length === 0) return graduate(state);
+  if (grade === 1) return stayInSteps(nextState, steps, 0, steps[0]);
+  if (grade === 2) {
+    // Hard repeats the step; on the first step it waits halfway to the second
+    const minutes = step === 0 && steps.length > 1 ? (steps[0] + steps[1]) / 2 : steps[step];
+    return stayInSteps(nextState, steps, step, minutes);
+  }
+  if (step + 1 >= steps.length) return graduate(state);
+  return stayInSteps(nextState, steps, step + 1, steps[step + 1]);
+};
+
+// Compact interval label for the grade buttons, e.g. '10m', '3d', '2.5mo'
+export const formatInterval = (ms) => {
+  const minutes = ms / 60000;
+  if (minutes < 60) return `${Math.max(1, Math.round(minutes))}m`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h`;
+  const days = minutes / (24 * 60);
+  if (days < 30) return `${Math.round(days)}d`;
+  if (days < 365) return `${(days / 30).toFixed(1).replace(/\.0$/, '')}mo`;
+  return `${(days / 365).toFixed(1).replace(/\.0$/, '')}y`;
+};
+
+// Minute steps as typed in settings, e.g. '1 10' -> [1, 10]
+export const parseSteps = (text) => text.split(/[\s,]+/).map(Number).filter(step => step > 0);
@@ -0,0 +1,130 @@
+import { SCHEDULERS, DEFAULT_SCHEDULER_SETTINGS, scheduleReview, formatInterval, parseSteps } from './schedulers';
+
+const sm2Settings = { ...DEFAULT_SCHEDULER_SETTINGS, algorithm: 'sm2' };
+const fsrsSettings = { ...DEFAULT_SCHEDULER_SETTINGS, algorithm: 'fsrs' };
+const now = new Date(2024, 0, 10, 15, 0);
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000).toISOString();
+const startOfDayIn = (days) => new Date(2024, 0, 10 + days).toISOString();
+
+describe('SM-2', () => {
+  const { review, graduate } = SCHEDULERS.sm2;
+
+  it('follows the 1, 6, I(n-1) * EF interval sequence', () => {
+    const first = review({ repetitions: 0, eFactor: 2.5 }, 3);
+    expect(first).toEqual({ eFactor: 2.5, repetitions: 1, interval: 1 });
+    const second = review({ ...first }, 3);
+    expect(second).toEqual({ eFactor: 2.5, repetitions: 2, interval: 6 });
+    const third = review({ ...second }, 3);
+    expect(third).toEqual({ eFactor: 2.5, repetitions: 3, interval: 15 });
+  });
+
+  it('adjusts the E-Factor by quality', () => {
+    expect(review({ repetitions: 2, interval: 6, eFactor: 2.5 }, 4).eFactor).toBeCloseTo(2.6);
+    expect(review({ repetitions: 2, interval: 6, eFactor: 2.5 }, 2).eFactor).toBeCloseTo(2.36);
+    expect(review({ repetitions: 2, interval: 6, eFactor: 1.3 }, 2).eFactor).toBe(1.3);
+  });
+
+  it('restarts the repetitions on a lapse but keeps the E-Factor', () => {
+    expect(review({ repetitions: 5, interval: 40, eFactor: 2.1 }, 1)).toEqual({ eFactor: 2.1, repetitions: 0, interval: 1 });
+  });
+
+  it('infers the repetitions of cards from the old scheduler', () => {
+    expect(review({ interval: 6, eFactor: 2.5 }, 3)).toEqual({ eFactor: 2.5, repetitions: 3, interval: 15 });
+  });
+
+  it('graduates with the configured intervals', () => {
+    expect(graduate({ state: 'learning' }, 3, sm2Settings)).toEqual({ eFactor: 2.5, repetitions: 1, interval: 1 });
+    expect(graduate({ state: 'learning' }, 4, sm2Settings)).toEqual({ eFactor: 2.5, repetitions: 2, interval: 4 });
+    expect(graduate({ state: 'relearning', eFactor: 1.9 }, 3, sm2Settings)).toEqual({ eFactor: 1.9, repetitions: 1, interval: 1 });
+  });
+});
+
+describe('FSRS', () => {
+  const { initial, review } = SCHEDULERS.fsrs;
+
+  it('starts from the default weights', () => {
+    expect(initial(1)).toEqual({ stability: 0.4072, difficulty: expect.closeTo(8.2734) });
+    expect(initial(3)).toEqual({ stability: 3.1262, difficulty: 7.2102 });
+    expect(initial(4)).toEqual({ stability: 15.4722, difficulty: expect.closeTo(6.6786) });
+  });
+
+  it('matches the FSRS-4.5 reference values for a review', () => {
+    const card = { stability: 3.1262, difficulty: 7.2102 };
+    const good = review(card, 3, fsrsSettings, 3);
+    expect(good.difficulty).toBeCloseTo(7.19776, 4);
+    expect(good.stability).toBeCloseTo(8.65174, 4);
+    expect(good.interval).toBe(9);
+
+    const again = review(card, 1, fsrsSettings, 3);
+    expect(again.difficulty).toBeCloseTo(9.27811, 4);
+    expect(again.stability).toBeCloseTo(1.03967, 4);
+    expect(again.interval).toBe(1);
+  });
+
+  it('schedules at the stability when targeting 90% retention', () => {
+    expect(SCHEDULERS.fsrs.graduate({ stability: 12.4, difficulty: 5 }, 3, fsrsSettings).interval).toBe(12);
+    expect(SCHEDULERS.fsrs.graduate({ stability: 12.4, difficulty: 5 }, 3, { ...fsrsSettings, targetRetention: 0.8 }).interval).toBe(30);
+  });
+
+  it('caps intervals at the maximum interval', () => {
+    expect(SCHEDULERS.fsrs.graduate({ stability: 500, difficulty: 5 }, 3, { ...fsrsSettings, maximumInterval: 180 }).interval).toBe(180);
+  });
+});
+
+describe('scheduleReview', () => {
+  it('walks the learning steps', () => {
+    const first = scheduleReview({}, 3, sm2Settings, now);
+    expect(first).toMatchObject({ state: 'learning', step: 1, interval: 0, reps: 1, nextReviewDate: minutesFrom(now, 10) });
+    const hard = scheduleReview({}, 2, sm2Settings, now);
+    expect(hard).toMatchObject({ state: 'learning', step: 0, nextReviewDate: minutesFrom(now, 5.5) });
+    const graduated = scheduleReview(first, 3, sm2Settings, now);
+    expect(graduated).toMatchObject({ state: 'review', interval: 1, reps: 2, nextReviewDate: startOfDayIn(1) });
+  });
+
+  it('graduates a new card straight away on Easy', () => {
+    expect(scheduleReview({}, 4, fsrsSettings, now)).toMatchObject({
+      state: 'review',
+      stability: 15.4722,
+      interval: 15,
+      nextReviewDate: startOfDayIn(15)
+    });
+  });
+
+  it('sends a lapsed review card to relearning', () => {
+    const card = { state: 'review', interval: 6, repetitions: 2, eFactor: 2.5, lapses: 1, lastReviewDate: new Date(2024, 0, 4).toISOString() };
+    expect(scheduleReview(card, 1, sm2Settings, now)).toMatchObject({
+      state: 'relearning',
+      step: 0,
+      lapses: 2,
+      repetitions: 0,
+      nextReviewDate: minutesFrom(now, 10)
+    });
+    expect(scheduleReview(card, 1, { ...sm2Settings, relearningSteps: [] }, now)).toMatchObject({
+      state: 'review',
+      lapses: 2,
+      interval: 1,
+      nextReviewDate: startOfDayIn(1)
+    });
+  });
+
+  it('uses the days since the last review for FSRS', () => {
+    const card = { state: 'review', interval: 3, stability: 3.1262, difficulty: 7.2102, lastReviewDate: new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000).toISOString() };
+    expect(scheduleReview(card, 3, fsrsSettings, now)).toMatchObject({ interval: 9, nextReviewDate: startOfDayIn(9) });
+  });
+});
+
+describe('formatInterval and parseSteps', () => {
+  it('formats compact labels', () => {
+    expect(formatInterval(30 * 1000)).toBe('1m');
+    expect(formatInterval(10 * 60 * 1000)).toBe('10m');
+    expect(formatInterval(3 * 60 * 60 * 1000)).toBe('3h');
+    expect(formatInterval(4 * 24 * 60 * 60 * 1000)).toBe('4d');
+    expect(formatInterval(75 * 24 * 60 * 60 * 1000)).toBe('2.5mo');
+    expect(formatInterval(365 * 24 * 60 * 60 * 1000)).toBe('1y');
+  });
+
+  it('parses minute steps', () => {
+    expect(parseSteps('1 10')).toEqual([1, 10]);
+    expect(parseSteps('1, 10,, 0 abc')).toEqual([1, 10]);
+  });
+});
@@ -0,0 +1,87 @@
+import { DAY_MS, getCardState } from './schedulers';
+import { todayKey } from './decks';
+
+export const REVIEW_TIME_CAP_MS = 60 * 1000; // A card left on screen counts as one minute at most
+export const MATURE_INTERVAL_DAYS = 21;
+export const LEECH_LAPSES = 8;
+export const STATS_DAYS = 30;
+export const RETENTION_PERIODS = [{ label: '7 days', days: 7 }, { label: '30 days', days: 30 }, { label: '1 year', days: 365 }];
+const INTERVAL_BUCKETS = [
+  { label: '1d', maxDays: 1 },
+  { label: '2-3d', maxDays: 3 },
+  { label: '4-7d', maxDays: 7 },
+  { label: '1-2w', maxDays: 14 },
+  { label: '2w-1m', maxDays: 30 },
+  { label: '1-3m', maxDays: 90 },
+  { label: '3-6m', maxDays: 180 },
+  { label: '6m-1y', maxDays: 365 },
+  { label: '1y+', maxDays: Infinity }
+];
+
+// Learning steps are minutes long, so their intervals are logged as fractions of a day
+export const reviewIntervalDays = (schedule, reviewedAt) => (schedule.state === 'review'
+  ? schedule.interval
+  : (new Date(schedule.nextReviewDate).getTime() - reviewedAt.getTime()) / DAY_MS);
+
+// Local day keys from `fromDaysAgo` days back (negative = future) for `days` days
+const dayKeys = (fromDaysAgo, days, now = new Date()) => Array.from({ length: days }, (_, i) => {
+  const date = new Date(now);
+  date.setDate(date.getDate() - fromDaysAgo + i);
+  return { key: todayKey(date), label: `${date.getMonth() + 1}/${date.getDate()}` };
+});
+
+export const reviewsPerDay = (reviews, days, now = new Date()) => {
+  const byDay = {};
+  reviews.forEach(review => {
+    const key = todayKey(review.reviewedAt);
+    byDay[key] = byDay[key] || { count: 0, failed: 0 };
+    byDay[key].count += 1;
+    if (review.grade === 1) byDay[key].failed += 1;
+  });
+  return dayKeys(days - 1, days, now).map(day => ({ ...day, count: 0, failed: 0, ...byDay[day.key] }));
+};
+
+// Pass rate of reviews of cards already in review (not learning), as Anki defines true retention
+export const trueRetention = (reviews) => {
+  const graded = reviews.filter(review => review.state === 'review');
+  const rate = (list) => (list.length ? list.filter(review => review.grade > 1).length / list.length : null);
+  return {
+    young: rate(graded.filter(review => review.previousInterval < MATURE_INTERVAL_DAYS)),
+    mature: rate(graded.filter(review => review.previousInterval >= MATURE_INTERVAL_DAYS)),
+    total: rate(graded),
+    count: graded.length
+  };
+};
+
+// Cards coming due on each of the next `days` days; overdue cards count towards today
+export const dueForecast = (cards, days, now = new Date()) => {
+  const forecast = dayKeys(0, days, now).map(day => ({ ...day, count: 0 }));
+  const index = Object.fromEntries(forecast.map((day, i) => [day.key, i]));
+  cards.filter(card => getCardState(card) !== 'new').forEach(card => {
+    const i = card.nextReviewDate.getTime() < now.getTime() ? 0 : index[todayKey(card.nextReviewDate)];
+    if (i !== undefined) forecast[i].count += 1;
+  });
+  return forecast;
+};
+
+export const intervalDistribution = (cards) => INTERVAL_BUCKETS.map((bucket, i) => ({
+  label: bucket.label,
+  count: cards.filter(card => {
+    const state = getCardState(card);
+    const min = i === 0 ? 0 : INTERVAL_BUCKETS[i - 1].maxDays;
+    return (state === 'review' || state === 'relearning') && card.interval > min && card.interval <= bucket.maxDays;
+  }).length
+}));
+
+// Cards with the most lapses, then the most failed reviews
+export const hardestCards = (cards, reviews, count = 10) => {
+  const failures = {};
+  reviews.forEach(review => {
+    if (review.grade === 1) failures[review.cardId] = (failures[review.cardId] || 0) + 1;
+  });
+  return cards
+    .map(card => ({ card, lapses: card.lapses || 0, failures: failures[card.id] || 0 }))
+    .filter(row => row.lapses > 0 || row.failures > 0)
+    .sort((a, b) => b.lapses - a.lapses || b.failures - a.failures)
+    .slice(0, count);
+};
@@ -0,0 +1,81 @@
+import { trueRetention, dueForecast, reviewsPerDay, reviewIntervalDays, intervalDistribution, hardestCards } from './stats';
+
+const now = new Date(2024, 0, 10, 15, 0);
+const at = (day, hour = 12) => new Date(2024, 0, day, hour);
+
+describe('trueRetention', () => {
+  it('counts only reviews of cards in review, split at 21 days', () => {
+    const reviews = [
+      { state: 'review', grade: 3, previousInterval: 5 },
+      { state: 'review', grade: 1, previousInterval: 5 },
+      { state: 'review', grade: 2, previousInterval: 30 },
+      { state: 'review', grade: 4, previousInterval: 21 },
+      { state: 'learning', grade: 1, previousInterval: 0 },
+      { state: 'relearning', grade: 1, previousInterval: 0 }
+    ];
+    expect(trueRetention(reviews)).toEqual({ young: 0.5, mature: 1, total: 0.75, count: 4 });
+  });
+
+  it('has no rate without reviews', () => {
+    expect(trueRetention([{ state: 'learning', grade: 3 }])).toEqual({ young: null, mature: null, total: null, count: 0 });
+  });
+});
+
+describe('dueForecast', () => {
+  it('counts cards per day and overdue cards today', () => {
+    const cards = [
+      { state: 'review', interval: 3, nextReviewDate: at(8) },
+      { state: 'review', interval: 3, nextReviewDate: at(10, 18) },
+      { state: 'learning', nextReviewDate: at(11, 9) },
+      { state: 'review', interval: 3, nextReviewDate: at(12, 0) },
+      { state: 'new', nextReviewDate: at(10) },
+      { state: 'review', interval: 30, nextReviewDate: at(30) }
+    ];
+    const forecast = dueForecast(cards, 3, now);
+    expect(forecast.map(day => day.label)).toEqual(['1/10', '1/11', '1/12']);
+    expect(forecast.map(day => day.count)).toEqual([2, 1, 1]);
+  });
+});
+
+describe('reviewsPerDay', () => {
+  it('counts reviews and failures for the last days', () => {
+    const reviews = [
+      { reviewedAt: at(9, 8), grade: 3 },
+      { reviewedAt: at(9, 20), grade: 1 },
+      { reviewedAt: at(10, 9), grade: 3 },
+      { reviewedAt: at(1), grade: 1 }
+    ];
+    expect(reviewsPerDay(reviews, 2, now).map(({ label, count, failed }) => ({ label, count, failed }))).toEqual([
+      { label: '1/9', count: 2, failed: 1 },
+      { label: '1/10', count: 1, failed: 0 }
+    ]);
+  });
+});
+
+describe('reviewIntervalDays', () => {
+  it('logs learning steps as fractions of a day', () => {
+    expect(reviewIntervalDays({ state: 'review', interval: 6 }, now)).toBe(6);
+    const tenMinutes = new Date(now.getTime() + 10 * 60 * 1000).toISOString();
+    expect(reviewIntervalDays({ state: 'learning', nextReviewDate: tenMinutes }, now)).toBeCloseTo(10 / (24 * 60));
+  });
+});
+
+describe('intervalDistribution and hardestCards', () => {
+  it('buckets review intervals', () => {
+    const cards = [
+      { state: 'review', interval: 1 },
+      { state: 'review', interval: 2 },
+      { state: 'relearning', interval: 3 },
+      { state: 'review', interval: 400 },
+      { state: 'learning', interval: 0 }
+    ];
+    const counts = Object.fromEntries(intervalDistribution(cards).map(bucket => [bucket.label, bucket.count]));
+    expect(counts).toMatchObject({ '1d': 1, '2-3d': 2, '4-7d': 0, '1y+': 1 });
+  });
+
+  it('ranks cards by lapses, then failed reviews', () => {
+    const cards = [{ id: 'a', lapses: 1 }, { id: 'b', lapses: 3 }, { id: 'c' }, { id: 'd', lapses: 1 }, { id: 'e' }];
+    const reviews = [{ cardId: 'd', grade: 1 }, { cardId: 'c', grade: 1 }, { cardId: 'c', grade: 3 }];
+    expect(hardestCards(cards, reviews).map(row => row.card.id)).toEqual(['b', 'd', 'a', 'c']);
+  });
+});
@@ -0,0 +1,59 @@
+
+
+// Alerts are handed to public/notification-sw.js. Scheduled alerts only fire while the page or the
+// worker is running, unless the browser supports notification triggers; there is no push server.
+// Without service worker support they fall back to in-page notifications.
+const NOTIFICATION_WORKER_URL = `${process.env.PUBLIC_URL}/notification-sw.js`;
+
+const getNotificationWorker = async () => {
+  if (!('serviceWorker' in navigator)) return null;
+  try {
+    await navigator.serviceWorker.register(NOTIFICATION_WORKER_URL);
+    const registration = await navigator.serviceWorker.ready;
+    return registration.active;
+  } catch (e) {
+    console.error("Error registering notification worker:", e);
+    return null;
+  }
+};
+
+// notification: { tag, title, body, actions?: [{ action, title }], renotify? }
+export const showNotification = async (notification) => {
+  const worker = await getNotificationWorker();
+  if (worker) {
+    worker.postMessage({ type: 'show', notification });
+  } else {
+    new Notification(notification.title, {
+      body: notification.body,
+      tag: notification.tag,
+      icon: '/favicon.ico',
+      badge: '/favicon.ico',
+      requireInteraction: true
+    });
+  }
+};
+
+// Whether a scheduled alert still shows once the page is suspended or closed
+export const supportsScheduledNotifications = () =>
+  'Notification' in window && 'showTrigger' in Notification.prototype && 'TimestampTrigger' in window;
+
+// Schedules a notification for epoch ms `at`, replacing any pending one with the same tag
+export const scheduleNotification = async (notification, at) => {
+  const worker = await getNotificationWorker();
+  if (worker) worker.postMessage({ type: 'schedule', notification, at });
+};
+
+export const cancelScheduledNotification = async (tag) => {
+  const worker = await getNotificationWorker();
+  if (worker) worker.postMessage({ type: 'cancel', tag });
+};
+
+// Calls handler(action, tag) when a notification action button is pressed; returns an unsubscribe
+export const onNotificationAction = (handler) => {
+  if (!('serviceWorker' in navigator)) return () => {};
+  const listener = (event) => {
+    if (event.data?.type === 'notification-action') handler(event.data.action, event.data.tag);
+  };
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+};
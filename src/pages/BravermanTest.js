@@ -0,0 +1,394 @@
+import React, { useState } from 'react';
+import { Card, Modal, NeonButton } from '../components/ui';
+
+export const BravermanTest = ({ onRetake }) => {
+  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
+  const [answers, setAnswers] = useState({});
+  const [results, setResults] = useState(null);
+
+  const questions = [
+    // Dopamine Questions
+    {
+      id: 'd1',
+      neurotransmitter: 'Dopamine',
+      question: "Do you often feel driven and highly motivated?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 'd2',
+      neurotransmitter: 'Dopamine',
+      question: "Are you a risk-taker or thrill-seeker?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 'd3',
+      neurotransmitter: 'Dopamine',
+      question: "Do you tend to be highly competitive?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 'd4',
+      neurotransmitter: 'Dopamine',
+      question: "Do you have a strong desire for recognition or achievement?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    // Acetylcholine Questions
+    {
+      id: 'a1',
+      neurotransmitter: 'Acetylcholine',
+      question: "Do you have an excellent memory for details?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 'a2',
+      neurotransmitter: 'Acetylcholine',
+      question: "Are you creative and artistic?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 'a3',
+      neurotransmitter: 'Acetylcholine',
+      question: "Do you enjoy learning new things and intellectual pursuits?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 'a4',
+      neurotransmitter: 'Acetylcholine',
+      question: "Are you a good storyteller or communicator?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    // GABA Questions
+    {
+      id: 'g1',
+      neurotransmitter: 'GABA',
+      question: "Do you generally feel calm and relaxed?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 'g2',
+      neurotransmitter: 'GABA',
+      question: "Are you good at handling stress and pressure?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 'g3',
+      neurotransmitter: 'GABA',
+      question: "Do you prefer routine and predictability?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 'g4',
+      neurotransmitter: 'GABA',
+      question: "Do you sleep soundly and wake up refreshed?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    // Serotonin Questions
+    {
+      id: 's1',
+      neurotransmitter: 'Serotonin',
+      question: "Do you have a generally positive and optimistic outlook?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 's2',
+      neurotransmitter: 'Serotonin',
+      question: "Are you a good team player and enjoy social interactions?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 's3',
+      neurotransmitter: 'Serotonin',
+      question: "Do you feel satisfied and content with your life?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+    {
+      id: 's4',
+      neurotransmitter: 'Serotonin',
+      question: "Do you cope well with change and adapt easily?",
+      options: [
+        { text: "Never", value: 0 },
+        { text: "Sometimes", value: 1 },
+        { text: "Often", value: 2 },
+        { text: "Always", value: 3 }
+      ]
+    },
+  ];
+
+  const handleAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+  };
+
+  const goToNextQuestion = () => {
+    if (currentQuestionIndex < questions.length - 1) {
+      setCurrentQuestionIndex(prev => prev + 1);
+    } else {
+      calculateResults();
+    }
+  };
+
+  const goToPreviousQuestion = () => {
+    if (currentQuestionIndex > 0) {
+      setCurrentQuestionIndex(prev => prev - 1);
+    }
+  };
+
+  const calculateResults = () => {
+    const scores = {
+      Dopamine: 0,
+      Acetylcholine: 0,
+      GABA: 0,
+      Serotonin: 0,
+    };
+
+    questions.forEach(q => {
+      if (answers[q.id] !== undefined) {
+        scores[q.neurotransmitter] += answers[q.id];
+      }
+    });
+
+    const dominantNeurotransmitter = Object.keys(scores).reduce((a, b) => scores[a] > scores[b] ? a : b);
+    setResults({ scores, dominantNeurotransmitter });
+  };
+
+  const getRecommendations = (neurotransmitter) => {
+    switch (neurotransmitter) {
+      case 'Dopamine':
+        return {
+          title: "Dopamine Dominant Profile",
+          description: "You likely thrive on challenge, achievement, and novelty. You are driven, energetic, and enjoy being in charge. When out of balance, you might experience impulsivity, restlessness, or difficulty relaxing.",
+          diet: "Include tyrosine-rich foods (lean meats, eggs, dairy, nuts, seeds), avoid excessive sugar and processed foods. Stay hydrated.",
+          lifestyle: "Set achievable goals, engage in regular physical activity, pursue new hobbies, get sufficient sleep, practice mindfulness to manage impulsivity.",
+          nootropics: "L-Tyrosine, Rhodiola Rosea, Creatine, Panax Ginseng."
+        };
+      case 'Acetylcholine':
+        return {
+          title: "Acetylcholine Dominant Profile",
+          description: "You are likely creative, intuitive, and possess an excellent memory. You enjoy learning and intellectual pursuits. When out of balance, you might feel overwhelmed, indecisive, or have memory lapses.",
+          diet: "Include choline-rich foods (eggs, liver, fish, soybeans), healthy fats (avocado, olive oil), and antioxidants (berries, dark leafy greens).",
+          lifestyle: "Engage in creative activities, practice memory exercises, ensure adequate rest, manage stress through relaxation techniques like meditation.",
+          nootropics: "Alpha-GPC, Citicoline, Huperzine A, Bacopa Monnieri, Lion's Mane."
+        };
+      case 'GABA':
+        return {
+          title: "GABA Dominant Profile",
+          description: "You are likely calm, stable, and resilient to stress. You prefer routine and enjoy social harmony. When out of balance, you might experience anxiety, irritability, or difficulty relaxing.",
+          diet: "Focus on complex carbohydrates (whole grains, vegetables), fermented foods, and magnesium-rich foods (leafy greens, nuts). Limit caffeine and alcohol.",
+          lifestyle: "Practice relaxation techniques (yoga, deep breathing), maintain a consistent sleep schedule, engage in gentle exercise, spend time in nature.",
+          nootropics: "L-Theanine, Magnesium, Valerian Root, Ashwagandha."
+        };
+      case 'Serotonin':
+        return {
+          title: "Serotonin Dominant Profile",
+          description: "You are likely optimistic, socially adept, and empathetic. You find joy in connection and routine. When out of balance, you might experience low mood, obsessive thoughts, or sleep disturbances.",
+          diet: "Consume tryptophan-rich foods (turkey, chicken, nuts, seeds, cheese), complex carbohydrates, and omega-3 fatty acids (fatty fish).",
+          lifestyle: "Prioritize social connections, engage in activities that bring joy, get regular sunlight exposure, maintain a consistent sleep-wake cycle, practice gratitude.",
+          nootropics: "5-HTP (use with caution and professional guidance), St. John's Wort (interacts with medications), Saffron, Tryptophan."
+        };
+      default:
+        return {
+          title: "Neurotransmitter Profile",
+          description: "Take the test to discover your dominant neurotransmitter and receive personalized recommendations!",
+          diet: "", lifestyle: "", nootropics: ""
+        };
+    }
+  };
+
+  const currentQuestion = questions[currentQuestionIndex];
+  const recommendation = results ? getRecommendations(results.dominantNeurotransmitter) : null;
+
+  return (
+    <Card className="w-full h-full flex flex-col p-4 md:p-6">
+      <h2 className="text-3xl text-[#FF3C00] font-bold mb-6 uppercase">Braverman Test</h2>
+      <p className="text-[#D1D1D1] mb-6 text-sm leading-relaxed">
+        Answer the questions below to get an insight into your dominant neurochemical profile and receive personalized recommendations.
+      </p>
+
+      {!results ? (
+        <div className="flex flex-col flex-grow">
+          <h3 className="text-xl text-[#FF3C00] font-bold mb-4">
+            Question {currentQuestionIndex + 1} of {questions.length}
+          </h3>
+          <p className="text-lg text-[#D1D1D1] mb-6 flex-grow">{currentQuestion.question}</p>
+          <div className="space-y-4 mb-6">
+            {currentQuestion.options.map(option => (
+              <label key={option.text} className="flex items-center space-x-3 cursor-pointer">
+                <input
+                  type="radio"
+                  name={currentQuestion.id}
+                  value={option.value}
+                  checked={answers[currentQuestion.id] === option.value}
+                  onChange={() => handleAnswer(currentQuestion.id, option.value)}
+                  className="form-radio h-5 w-5 text-[#FF3C00] bg-black border-gray-600 focus:ring-[#FF3C00]"
+                />
+                <span className="text-lg text-[#D1D1D1]">{option.text}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-between mt-auto">
+            <NeonButton
+              onClick={goToPreviousQuestion}
+              className={`${currentQuestionIndex === 0 ? 'opacity-50 cursor-not-allowed' : ''}`}
+              disabled={currentQuestionIndex === 0}
+            >
+              Previous
+            </NeonButton>
+            <NeonButton
+              onClick={goToNextQuestion}
+              disabled={answers[currentQuestion.id] === undefined}
+            >
+              {currentQuestionIndex === questions.length - 1 ? 'Get Results' : 'Next'}
+            </NeonButton>
+          </div>
+        </div>
+      ) : (
+        <div className="flex flex-col flex-grow overflow-y-auto pr-2">
+          <h3 className="text-2xl text-[#FF3C00] font-bold mb-4 uppercase">Your Results</h3>
+          <p className="text-xl text-[#D1D1D1] mb-6">
+            Your dominant neurochemical profile appears to be: <span className="text-[#FF3C00] font-bold">{results.dominantNeurotransmitter}</span>
+          </p>
+
+          <Card className="p-4 bg-[#0F0F0F] border border-[#222] mb-6">
+            <h4 className="text-xl text-[#FF3C00] font-bold mb-2">{recommendation.title}</h4>
+            <p className="text-sm text-[#D1D1D1] mb-4">{recommendation.description}</p>
+
+            <h5 className="text-lg text-[#FF3C00] font-bold mb-1">Dietary Recommendations:</h5>
+            <p className="text-sm text-[#D1D1D1] mb-3">{recommendation.diet}</p>
+
+            <h5 className="text-lg text-[#FF3C00] font-bold mb-1">Lifestyle Recommendations:</h5>
+            <p className="text-sm text-[#D1D1D1] mb-3">{recommendation.lifestyle}</p>
+
+            <h5 className="text-lg text-[#FF3C00] font-bold mb-1">Suggested Nootropics:</h5>
+            <p className="text-sm text-[#D1D1D1]">{recommendation.nootropics}</p>
+          </Card>
+
+          <div className="mt-auto">
+            <NeonButton onClick={() => { setResults(null); setCurrentQuestionIndex(0); setAnswers({}); onRetake(); }}>
+              Retake Test
+            </NeonButton>
+          </div>
+        </div>
+      )}
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title={modalContent.title}
+        message={modalContent.message}
+      />
+      {/* --- New Informational Section --- */}
+      <div className="mt-10 p-6 bg-[#181818] border border-[#333] rounded-xl shadow-lg">
+        <h3 className="text-2xl font-bold text-[#FF3C00] mb-4">About the Braverman Test</h3>
+        <p className="text-[#D1D1D1] mb-2">
+          The <b>Braverman Test</b> is a self-assessment developed by Dr. Eric Braverman to help you discover which of your four main brain neurotransmitters is most dominant (and which may be deficient): <b>Dopamine</b>, <b>Acetylcholine</b>, <b>GABA</b>, and <b>Serotonin</b>.
+        </p>
+        <p className="text-[#D1D1D1] mb-2">
+          Each neurotransmitter is linked to specific personality traits, cognitive strengths, and even physical tendencies. The test helps you understand your unique "brain chemistry profile."
+        </p>
+        <ul className="list-disc pl-6 mb-2 text-[#D1D1D1]">
+          <li><b>Dopamine-dominant:</b> Driven, energetic, achievement-oriented, sometimes restless or impulsive.</li>
+          <li><b>Acetylcholine-dominant:</b> Creative, intuitive, excellent memory, emotionally expressive.</li>
+          <li><b>GABA-dominant:</b> Calm, stable, organized, loyal, prefers routine.</li>
+          <li><b>Serotonin-dominant:</b> Optimistic, social, empathetic, lives in the moment.</li>
+        </ul>
+        <h4 className="text-xl font-bold text-[#FF3C00] mt-4 mb-2">Why is the Braverman Test Important?</h4>
+        <ul className="list-disc pl-6 mb-2 text-[#D1D1D1]">
+          <li>Identify your natural strengths and weaknesses (e.g., focus, creativity, resilience, sociability).</li>
+          <li>Recognize why you may struggle with certain habits, moods, or stressors.</li>
+          <li>Personalize your approach to productivity, relationships, and self-care.</li>
+          <li>Find targeted strategies (diet, exercise, supplements, lifestyle changes) to support your brain chemistry and overall well-being.</li>
+        </ul>
+        <h4 className="text-xl font-bold text-[#FF3C00] mt-4 mb-2">How Can Understanding Your Results Change Your Life?</h4>
+        <ul className="list-disc pl-6 mb-2 text-[#D1D1D1]">
+          <li><b>Self-awareness:</b> Better understand your natural tendencies, motivations, and challenges.</li>
+          <li><b>Personal growth:</b> Work on your weaker areas and leverage your strengths.</li>
+          <li><b>Tailored lifestyle:</b> Adjust your habits, nutrition, and routines to support your unique brain chemistry.</li>
+          <li><b>Improved relationships:</b> Communicate and connect more effectively by understanding your profile (and others').</li>
+          <li><b>Better mental health:</b> Use targeted strategies to manage stress, anxiety, or low mood.</li>
+        </ul>
+        <h4 className="text-xl font-bold text-[#FF3C00] mt-4 mb-2">Example: How Results Can Be Used</h4>
+        <ul className="list-disc pl-6 mb-2 text-[#D1D1D1]">
+          <li>If you're <b>dopamine-dominant</b> but feel restless or unfocused, you might benefit from structured goals, regular exercise, and mindfulness.</li>
+          <li>If you're <b>GABA-deficient</b> and feel anxious, you might focus on relaxation techniques, sleep hygiene, and magnesium-rich foods.</li>
+          <li>If you're <b>serotonin-dominant</b> but struggle with low mood, you might benefit from social connection, gratitude practices, and sunlight exposure.</li>
+        </ul>
+        <p className="text-[#D1D1D1] mt-4">
+          <b>The Braverman Test is a powerful tool for self-discovery and personal optimization.</b> By understanding your brain's unique chemistry, you can make smarter choices for your health, productivity, and happiness.
+        </p>
+      </div>
+    </Card>
+  );
+};
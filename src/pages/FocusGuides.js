@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { Card, NeonButton } from '../components/ui';
+import { MINDFULNESS_EXERCISES } from '../timer/breakActivities';
+
+export const FocusGuides = () => {
+  const guides = [
+    {
+      title: "The Pomodoro Technique",
+      description: "Learn how to use 25-minute work intervals and short breaks to boost productivity.",
+      content: "The Pomodoro Technique is a time management method developed by Francesco Cirillo in the late 1980s. The technique uses a timer to break down work into intervals, traditionally 25 minutes in length, separated by short breaks. Each interval is known as a pomodoro, from the Italian word for 'tomato', after the tomato-shaped kitchen timer Cirillo used as a university student.\n\n**Steps:**\n1. Choose a task to be accomplished.\n2. Set the Pomodoro timer (traditionally for 25 minutes).\n3. Work on the task until the timer rings. If a distraction pops into your head, write it down on a piece of paper and immediately get back to the task.\n4. When the timer rings, put a checkmark on a piece of paper.\n5. If you have fewer than four checkmarks, take a short break (3–5 minutes), then go to step 1.\n6. After four pomodoros, take a longer break (15–30 minutes), reset your checkmark count to zero, and then go to step 1."
+    },
+    {
+      title: "Mindfulness for Focus",
+      description: "Discover mindfulness exercises to improve concentration and reduce distractions.",
+      content: `Mindfulness is the practice of being present and fully engaged in the current moment, without judgment. It can significantly enhance your ability to focus by training your attention and reducing mental clutter.\n\n**Exercises:**\n* **Mindful Breathing:** ${MINDFULNESS_EXERCISES.breathing}\n* **Body Scan:** ${MINDFULNESS_EXERCISES.bodyScan}\n* **Mindful Walking:** ${MINDFULNESS_EXERCISES.walking}\n\nPracticing mindfulness regularly can help you develop a stronger 'attention muscle,' making it easier to stay focused on tasks and less susceptible to distractions.`
+    },
+    {
+      title: "Optimizing Your Workspace",
+      description: "Tips for creating an environment conducive to deep work and minimal interruptions.",
+      content: "Your physical workspace plays a crucial role in your ability to focus. A well-organized and distraction-free environment can significantly boost your productivity.\n\n**Tips for an Optimized Workspace:**\n* **Declutter:** Remove anything from your desk that isn't directly related to your current task. A cluttered space leads to a cluttered mind.\n* **Minimize Visual Distractions:** Position your desk facing a wall or a calm view if possible. Avoid placing distracting items (e.g., personal photos, excessive decor) in your direct line of sight.\n* **Ergonomics:** Ensure your chair, desk, and monitor are set up ergonomically to prevent discomfort and fatigue, which can break your concentration.\n* **Lighting:** Use natural light whenever possible. If not, opt for cool-toned LED lighting that mimics daylight to maintain alertness.\n* **Sound Management:** Use noise-canceling headphones if you work in a noisy environment. Consider ambient sounds or instrumental music if it helps you focus.\n* **Separate Work and Leisure:** If possible, have a dedicated workspace that you associate only with work. This helps your brain switch into 'work mode' more easily."
+    },
+    {
+      title: "Digital Detox Strategies",
+      description: "Strategies to reduce digital distractions and reclaim your attention.",
+      content: "In today's digital age, distractions are constantly vying for our attention. Implementing digital detox strategies can help you reclaim your focus and improve your productivity.\n\n**Strategies:**\n* **Notification Management:** Turn off all non-essential notifications on your phone, computer, and other devices. Only allow critical alerts.\n* **Scheduled Screen Time:** Designate specific times for checking emails, social media, and news. Avoid constantly checking these throughout the day.\n* **App Limits:** Use app-limiting features on your smartphone to restrict time spent on distracting applications.\n* **No-Phone Zones:** Establish areas or times (e.g., dinner, bedtime) where phones are not allowed.\n* **Batching Tasks:** Group similar digital tasks (e.g., responding to emails, processing notifications) and handle them all at once during a dedicated time block.\n* **Use Focus Apps:** Utilize apps designed to block distracting websites or applications during your work sessions.\n\nBy consciously managing your digital interactions, you can create more space for deep, focused work."
+    }
+  ];
+
+  const [selectedGuide, setSelectedGuide] = useState(null);
+
+  return (
+    <Card className="w-full h-full flex flex-col p-4 md:p-6">
+      <h2 className="text-3xl text-[#FF3C00] font-bold mb-6 uppercase">Focus Guides</h2>
+
+      {selectedGuide ? (
+        <div className="flex flex-col h-full">
+          <h3 className="text-2xl text-[#FF3C00] font-bold mb-4 uppercase">{selectedGuide.title}</h3>
+          <p className="text-[#D1D1D1] whitespace-pre-wrap leading-relaxed flex-grow overflow-y-auto pr-2">
+            {selectedGuide.content}
+          </p>
+          <NeonButton onClick={() => setSelectedGuide(null)} className="mt-6 self-start">
+            Back to Guides
+          </NeonButton>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 flex-grow overflow-y-auto pr-2">
+          {guides.map((guide, index) => (
+            <Card key={index} className="p-4 bg-[#0F0F0F] border border-[#222] hover:border-[#FF3C00] transition-all duration-200 cursor-pointer">
+              <button onClick={() => setSelectedGuide(guide)} className="w-full text-left focus:outline-none">
+                <h3 className="text-xl text-[#FF3C00] font-bold mb-2">{guide.title}</h3>
+                <p className="text-sm text-[#D1D1D1]">{guide.description}</p>
+              </button>
+            </Card>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Card } from '../components/ui';
+
+export const LanguagesToLearn = () => {
+  const languages = [
+    {
+      name: "English",
+      description: "The most widely spoken language globally, essential for international business, science, and technology. It's the lingua franca of the internet and global communication.",
+      why: "Global communication, business, science, technology, internet."
+    },
+    {
+      name: "Mandarin Chinese",
+      description: "The most spoken language by native speakers and the official language of China, a major global economic power. Learning it opens doors to a vast market and rich culture.",
+      why: "Largest native speaker population, major global economy, rich culture."
+    },
+    {
+      name: "Spanish",
+      description: "Widely spoken across Latin America and Spain, with a significant presence in the United States. It offers access to diverse cultures and growing economies.",
+      why: "Extensive global reach, growing economies, diverse cultures."
+    },
+    {
+      name: "Arabic",
+      description: "The official language of 25 countries across the Middle East and North Africa, a region of significant geopolitical and economic importance. It's also the language of Islam.",
+      why: "Geopolitical and economic importance, rich history, diverse cultures."
+    },
+    {
+      name: "French",
+      description: "Spoken across five continents and an official language in 29 countries. It's important in diplomacy, international organizations, and has a rich cultural heritage.",
+      why: "Diplomacy, international organizations, rich cultural heritage."
+    },
+    {
+      name: "Dutch",
+      description: "While not as globally widespread, Dutch is the language of the Netherlands and parts of Belgium, both countries with high GDP per capita and strong innovation sectors.",
+      why: "High GDP per capita countries, strong innovation sectors, unique culture."
+    },
+    {
+      name: "Russian",
+      description: "One of the most widely spoken Slavic languages, serving as a significant language in Eastern Europe and Central Asia. It holds importance in global politics, science, and rich literary tradition.",
+      why: "Global politics, science, rich literary tradition, Eastern Europe and Central Asia."
+    }
+  ];
+
+  return (
+    <Card className="w-full h-full flex flex-col p-4 md:p-6">
+      <h2 className="text-3xl text-[#FF3C00] font-bold mb-6 uppercase">Languages to Learn</h2>
+      <p className="text-[#D1D1D1] mb-6 text-sm leading-relaxed">
+        Expand your horizons and boost your cognitive abilities by learning new languages. Here are some of the most perspective languages to consider:
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 flex-grow overflow-y-auto pr-2">
+        {languages.map((lang, index) => (
+          <Card key={index} className="p-4 bg-[#0F0F0F] border border-[#222]">
+            <h3 className="text-xl text-[#FF3C00] font-bold mb-2">{lang.name}</h3>
+            <p className="text-sm text-[#D1D1D1] mb-2">{lang.description}</p>
+            <p className="text-xs text-gray-500">Why learn: {lang.why}</p>
+          </Card>
+        ))}
+      </div>
+    </Card>
+  );
+};
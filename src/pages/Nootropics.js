@@ -0,0 +1,64 @@
+import React from 'react';
+import { Card } from '../components/ui';
+
+export const Nootropics = () => {
+  const stacks = [
+    {
+      title: "More Energy & Physical Performance",
+      description: "Enhance your stamina, reduce fatigue, and boost overall physical output.",
+      nootropics: [
+        "Creatine Monohydrate",
+        "L-Carnitine",
+        "Rhodiola Rosea",
+        "Coenzyme Q10 (CoQ10)",
+        "Cordyceps"
+      ]
+    },
+    {
+      title: "More Cognitive Performance & Focus",
+      description: "Improve memory, concentration, mental clarity, and learning capabilities.",
+      nootropics: [
+        "Bacopa Monnieri",
+        "Lion's Mane Mushroom",
+        "L-Theanine (with Caffeine)",
+        "Ginkgo Biloba",
+        "Alpha-GPC"
+      ]
+    },
+    {
+      title: "Overall Hormonal Maximization (Males)",
+      description: "Support healthy hormone levels for vitality, mood, and physical well-being.",
+      nootropics: [
+        "Ashwagandha",
+        "Tongkat Ali",
+        "Fenugreek",
+        "Vitamin D3",
+        "Zinc"
+      ]
+    }
+  ];
+
+  return (
+    <Card className="w-full h-full flex flex-col p-4 md:p-6">
+      <h2 className="text-3xl text-[#FF3C00] font-bold mb-6 uppercase">Nootropics Stacks</h2>
+      <p className="text-[#D1D1D1] mb-6 text-sm leading-relaxed">
+        Explore curated nootropic stacks designed to target specific areas of performance and well-being.
+        Always consult with a healthcare professional before starting any new supplement regimen.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 flex-grow overflow-y-auto pr-2">
+        {stacks.map((stack, index) => (
+          <Card key={index} className="p-4 bg-[#0F0F0F] border border-[#222]">
+            <h3 className="text-xl text-[#FF3C00] font-bold mb-2">{stack.title}</h3>
+            <p className="text-sm text-[#D1D1D1] mb-4">{stack.description}</p>
+            <ul className="list-disc list-inside text-[#D1D1D1] text-sm space-y-1">
+              {stack.nootropics.map((item, i) => (
+                <li key={i}>{item}</li>
+              ))}
+            </ul>
+          </Card>
+        ))}
+      </div>
+    </Card>
+  );
+};
@@ -0,0 +1,341 @@
+import React, { useState, useEffect } from 'react';
+import { doc, collection, query, onSnapshot, deleteDoc, addDoc, orderBy } from 'firebase/firestore';
+import { Card, FAB, Modal, NeonButton, SwipeableItem } from '../components/ui';
+import { appId } from '../firebase';
+
+export const Notes = ({ userId, db }) => {
+  const [noteType, setNoteType] = useState('bullet'); // 'bullet' or 'daily'
+  const [bulletNote, setBulletNote] = useState('');
+  const [dailyReport, setDailyReport] = useState({
+    health: '',
+    wealth: '',
+    knowledge: '',
+    relationships: ''
+  });
+  const [notes, setNotes] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [modalContent, setModalContent] = useState({ title: '', message: '' });
+  const [showAddNoteForm, setShowAddNoteForm] = useState(false);
+
+  const notesCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/notes`);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const q = query(notesCollectionRef, orderBy('createdAt', 'desc'));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const fetchedNotes = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      setNotes(fetchedNotes);
+    }, (error) => {
+      console.error("Error fetching notes:", error);
+      setModalContent({ title: 'Error', message: 'Failed to load notes. Please try again.' });
+      setShowModal(true);
+    });
+
+    return () => unsubscribe();
+  }, [userId, db]);
+
+  const addBulletNote = async () => {
+    if (bulletNote.trim() === '') {
+      setModalContent({ title: 'Input Error', message: 'Note cannot be empty.' });
+      setShowModal(true);
+      return;
+    }
+
+    if (bulletNote.length > 150) {
+      setModalContent({ title: 'Input Error', message: 'Bullet note cannot exceed 150 characters.' });
+      setShowModal(true);
+      return;
+    }
+
+    try {
+      await addDoc(notesCollectionRef, {
+        type: 'bullet',
+        content: bulletNote,
+        createdAt: new Date()
+      });
+      setBulletNote('');
+    } catch (e) {
+      console.error("Error adding bullet note: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to add note. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const addDailyReport = async () => {
+    const totalLength = Object.values(dailyReport).join('').length;
+    
+    if (totalLength === 0) {
+      setModalContent({ title: 'Input Error', message: 'Daily report cannot be empty.' });
+      setShowModal(true);
+      return;
+    }
+
+    if (totalLength > 400) {
+      setModalContent({ title: 'Input Error', message: 'Daily report cannot exceed 400 characters total.' });
+      setShowModal(true);
+      return;
+    }
+
+    try {
+      await addDoc(notesCollectionRef, {
+        type: 'daily',
+        content: dailyReport,
+        createdAt: new Date()
+      });
+      setDailyReport({ health: '', wealth: '', knowledge: '', relationships: '' });
+    } catch (e) {
+      console.error("Error adding daily report: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to add daily report. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const deleteNote = async (id) => {
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/notes/${id}`));
+    } catch (e) {
+      console.error("Error deleting note: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to delete note. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const formatDate = (date) => {
+    return new Date(date.toDate()).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-[#FF3C00] mb-4">📝 Notes</h2>
+        <p className="text-[#D1D1D1] mb-8">Capture your thoughts and track your daily progress</p>
+      </div>
+
+      {/* Note Type Selector */}
+      <div className="flex justify-center mb-6">
+        <div className="bg-[#1a1a1a] rounded-lg p-1 border border-[#333]">
+          <button
+            onClick={() => setNoteType('bullet')}
+            className={`px-4 py-2 rounded-md transition-all duration-200 ${
+              noteType === 'bullet' 
+                ? 'bg-[#FF3C00] text-white' 
+                : 'text-[#D1D1D1] hover:text-[#FF3C00]'
+            }`}
+          >
+            Bullet Notes
+          </button>
+          <button
+            onClick={() => setNoteType('daily')}
+            className={`px-4 py-2 rounded-md transition-all duration-200 ${
+              noteType === 'daily' 
+                ? 'bg-[#FF3C00] text-white' 
+                : 'text-[#D1D1D1] hover:text-[#FF3C00]'
+            }`}
+          >
+            Daily Report
+          </button>
+        </div>
+      </div>
+
+      {/* Input Section */}
+      <Card>
+        {noteType === 'bullet' ? (
+          <div>
+            <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Quick Bullet Note</h3>
+            <div className="space-y-4">
+              <div>
+                <textarea
+                  value={bulletNote}
+                  onChange={(e) => setBulletNote(e.target.value)}
+                  placeholder="Enter your quick note (max 150 characters)..."
+                  className="w-full p-3 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1] resize-none"
+                  rows="3"
+                  maxLength="150"
+                />
+                <div className="text-right text-sm text-gray-500 mt-1">
+                  {bulletNote.length}/150
+                </div>
+              </div>
+              <NeonButton onClick={addBulletNote} className="w-full">Add Bullet Note</NeonButton>
+              {window.innerWidth < 768 && (
+                <button onClick={() => setShowAddNoteForm(false)} className="mt-2 text-gray-400 hover:text-red-500">Cancel</button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div>
+            <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Daily Development Report</h3>
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-[#D1D1D1] mb-2 font-semibold">🏥 Health</label>
+                  <textarea
+                    value={dailyReport.health}
+                    onChange={(e) => setDailyReport({...dailyReport, health: e.target.value})}
+                    placeholder="Health updates..."
+                    className="w-full p-3 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1] resize-none"
+                    rows="2"
+                  />
+                </div>
+                <div>
+                  <label className="block text-[#D1D1D1] mb-2 font-semibold">💰 Wealth</label>
+                  <textarea
+                    value={dailyReport.wealth}
+                    onChange={(e) => setDailyReport({...dailyReport, wealth: e.target.value})}
+                    placeholder="Financial progress..."
+                    className="w-full p-3 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1] resize-none"
+                    rows="2"
+                  />
+                </div>
+                <div>
+                  <label className="block text-[#D1D1D1] mb-2 font-semibold">📚 Knowledge</label>
+                  <textarea
+                    value={dailyReport.knowledge}
+                    onChange={(e) => setDailyReport({...dailyReport, knowledge: e.target.value})}
+                    placeholder="Learning achievements..."
+                    className="w-full p-3 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1] resize-none"
+                    rows="2"
+                  />
+                </div>
+                <div>
+                  <label className="block text-[#D1D1D1] mb-2 font-semibold">🤝 Relationships</label>
+                  <textarea
+                    value={dailyReport.relationships}
+                    onChange={(e) => setDailyReport({...dailyReport, relationships: e.target.value})}
+                    placeholder="Social connections..."
+                    className="w-full p-3 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1] resize-none"
+                    rows="2"
+                  />
+                </div>
+              </div>
+              <div className="text-right text-sm text-gray-500">
+                {Object.values(dailyReport).join('').length}/400 characters
+              </div>
+              <NeonButton onClick={addDailyReport} className="w-full">Save Daily Report</NeonButton>
+              {window.innerWidth < 768 && (
+                <button onClick={() => setShowAddNoteForm(false)} className="mt-2 text-gray-400 hover:text-red-500">Cancel</button>
+              )}
+            </div>
+          </div>
+        )}
+      </Card>
+
+      {/* Notes Display */}
+      <div className="space-y-4">
+        <h3 className="text-xl font-bold text-[#FF3C00]">Recent Notes</h3>
+        {notes.length === 0 ? (
+          <Card>
+            <p className="text-[#D1D1D1] text-center">No notes yet. Start by adding your first note!</p>
+          </Card>
+        ) : (
+          notes.map(note => (
+            <SwipeableItem
+              key={note.id}
+              onSwipeLeft={() => deleteNote(note.id)}
+              leftAction="Delete"
+              leftColor="bg-red-500"
+              className="mb-4"
+            >
+              <Card className="relative">
+                <div className="flex justify-between items-start mb-2">
+                  <span className="text-sm text-gray-500">
+                    {formatDate(note.createdAt)}
+                  </span>
+                  <button
+                    onClick={() => deleteNote(note.id)}
+                    className="text-red-500 hover:text-red-400 text-sm"
+                  >
+                    🗑️
+                  </button>
+                </div>
+              
+              {note.type === 'bullet' ? (
+                <div className="flex items-start">
+                  <span className="text-[#FF3C00] mr-2 mt-1">•</span>
+                  <p className="text-[#D1D1D1] flex-1">{note.content}</p>
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    {note.content.health && (
+                      <div>
+                        <span className="text-[#FF3C00] font-semibold">🏥 Health:</span>
+                        <p className="text-[#D1D1D1] text-sm">{note.content.health}</p>
+                      </div>
+                    )}
+                    {note.content.wealth && (
+                      <div>
+                        <span className="text-[#FF3C00] font-semibold">💰 Wealth:</span>
+                        <p className="text-[#D1D1D1] text-sm">{note.content.wealth}</p>
+                      </div>
+                    )}
+                    {note.content.knowledge && (
+                      <div>
+                        <span className="text-[#FF3C00] font-semibold">📚 Knowledge:</span>
+                        <p className="text-[#D1D1D1] text-sm">{note.content.knowledge}</p>
+                      </div>
+                    )}
+                    {note.content.relationships && (
+                      <div>
+                        <span className="text-[#FF3C00] font-semibold">🤝 Relationships:</span>
+                        <p className="text-[#D1D1D1] text-sm">{note.content.relationships}</p>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+              </Card>
+            </SwipeableItem>
+          ))
+        )}
+      </div>
+
+      {/* Add Note Form (for bullet or daily) */}
+      {(showAddNoteForm || window.innerWidth >= 768) && (
+        <Card className="mb-8 p-4 bg-[#0F0F0F] border border-[#222]">
+          <h4 className="text-xl text-[#FF3C00] font-bold mb-4">Add Note</h4>
+          <div className="space-y-4">
+            <textarea
+              value={noteType === 'bullet' ? bulletNote : dailyReport[noteType === 'daily' ? 'health' : 'wealth']}
+              onChange={(e) => {
+                if (noteType === 'bullet') {
+                  setBulletNote(e.target.value);
+                } else {
+                  setDailyReport({ ...dailyReport, [noteType === 'daily' ? 'health' : 'wealth']: e.target.value });
+                }
+              }}
+              placeholder={`Enter your ${noteType === 'bullet' ? 'bullet' : 'daily'} note...`}
+              className="w-full p-3 bg-[#1a1a1a] border border-[#333] rounded-lg text-[#D1D1D1] resize-none"
+              rows="3"
+            />
+            <NeonButton onClick={noteType === 'bullet' ? addBulletNote : addDailyReport} className="w-full">Add Note</NeonButton>
+            {window.innerWidth < 768 && (
+              <button onClick={() => setShowAddNoteForm(false)} className="mt-2 text-gray-400 hover:text-red-500">Cancel</button>
+            )}
+          </div>
+        </Card>
+      )}
+      {/* FAB for Add Note (mobile only) */}
+      {window.innerWidth < 768 && (
+        <FAB onClick={() => setShowAddNoteForm(true)} label="Add Note" icon="+" />
+      )}
+
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title={modalContent.title}
+        message={modalContent.message}
+      />
+    </div>
+  );
+};
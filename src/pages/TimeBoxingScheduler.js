@@ -0,0 +1,439 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { doc, collection, query, onSnapshot, deleteDoc, updateDoc, addDoc, where, getDocs } from 'firebase/firestore';
+import { Card, FAB, Modal, NeonButton, SwipeableItem } from '../components/ui';
+import { appId } from '../firebase';
+import { cancelScheduledNotification, scheduleNotification } from '../notifications';
+
+export const TimeBoxingScheduler = ({ userId, db }) => {
+  const [events, setEvents] = useState([]);
+  const [newEventTitle, setNewEventTitle] = useState('');
+  const [newEventDate, setNewEventDate] = useState('');
+  const [newEventStartTime, setNewEventStartTime] = useState('');
+  const [newEventEndTime, setNewEventEndTime] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [modalContent, setModalContent] = useState({ title: '', message: '' });
+  const [showCompleted, setShowCompleted] = useState(true);
+  const [pomodoroCounts, setPomodoroCounts] = useState({}); // eventId -> count
+  const [voidedCounts, setVoidedCounts] = useState({}); // eventId -> abandoned Pomodoros
+  const [showAddEventForm, setShowAddEventForm] = useState(false);
+  const reminderTagsRef = useRef(new Set()); // Event reminders handed to the notification worker
+
+  const scheduledEventsCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/scheduledEvents`);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const q = query(scheduledEventsCollectionRef); // No orderBy here to avoid index issues, sort in client
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const fetchedEvents = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        // Ensure date fields are handled as Date objects for sorting/display
+        date: doc.data().date, // Stored as 'YYYY-MM-DD'
+        startTime: doc.data().startTime, // Stored as 'HH:MM'
+        endTime: doc.data().endTime // Stored as 'HH:MM'
+      }));
+
+      // Sort events by date and then by start time
+      fetchedEvents.sort((a, b) => {
+        const dateTimeA = new Date(`${a.date}T${a.startTime}`);
+        const dateTimeB = new Date(`${b.date}T${b.startTime}`);
+        return dateTimeA.getTime() - dateTimeB.getTime();
+      });
+
+      setEvents(fetchedEvents);
+    }, (error) => {
+      console.error("Error fetching scheduled events:", error);
+      setModalContent({ title: 'Error', message: 'Failed to load scheduled events. Please try again.' });
+      setShowModal(true);
+    });
+
+    return () => unsubscribe();
+  }, [userId, db]);
+
+  useEffect(() => {
+    if (!userId || events.length === 0) return;
+    const fetchCounts = async () => {
+      const sessionsRef = collection(db, `artifacts/${appId}/users/${userId}/pomodoroSessions`);
+      const [completedSnap, voidedSnap] = await Promise.all([
+        getDocs(query(sessionsRef, where('completed', '==', true))),
+        getDocs(query(sessionsRef, where('status', '==', 'voided')))
+      ]);
+      const tally = (snap) => {
+        const counts = {};
+        events.forEach(ev => { counts[ev.id] = 0; });
+        snap.forEach(docSnap => {
+          const data = docSnap.data();
+          if (data.taskId && !data.isBreak && counts[data.taskId] !== undefined) {
+            counts[data.taskId] += 1;
+          }
+        });
+        return counts;
+      };
+      setPomodoroCounts(tally(completedSnap));
+      setVoidedCounts(tally(voidedSnap));
+    };
+    fetchCounts();
+  }, [userId, db, events]);
+
+  // Remind about events starting in the next 24 hours through the scheduled notification layer
+  useEffect(() => {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const now = Date.now();
+    const upcoming = events.filter(ev => {
+      const startsAt = new Date(`${ev.date}T${ev.startTime}`).getTime();
+      return !ev.completed && startsAt > now && startsAt - now <= 24 * 60 * 60 * 1000;
+    });
+    const tags = new Set(upcoming.map(ev => `event-${ev.id}`));
+
+    reminderTagsRef.current.forEach(tag => {
+      if (!tags.has(tag)) cancelScheduledNotification(tag);
+    });
+    upcoming.forEach(ev => {
+      scheduleNotification({
+        tag: `event-${ev.id}`,
+        title: `Starting now: ${ev.title}`,
+        body: `${ev.startTime} - ${ev.endTime}`,
+        actions: [{ action: 'start-pomodoro', title: 'Start Pomodoro' }]
+      }, new Date(`${ev.date}T${ev.startTime}`).getTime());
+    });
+    reminderTagsRef.current = tags;
+  }, [events]);
+
+  const addEvent = async () => {
+    if (newEventTitle.trim() === '' || newEventDate.trim() === '' || newEventStartTime.trim() === '' || newEventEndTime.trim() === '') {
+      setModalContent({ title: 'Input Error', message: 'All fields are required to add an event.' });
+      setShowModal(true);
+      return;
+    }
+
+    // Basic time validation
+    const startDateTime = new Date(`${newEventDate}T${newEventStartTime}`);
+    const endDateTime = new Date(`${newEventDate}T${newEventEndTime}`);
+
+    if (endDateTime <= startDateTime) {
+      setModalContent({ title: 'Time Error', message: 'End time must be after start time.' });
+      setShowModal(true);
+      return;
+    }
+
+    try {
+      await addDoc(scheduledEventsCollectionRef, {
+        title: newEventTitle,
+        date: newEventDate,
+        startTime: newEventStartTime,
+        endTime: newEventEndTime,
+        createdAt: new Date().toISOString(),
+      });
+      setNewEventTitle('');
+      setNewEventDate('');
+      setNewEventStartTime('');
+      setNewEventEndTime('');
+    } catch (e) {
+      console.error("Error adding event: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to add event. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const deleteEvent = async (id) => {
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/scheduledEvents`, id));
+    } catch (e) {
+      console.error("Error deleting event: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to delete event. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const toggleEventCompletion = async (id, completed) => {
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/scheduledEvents`, id), {
+        completed: !completed,
+        completedAt: !completed ? new Date().toISOString() : null
+      });
+    } catch (e) {
+      console.error("Error updating event completion: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to update event completion. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  // Helper to format date-time for ICS
+  const formatIcsDateTime = (date, time) => {
+    const dt = new Date(`${date}T${time}`);
+    // Convert to UTC and format as YYYYMMDDTHHMMSSZ
+    return dt.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  };
+
+  const exportEventsToIcs = () => {
+    if (events.length === 0) {
+      setModalContent({ title: 'No Events', message: 'There are no scheduled events to export.' });
+      setShowModal(true);
+      return;
+    }
+
+    let icsContent = `BEGIN:VCALENDAR\n`;
+    icsContent += `VERSION:2.0\n`;
+    icsContent += `PRODID:-//FocusForge//NONSGML v1.0//EN\n`;
+
+    events.forEach(event => {
+      const uid = `${event.id}-${new Date().getTime()}`; // Unique ID for the event
+      const dtstamp = formatIcsDateTime(new Date().toISOString().split('T')[0], new Date().toISOString().split('T')[1].substring(0, 5)); // Current UTC time
+      const dtstart = formatIcsDateTime(event.date, event.startTime);
+      const dtend = formatIcsDateTime(event.date, event.endTime);
+
+      icsContent += `BEGIN:VEVENT\n`;
+      icsContent += `UID:${uid}\n`;
+      icsContent += `DTSTAMP:${dtstamp}\n`;
+      icsContent += `DTSTART:${dtstart}\n`;
+      icsContent += `DTEND:${dtend}\n`;
+      icsContent += `SUMMARY:${event.title}\n`;
+      icsContent += `DESCRIPTION:${event.title}\n`; // Using title as description for simplicity
+      icsContent += `END:VEVENT\n`;
+    });
+
+    icsContent += `END:VCALENDAR\n`;
+
+    const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'focusforge_schedule.ics';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url); // Clean up the URL object
+  };
+
+
+  // Group events by date for better display
+  const groupedEvents = events.reduce((acc, event) => {
+    const date = event.date;
+    if (!acc[date]) {
+      acc[date] = [];
+    }
+    acc[date].push(event);
+    return acc;
+  }, {});
+
+  const sortedDates = Object.keys(groupedEvents).sort();
+
+  // Add a BottomSheet component for mobile
+  const BottomSheet = ({ isOpen, onClose, children }) => {
+    if (!isOpen) return null;
+    return (
+      <div className="fixed inset-0 z-[200] flex items-end justify-center bg-black bg-opacity-40">
+        <div className="w-full max-w-md bg-[#181818] rounded-t-2xl p-6 shadow-2xl animate-slide-up relative">
+          <button
+            onClick={onClose}
+            className="absolute top-2 right-4 text-2xl text-gray-400 hover:text-[#FF3C00]"
+            aria-label="Close"
+          >
+            ×
+          </button>
+          {children}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Card className="w-full h-full flex flex-col p-4 md:p-6">
+      <h2 className="text-3xl text-[#FF3C00] font-bold mb-6 uppercase">Scheduler</h2>
+      <p className="text-[#D1D1D1] mb-6 text-sm leading-relaxed">
+        Plan your focused work blocks and important tasks using the time boxing method.
+      </p>
+
+      {/* Add New Event Form */}
+      {window.innerWidth < 768 ? (
+        <BottomSheet isOpen={showAddEventForm} onClose={() => setShowAddEventForm(false)}>
+          <h3 className="text-xl text-[#FF3C00] font-bold mb-4">Add New Time Box</h3>
+          <div className="space-y-4">
+            <input
+              type="text"
+              value={newEventTitle}
+              onChange={(e) => setNewEventTitle(e.target.value)}
+              placeholder="Event Title"
+              className="w-full bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-4 rounded-lg text-lg focus:outline-none focus:border-[#FF3C00]"
+            />
+            <div className="flex gap-2">
+              <input
+                type="date"
+                value={newEventDate}
+                onChange={(e) => setNewEventDate(e.target.value)}
+                className="flex-1 bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-4 rounded-lg text-lg focus:outline-none focus:border-[#FF3C00]"
+              />
+              <input
+                type="time"
+                value={newEventStartTime}
+                onChange={(e) => setNewEventStartTime(e.target.value)}
+                className="flex-1 bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-4 rounded-lg text-lg focus:outline-none focus:border-[#FF3C00]"
+              />
+              <input
+                type="time"
+                value={newEventEndTime}
+                onChange={(e) => setNewEventEndTime(e.target.value)}
+                className="flex-1 bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-4 rounded-lg text-lg focus:outline-none focus:border-[#FF3C00]"
+              />
+            </div>
+            <NeonButton onClick={addEvent} className="w-full py-4 text-xl">Add Event</NeonButton>
+          </div>
+        </BottomSheet>
+      ) : (
+        (showAddEventForm || window.innerWidth >= 768) && (
+          <Card className="mb-8 p-4 bg-[#0F0F0F] border border-[#222]">
+            <h3 className="text-xl text-[#FF3C00] font-bold mb-4">Add New Time Box</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <input
+                type="text"
+                value={newEventTitle}
+                onChange={(e) => setNewEventTitle(e.target.value)}
+                placeholder="Event Title"
+                className="bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-3 rounded-bl-md focus:outline-none focus:border-[#FF3C00]"
+              />
+              <input
+                type="date"
+                value={newEventDate}
+                onChange={(e) => setNewEventDate(e.target.value)}
+                className="bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-3 rounded-bl-md focus:outline-none focus:border-[#FF3C00]"
+              />
+              <input
+                type="time"
+                value={newEventStartTime}
+                onChange={(e) => setNewEventStartTime(e.target.value)}
+                className="bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-3 rounded-bl-md focus:outline-none focus:border-[#FF3C00]"
+              />
+              <input
+                type="time"
+                value={newEventEndTime}
+                onChange={(e) => setNewEventEndTime(e.target.value)}
+                className="bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-3 rounded-bl-md focus:outline-none focus:border-[#FF3C00]"
+              />
+            </div>
+            <div className="flex justify-between gap-4">
+              <NeonButton onClick={addEvent} className="flex-grow">Add Event</NeonButton>
+              <NeonButton onClick={exportEventsToIcs} className="flex-grow">Export to Calendar</NeonButton>
+              {window.innerWidth < 768 && (
+                <button onClick={() => setShowAddEventForm(false)} className="ml-2 text-gray-400 hover:text-red-500">Cancel</button>
+              )}
+            </div>
+          </Card>
+        )
+      )}
+      {/* FAB for Add Event (mobile only) */}
+      {window.innerWidth < 768 && (
+        <FAB onClick={() => setShowAddEventForm(true)} label="Add Event" icon="+" />
+      )}
+
+      {/* Scheduled Events List */}
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-2xl text-[#FF3C00] font-bold uppercase">Scheduled Events</h3>
+        <div className="flex items-center space-x-4">
+          <button
+            onClick={() => {
+              const todaySection = document.getElementById('today-section');
+              if (todaySection) todaySection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }}
+            className="px-3 py-1 bg-[#FF3C00] text-white rounded-lg text-sm font-bold shadow hover:bg-orange-600 transition-all duration-200"
+          >
+            Today
+          </button>
+          <label className="flex items-center text-[#D1D1D1]">
+            <input
+              type="checkbox"
+              checked={showCompleted}
+              onChange={(e) => setShowCompleted(e.target.checked)}
+              className="mr-2 text-[#FF3C00] bg-black border-gray-600 rounded focus:ring-[#FF3C00]"
+            />
+            Show Completed
+          </label>
+        </div>
+      </div>
+      <div className="mb-2">
+        <p className="text-xs text-gray-500 text-center">💡 Swipe right to complete, left to delete</p>
+      </div>
+      <div className="flex-grow overflow-y-auto pr-2">
+        {sortedDates.length === 0 ? (
+          <p className="text-center text-[#D1D1D1] opacity-70">No events scheduled. Add one above!</p>
+        ) : (
+          sortedDates.map(date => {
+            const filteredEvents = groupedEvents[date].filter(event => 
+              showCompleted || !event.completed
+            );
+            if (filteredEvents.length === 0) return null;
+            const isToday = date === new Date().toISOString().slice(0, 10);
+            return (
+              <div key={date} className="mb-6" {...(isToday ? { id: 'today-section' } : {})}>
+                <h4 className="text-xl text-[#FF3C00] font-bold mb-3 border-b border-[#333] pb-2">
+                  {new Date(date).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+                </h4>
+                <ul className="space-y-2">
+                  {filteredEvents.map(event => (
+                    <SwipeableItem
+                      key={event.id}
+                      onSwipeLeft={() => deleteEvent(event.id)}
+                      onSwipeRight={() => toggleEventCompletion(event.id, event.completed || false)}
+                      leftAction="Delete"
+                      rightAction={event.completed ? "Undo" : "Complete"}
+                      leftColor="bg-red-500"
+                      rightColor={event.completed ? "bg-yellow-500" : "bg-green-500"}
+                    >
+                      <li className={`bg-[#0F0F0F] p-3 rounded-br-lg border border-[#222] flex justify-between items-center transition-all duration-200 ${
+                        event.completed ? 'opacity-60 bg-[#0a0a0a]' : ''
+                      }`}>
+                        <div className="flex items-center space-x-3">
+                          <input
+                            type="checkbox"
+                            checked={event.completed || false}
+                            onChange={() => toggleEventCompletion(event.id, event.completed || false)}
+                            className="h-5 w-5 text-[#FF3C00] bg-black border-gray-600 rounded focus:ring-[#FF3C00]"
+                          />
+                          <div>
+                            <p className={`text-lg font-bold ${event.completed ? 'line-through text-gray-500' : 'text-[#D1D1D1]'}`}>
+                              {event.title}
+                            </p>
+                            <p className="text-sm text-gray-400">{event.startTime} - {event.endTime}</p>
+                            {event.completed && event.completedAt && (
+                              <p className="text-xs text-green-500">
+                                Completed: {new Date(event.completedAt).toLocaleString()}
+                              </p>
+                            )}
+                            {/* Pomodoro count */}
+                            <p className="text-xs text-[#FF3C00] mt-1">
+                              🍅 Pomodoros: {pomodoroCounts[event.id] || 0}
+                              {voidedCounts[event.id] > 0 && (
+                                <span className="text-gray-500 ml-2">
+                                  ✖ Voided: {voidedCounts[event.id]} ({Math.round((pomodoroCounts[event.id] || 0) / ((pomodoroCounts[event.id] || 0) + voidedCounts[event.id]) * 100)}% completed)
+                                </span>
+                              )}
+                            </p>
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => deleteEvent(event.id)}
+                          className="text-gray-400 hover:text-red-500 transition-colors duration-200 p-1"
+                          title="Delete Event"
+                        >
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                            <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                          </svg>
+                        </button>
+                      </li>
+                    </SwipeableItem>
+                  ))}
+                </ul>
+              </div>
+            );
+          })
+        )}
+      </div>
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title={modalContent.title}
+        message={modalContent.message}
+      />
+    </Card>
+  );
+};
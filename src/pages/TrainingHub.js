@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { Card, NeonButton } from '../components/ui';
+import { appId } from '../firebase';
+import { BravermanTest } from './BravermanTest';
+import { buildStudyQueue, flattenDeckTree, withDefaultDeck } from '../flashcards/decks';
+import { FlashcardStats } from '../flashcards/FlashcardStats';
+import { Flashcards } from '../flashcards/Flashcards';
+import { LanguagesToLearn } from './LanguagesToLearn';
+
+export const TrainingHub = ({ userId, db }) => {
+  const [currentSection, setCurrentSection] = useState('braverman');
+  const [showBravermanTest, setShowBravermanTest] = useState(false);
+  const [studyDeckId, setStudyDeckId] = useState(null); // null = all decks
+  const [flashcards, setFlashcards] = useState([]);
+  const [savedDecks, setSavedDecks] = useState([]);
+
+  // Due counts per deck for the flashcards section
+  useEffect(() => {
+    if (!userId || currentSection !== 'flashcards') return;
+
+    const unsubscribeCards = onSnapshot(collection(db, `artifacts/${appId}/users/${userId}/flashcards`), (snapshot) => {
+      setFlashcards(snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        nextReviewDate: doc.data().nextReviewDate ? new Date(doc.data().nextReviewDate) : new Date(0)
+      })));
+    }, (error) => {
+      console.error("Error fetching flashcards:", error);
+    });
+    const unsubscribeDecks = onSnapshot(collection(db, `artifacts/${appId}/users/${userId}/flashcardDecks`), (snapshot) => {
+      setSavedDecks(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching flashcard decks:", error);
+    });
+
+    return () => {
+      unsubscribeCards();
+      unsubscribeDecks();
+    };
+  }, [userId, db, currentSection]);
+
+  const decks = withDefaultDeck(savedDecks);
+  const deckRows = [{ deck: { id: null, name: 'All Decks' }, depth: 0 }, ...flattenDeckTree(decks)].map(({ deck, depth }) => {
+    const queue = buildStudyQueue(flashcards, decks, deck.id, Date.now());
+    return { deck, depth, queue };
+  });
+
+  const handleRetakeBraverman = () => {
+    setShowBravermanTest(true);
+  };
+
+  if (showBravermanTest) {
+    return <BravermanTest onRetake={() => setShowBravermanTest(false)} />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-[#FF3C00] mb-4">🧠 Training Hub</h2>
+        <p className="text-[#D1D1D1] mb-8">Enhance your cognitive performance with targeted training</p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        <Card className="hover:border-[#FF3C00] transition-all duration-200 cursor-pointer">
+          <button
+            onClick={() => setCurrentSection('braverman')}
+            className={`w-full text-left ${currentSection === 'braverman' ? 'text-[#FF3C00]' : 'text-[#D1D1D1]'}`}
+          >
+            <h3 className="text-xl font-bold mb-2">🧪 Braverman Test</h3>
+            <p className="text-sm">Assess your neurotransmitter balance and get personalized recommendations</p>
+          </button>
+        </Card>
+
+        <Card className="hover:border-[#FF3C00] transition-all duration-200 cursor-pointer">
+          <button
+            onClick={() => setCurrentSection('languages')}
+            className={`w-full text-left ${currentSection === 'languages' ? 'text-[#FF3C00]' : 'text-[#D1D1D1]'}`}
+          >
+            <h3 className="text-xl font-bold mb-2">🌍 Language Learning</h3>
+            <p className="text-sm">Track your language learning progress and set goals</p>
+          </button>
+        </Card>
+
+        <Card className="hover:border-[#FF3C00] transition-all duration-200 cursor-pointer">
+          <button
+            onClick={() => setCurrentSection('flashcards')}
+            className={`w-full text-left ${currentSection === 'flashcards' ? 'text-[#FF3C00]' : 'text-[#D1D1D1]'}`}
+          >
+            <h3 className="text-xl font-bold mb-2">🗂️ Flashcards</h3>
+            <p className="text-sm">Spaced repetition learning system for optimal retention</p>
+          </button>
+        </Card>
+      </div>
+
+      <div className="mt-8">
+        {currentSection === 'braverman' && (
+          <Card>
+            <div className="text-center">
+              <h3 className="text-2xl font-bold text-[#FF3C00] mb-4">🧪 Braverman Test</h3>
+              <p className="text-[#D1D1D1] mb-6">
+                The Braverman Test assesses your neurotransmitter balance to provide personalized recommendations for cognitive enhancement.
+              </p>
+              <NeonButton onClick={handleRetakeBraverman}>
+                Take Braverman Test
+              </NeonButton>
+            </div>
+          </Card>
+        )}
+
+        {currentSection === 'languages' && <LanguagesToLearn />}
+        {currentSection === 'flashcards' && (
+          <div className="space-y-6">
+            <Card>
+              <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Decks</h3>
+              <div className="space-y-1">
+                {deckRows.map(({ deck, depth, queue }) => (
+                  <button
+                    key={deck.id || 'all'}
+                    onClick={() => setStudyDeckId(deck.id)}
+                    className={`w-full flex items-center justify-between p-2 rounded-lg transition-colors duration-200
+                      ${studyDeckId === deck.id ? 'bg-[#1a1a1a] text-[#FF3C00]' : 'text-[#D1D1D1] hover:bg-[#1a1a1a]'}`}
+                    style={{ paddingLeft: `${0.5 + depth * 1.5}rem` }}
+                  >
+                    <span className={depth === 0 && !deck.id ? 'font-bold' : ''}>{deck.name}</span>
+                    <span className="text-sm space-x-3">
+                      <span className="text-blue-400">{queue.new.length}</span>
+                      <span className="text-red-400">{queue.learning.length}</span>
+                      <span className="text-green-400">{queue.review.length}</span>
+                    </span>
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-2">New · Learning · Review due now, within each deck's daily limits.</p>
+            </Card>
+            <Flashcards userId={userId} db={db} deckId={studyDeckId} onSelectDeck={setStudyDeckId} />
+            <FlashcardStats userId={userId} db={db} cards={flashcards} decks={decks} deckId={studyDeckId} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,656 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, orderBy, where, getDocs } from 'firebase/firestore';
+import { Card } from '../components/ui';
+import { appId } from '../firebase';
+import { toMillis } from '../timer/timing';
+import { BREAK_ACTIVITIES } from '../timer/breakActivities';
+
+const LISTENING_JOIN_TOLERANCE_MS = 10 * 1000; // Audio may start shortly after its Pomodoro
+
+export const Progress = ({ userId, db }) => {
+  const [timeRange, setTimeRange] = useState('week'); // 'day', 'week', 'month'
+  const [productivityData, setProductivityData] = useState({
+    pomodoros: [],
+    tasks: [],
+    focusTime: [],
+    eventTitles: {},
+    estimatedTasks: [],
+    breaks: [],
+    listeningSessions: []
+  });
+  const [loading, setLoading] = useState(true);
+
+  const progressCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/progress`);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const fetchProgressData = async () => {
+      setLoading(true);
+      try {
+        // Get date range
+        const now = new Date();
+        let startDate;
+        switch (timeRange) {
+          case 'day':
+            startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            break;
+          case 'week':
+            startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+            break;
+          case 'month':
+            startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+            break;
+          default:
+            startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+        }
+
+        // Fetch pomodoro sessions
+        const pomodoroQuery = query(
+          collection(db, `artifacts/${appId}/users/${userId}/pomodoroSessions`),
+          where('startTime', '>=', startDate),
+          orderBy('startTime', 'desc')
+        );
+
+        // Fetch completed tasks
+        const tasksQuery = query(
+          collection(db, `artifacts/${appId}/users/${userId}/tasks`),
+          where('completed', '==', true),
+          where('completedAt', '>=', startDate),
+          orderBy('completedAt', 'desc')
+        );
+
+        // Estimation accuracy is trended over a fixed eight-week window regardless of range
+        const estimatesQuery = query(
+          collection(db, `artifacts/${appId}/users/${userId}/tasks`),
+          where('completed', '==', true),
+          where('completedAt', '>=', new Date(now.getTime() - 8 * 7 * 24 * 60 * 60 * 1000)),
+          orderBy('completedAt', 'desc')
+        );
+
+        // Binaural listening sessions, joined below with the Pomodoros started while they played
+        const listeningQuery = query(
+          collection(db, `artifacts/${appId}/users/${userId}/binauralSessions`),
+          where('startTime', '>=', startDate),
+          orderBy('startTime', 'desc')
+        );
+
+        const [pomodoroSnapshot, tasksSnapshot, eventsSnapshot, estimatesSnapshot, listeningSnapshot] = await Promise.all([
+          getDocs(pomodoroQuery),
+          getDocs(tasksQuery),
+          getDocs(collection(db, `artifacts/${appId}/users/${userId}/scheduledEvents`)),
+          getDocs(estimatesQuery),
+          getDocs(listeningQuery)
+        ]);
+
+        const sessions = pomodoroSnapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        }));
+        const pomodoros = sessions.filter(session => !session.isBreak);
+        const breaks = sessions.filter(session => session.isBreak);
+
+        const tasks = tasksSnapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        }));
+
+        const eventTitles = {};
+        eventsSnapshot.forEach(docSnap => {
+          eventTitles[docSnap.id] = docSnap.data().title;
+        });
+
+        const estimatedTasks = estimatesSnapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .filter(task => task.estimatedPomodoros);
+
+        const listeningSessions = listeningSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        setProductivityData({ pomodoros, breaks, tasks, focusTime: [], eventTitles, estimatedTasks, listeningSessions });
+      } catch (error) {
+        console.error("Error fetching progress data:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProgressData();
+  }, [userId, timeRange]);
+
+  // Only completed Pomodoros count; voided, skipped and running ones still credit focus time below
+  const completedPomodoros = productivityData.pomodoros.filter(session => session.completed);
+
+  // Calculate statistics
+  const stats = {
+    totalPomodoros: completedPomodoros.length,
+    totalTasks: productivityData.tasks.length,
+    totalFocusTime: Math.round(productivityData.pomodoros.reduce((total, session) => {
+      // Voided and skipped sessions only credit the minutes actually worked
+      const duration = session.focusMinutes ?? (session.duration || 25); // Default 25 minutes
+      return total + duration;
+    }, 0)),
+    averagePomodorosPerDay: timeRange === 'day' ? completedPomodoros.length : 
+                           completedPomodoros.length / (timeRange === 'week' ? 7 : 30)
+  };
+
+  // Generate chart data
+  const generateChartData = () => {
+    const data = [];
+    const now = new Date();
+    
+    for (let i = 0; i < (timeRange === 'day' ? 24 : timeRange === 'week' ? 7 : 30); i++) {
+      const date = new Date(now);
+      if (timeRange === 'day') {
+        date.setHours(date.getHours() - i);
+      } else {
+        date.setDate(date.getDate() - i);
+      }
+      
+      const dayStart = new Date(date);
+      const dayEnd = new Date(date);
+      if (timeRange === 'day') {
+        dayStart.setMinutes(0, 0, 0);
+        dayEnd.setMinutes(59, 59, 999);
+      } else {
+        dayStart.setHours(0, 0, 0, 0);
+        dayEnd.setHours(23, 59, 59, 999);
+      }
+
+      const dayPomodoros = completedPomodoros.filter(session => {
+        const sessionTime = session.startTime?.toDate?.() || new Date(session.startTime);
+        return sessionTime >= dayStart && sessionTime <= dayEnd;
+      });
+
+      const dayTasks = productivityData.tasks.filter(task => {
+        const taskTime = task.completedAt?.toDate?.() || new Date(task.completedAt);
+        return taskTime >= dayStart && taskTime <= dayEnd;
+      });
+
+      data.unshift({
+        label: timeRange === 'day' ? `${dayStart.getHours()}:00` : dayStart.toLocaleDateString('en-US', { 
+          month: 'short', 
+          day: 'numeric' 
+        }),
+        pomodoros: dayPomodoros.length,
+        tasks: dayTasks.length
+      });
+    }
+    
+    return data;
+  };
+
+  const chartData = generateChartData();
+
+  // Completion versus abandonment, grouped by time of day and by linked scheduler task
+  const getTimeOfDay = (date) => {
+    const hour = date.getHours();
+    if (hour >= 5 && hour < 12) return 'Morning';
+    if (hour >= 12 && hour < 17) return 'Afternoon';
+    if (hour >= 17 && hour < 22) return 'Evening';
+    return 'Night';
+  };
+  const resolvedSessions = productivityData.pomodoros.filter(session => session.completed || session.status === 'voided');
+  const outcomesByTimeOfDay = {};
+  const outcomesByTask = {};
+  const voidReasonCounts = {};
+  resolvedSessions.forEach(session => {
+    const outcome = session.completed ? 'completed' : 'voided';
+    const timeOfDay = getTimeOfDay(new Date(toMillis(session.startTime)));
+    const taskLabel = session.taskId ? (productivityData.eventTitles[session.taskId] || 'Deleted task') : 'Ad-hoc Pomodoro';
+    [[outcomesByTimeOfDay, timeOfDay], [outcomesByTask, taskLabel]].forEach(([groups, key]) => {
+      if (!groups[key]) groups[key] = { completed: 0, voided: 0 };
+      groups[key][outcome] += 1;
+    });
+    if (outcome === 'voided') {
+      voidReasonCounts[session.voidReason] = (voidReasonCounts[session.voidReason] || 0) + 1;
+    }
+  });
+  const voidedTotal = resolvedSessions.filter(session => !session.completed).length;
+  const completionRate = resolvedSessions.length ? (resolvedSessions.length - voidedTotal) / resolvedSessions.length : 0;
+
+  // Interruptions by hour of day and by linked scheduler task
+  const interruptions = productivityData.pomodoros.flatMap(session =>
+    (session.interruptions || []).map(entry => ({ ...entry, taskId: session.taskId }))
+  );
+  const interruptionsByHour = Array(24).fill(0);
+  const interruptionsByTask = {};
+  interruptions.forEach(entry => {
+    interruptionsByHour[new Date(toMillis(entry.at)).getHours()] += 1;
+    const taskLabel = entry.taskId ? (productivityData.eventTitles[entry.taskId] || 'Deleted task') : 'Ad-hoc Pomodoro';
+    interruptionsByTask[taskLabel] = (interruptionsByTask[taskLabel] || 0) + 1;
+  });
+  const topInterruptedHours = interruptionsByHour
+    .map((count, hour) => ({ label: `${hour}:00`, count }))
+    .filter(item => item.count > 0)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 5);
+  const topInterruptedTasks = Object.entries(interruptionsByTask)
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 5);
+
+  // Focus score of the first scored Pomodoro started within an hour after each break, by break activity
+  const scoredPomodoros = productivityData.pomodoros
+    .filter(session => session.focusScore)
+    .map(session => ({ id: session.id, startTime: toMillis(session.startTime), focusScore: session.focusScore }))
+    .sort((a, b) => a.startTime - b.startTime);
+  const breakActivityScores = {};
+  productivityData.breaks.forEach(session => {
+    const breakStart = toMillis(session.startTime);
+    const nextPomodoro = scoredPomodoros.find(p => p.startTime > breakStart && p.startTime - breakStart <= 60 * 60 * 1000);
+    if (!nextPomodoro) return;
+    const key = session.breakActivity || 'none';
+    if (!breakActivityScores[key]) breakActivityScores[key] = { total: 0, count: 0 };
+    breakActivityScores[key].total += nextPomodoro.focusScore;
+    breakActivityScores[key].count += 1;
+  });
+  const breakActivityRows = Object.entries(breakActivityScores)
+    .map(([id, { total, count }]) => {
+      const activity = BREAK_ACTIVITIES.find(a => a.id === id);
+      return { id, label: activity ? `${activity.icon} ${activity.name}` : 'No activity logged', average: total / count, count };
+    })
+    .sort((a, b) => b.average - a.average);
+
+  // Focus score of each scored Pomodoro started while a listening session was playing,
+  // averaged by preset (or program) and by background mix. Sessions the timer started name their
+  // Pomodoro; others match on time, allowing for audio that starts a moment after the Pomodoro,
+  // and the most recently started session wins over one that was just being stopped.
+  const audioScores = { label: {}, background: {} };
+  scoredPomodoros.forEach(pomodoro => {
+    const listening = productivityData.listeningSessions.find(session => session.pomodoroSessionId === pomodoro.id) ||
+      productivityData.listeningSessions
+        .filter(session =>
+          toMillis(session.startTime) <= pomodoro.startTime + LISTENING_JOIN_TOLERANCE_MS &&
+          pomodoro.startTime < toMillis(session.endTime)
+        )
+        .sort((a, b) => toMillis(b.startTime) - toMillis(a.startTime))[0];
+    if (!listening) return;
+    [['label', listening.label], ['background', listening.background || 'None']].forEach(([group, key]) => {
+      if (!audioScores[group][key]) audioScores[group][key] = { total: 0, count: 0 };
+      audioScores[group][key].total += pomodoro.focusScore;
+      audioScores[group][key].count += 1;
+    });
+  });
+  const toAudioRows = (group) => Object.entries(audioScores[group])
+    .map(([label, { total, count }]) => ({ label, average: total / count, count }))
+    .sort((a, b) => b.average - a.average);
+  const audioPresetRows = toAudioRows('label');
+  const audioBackgroundRows = toAudioRows('background');
+  const listeningMinutes = productivityData.listeningSessions.reduce((total, session) => total + (session.durationMinutes || 0), 0);
+
+  // Estimated versus actual Pomodoros for completed tasks, bucketed by completion week
+  const estimateRows = productivityData.estimatedTasks.map(task => ({
+    text: task.text,
+    estimated: task.estimatedPomodoros,
+    actual: (task.pomodoroSessionIds || []).length,
+    completedAt: toMillis(task.completedAt)
+  }));
+  const estimateWeeks = Array.from({ length: 8 }, (_, i) => {
+    const weekEnd = Date.now() - i * 7 * 24 * 60 * 60 * 1000;
+    const weekStart = weekEnd - 7 * 24 * 60 * 60 * 1000;
+    const rows = estimateRows.filter(row => row.completedAt > weekStart && row.completedAt <= weekEnd);
+    return {
+      label: new Date(weekStart + 24 * 60 * 60 * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      ratio: rows.length ? rows.reduce((sum, row) => sum + row.actual / row.estimated, 0) / rows.length : null,
+      count: rows.length
+    };
+  }).reverse();
+  const onEstimateCount = estimateRows.filter(row => Math.abs(row.actual - row.estimated) <= 1).length;
+  const averageEstimateRatio = estimateRows.length
+    ? estimateRows.reduce((sum, row) => sum + row.actual / row.estimated, 0) / estimateRows.length
+    : 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-[#FF3C00] mb-4">📊 Progress Dashboard</h2>
+        <p className="text-[#D1D1D1] mb-8">Track your productivity and focus metrics</p>
+      </div>
+
+      {/* Time Range Selector */}
+      <div className="flex justify-center mb-6">
+        <div className="bg-[#1a1a1a] rounded-lg p-1 border border-[#333]">
+          {['day', 'week', 'month'].map(range => (
+            <button
+              key={range}
+              onClick={() => setTimeRange(range)}
+              className={`px-4 py-2 rounded-md transition-all duration-200 capitalize ${
+                timeRange === range 
+                  ? 'bg-[#FF3C00] text-white' 
+                  : 'text-[#D1D1D1] hover:text-[#FF3C00]'
+              }`}
+            >
+              {range}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <Card>
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#FF3C00] mx-auto mb-4"></div>
+            <p className="text-[#D1D1D1]">Loading progress data...</p>
+          </div>
+        </Card>
+      ) : (
+        <>
+          {/* Statistics Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            <Card className="text-center">
+              <div className="text-3xl font-bold text-[#FF3C00] mb-2">{stats.totalPomodoros}</div>
+              <div className="text-[#D1D1D1] text-sm">Pomodoros</div>
+            </Card>
+            <Card className="text-center">
+              <div className="text-3xl font-bold text-[#FF3C00] mb-2">{stats.totalTasks}</div>
+              <div className="text-[#D1D1D1] text-sm">Tasks Completed</div>
+            </Card>
+            <Card className="text-center">
+              <div className="text-3xl font-bold text-[#FF3C00] mb-2">{stats.totalFocusTime}</div>
+              <div className="text-[#D1D1D1] text-sm">Minutes Focused</div>
+            </Card>
+            <Card className="text-center">
+              <div className="text-3xl font-bold text-[#FF3C00] mb-2">{stats.averagePomodorosPerDay.toFixed(1)}</div>
+              <div className="text-[#D1D1D1] text-sm">Avg Pomodoros/Day</div>
+            </Card>
+          </div>
+
+          {/* Charts */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Pomodoros Chart */}
+            <Card>
+              <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Pomodoros Completed</h3>
+              <div className="h-64 flex items-end justify-between space-x-1">
+                {chartData.map((data, index) => (
+                  <div key={index} className="flex-1 flex flex-col items-center">
+                    <div 
+                      className="w-full bg-[#FF3C00] rounded-t transition-all duration-300 hover:bg-[#FF3C00]/80"
+                      style={{ 
+                        height: `${Math.max((data.pomodoros / Math.max(...chartData.map(d => d.pomodoros))) * 200, 4)}px` 
+                      }}
+                    ></div>
+                    <div className="text-xs text-[#D1D1D1] mt-2 text-center">
+                      {data.label}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Card>
+
+            {/* Tasks Chart */}
+            <Card>
+              <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Tasks Completed</h3>
+              <div className="h-64 flex items-end justify-between space-x-1">
+                {chartData.map((data, index) => (
+                  <div key={index} className="flex-1 flex flex-col items-center">
+                    <div 
+                      className="w-full bg-blue-500 rounded-t transition-all duration-300 hover:bg-blue-400"
+                      style={{ 
+                        height: `${Math.max((data.tasks / Math.max(...chartData.map(d => d.tasks))) * 200, 4)}px` 
+                      }}
+                    ></div>
+                    <div className="text-xs text-[#D1D1D1] mt-2 text-center">
+                      {data.label}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Card>
+          </div>
+
+          {/* Completion vs Abandonment */}
+          <Card>
+            <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Completion vs. Abandonment</h3>
+            {resolvedSessions.length === 0 ? (
+              <div className="text-center text-[#D1D1D1] py-4">
+                No finished or voided Pomodoros in this period.
+              </div>
+            ) : (
+              <>
+                <div className="flex h-4 rounded overflow-hidden mb-2">
+                  <div className="bg-green-600" style={{ width: `${completionRate * 100}%` }}></div>
+                  <div className="bg-red-600 flex-1"></div>
+                </div>
+                <div className="flex justify-between text-sm text-[#D1D1D1] mb-4">
+                  <span>✅ {Math.round(completionRate * 100)}% completed</span>
+                  <span>✖ {Math.round((1 - completionRate) * 100)}% voided</span>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                  {[
+                    { title: 'By Time of Day', groups: outcomesByTimeOfDay },
+                    { title: 'By Task', groups: outcomesByTask }
+                  ].map(section => (
+                    <div key={section.title}>
+                      <h4 className="text-sm font-bold text-gray-400 mb-2">{section.title}</h4>
+                      <div className="space-y-1">
+                        {Object.entries(section.groups).map(([label, counts]) => (
+                          <div key={label} className="flex justify-between text-sm">
+                            <span className="text-[#D1D1D1] truncate mr-2">{label}</span>
+                            <span className="text-gray-500 whitespace-nowrap">
+                              {counts.completed} / {counts.voided}
+                              <span className="text-[#FF3C00] font-bold ml-2">
+                                {Math.round(counts.completed / (counts.completed + counts.voided) * 100)}%
+                              </span>
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                  <div>
+                    <h4 className="text-sm font-bold text-gray-400 mb-2">Void Reasons</h4>
+                    <div className="space-y-1">
+                      {Object.entries(voidReasonCounts).length === 0 && (
+                        <div className="text-sm text-gray-500">Nothing voided 🎉</div>
+                      )}
+                      {Object.entries(voidReasonCounts)
+                        .sort((a, b) => b[1] - a[1])
+                        .map(([reason, count]) => (
+                          <div key={reason} className="flex justify-between text-sm">
+                            <span className="text-[#D1D1D1] truncate mr-2">{reason}</span>
+                            <span className="text-[#FF3C00] font-bold">{count}</span>
+                          </div>
+                        ))}
+                    </div>
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 mt-4">Completed / voided per group, with completion rate.</p>
+              </>
+            )}
+          </Card>
+
+          {/* Interruptions */}
+          <Card>
+            <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Interruptions</h3>
+            {interruptions.length === 0 ? (
+              <div className="text-center text-[#D1D1D1] py-4">
+                No interruptions logged in this period.
+              </div>
+            ) : (
+              <>
+                <div className="text-[#D1D1D1] mb-4">
+                  {interruptions.filter(i => i.type === 'internal').length} internal · {interruptions.filter(i => i.type === 'external').length} external
+                  <span className="text-gray-500 ml-2">
+                    ({(interruptions.length / Math.max(productivityData.pomodoros.length, 1)).toFixed(1)} per Pomodoro)
+                  </span>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  {[
+                    { title: 'Most Interrupted Hours', items: topInterruptedHours },
+                    { title: 'Most Interrupted Tasks', items: topInterruptedTasks }
+                  ].map(group => (
+                    <div key={group.title}>
+                      <h4 className="text-sm font-bold text-gray-400 mb-2">{group.title}</h4>
+                      <div className="space-y-2">
+                        {group.items.map(item => (
+                          <div key={item.label} className="flex items-center">
+                            <div className="w-32 text-sm text-[#D1D1D1] truncate">{item.label}</div>
+                            <div className="flex-1 bg-[#0F0F0F] rounded h-3 mx-2">
+                              <div
+                                className="bg-[#FF3C00] h-3 rounded"
+                                style={{ width: `${(item.count / group.items[0].count) * 100}%` }}
+                              ></div>
+                            </div>
+                            <div className="text-sm text-[#FF3C00] font-bold w-6 text-right">{item.count}</div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </Card>
+
+          {/* Break Activities */}
+          <Card>
+            <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Break Activities vs. Next Focus</h3>
+            {breakActivityRows.length === 0 ? (
+              <div className="text-center text-[#D1D1D1] py-4">
+                Log break activities and rate your Pomodoros to see which breaks help you focus.
+              </div>
+            ) : (
+              <>
+                <div className="space-y-2">
+                  {breakActivityRows.map(row => (
+                    <div key={row.id} className="flex items-center">
+                      <div className="w-40 text-sm text-[#D1D1D1] truncate">{row.label}</div>
+                      <div className="flex-1 bg-[#0F0F0F] rounded h-3 mx-2">
+                        <div className="bg-[#FF3C00] h-3 rounded" style={{ width: `${(row.average / 5) * 100}%` }}></div>
+                      </div>
+                      <div className="text-sm text-[#FF3C00] font-bold w-20 text-right">
+                        {row.average.toFixed(1)} <span className="text-gray-500 font-normal">({row.count})</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-4">Average focus score of the Pomodoro following each kind of break.</p>
+              </>
+            )}
+          </Card>
+
+          {/* Focus Audio */}
+          <Card>
+            <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Focus Audio vs. Focus Score</h3>
+            {audioPresetRows.length === 0 ? (
+              <div className="text-center text-[#D1D1D1] py-4">
+                Play binaural beats during rated Pomodoros to see which audio setups help you focus.
+              </div>
+            ) : (
+              <>
+                <div className="text-[#D1D1D1] mb-4">
+                  Listened for <span className="text-[#FF3C00] font-bold">{Math.round(listeningMinutes)}</span> minutes
+                  across {productivityData.listeningSessions.length} sessions.
+                </div>
+                {[
+                  { title: 'By Preset', rows: audioPresetRows },
+                  { title: 'By Background', rows: audioBackgroundRows }
+                ].map(section => (
+                  <div key={section.title} className="mb-4">
+                    <h4 className="text-lg font-semibold text-[#D1D1D1] mb-2">{section.title}</h4>
+                    <div className="space-y-2">
+                      {section.rows.map(row => (
+                        <div key={row.label} className="flex items-center">
+                          <div className="w-40 text-sm text-[#D1D1D1] truncate">{row.label}</div>
+                          <div className="flex-1 bg-[#0F0F0F] rounded h-3 mx-2">
+                            <div className="bg-[#FF3C00] h-3 rounded" style={{ width: `${(row.average / 5) * 100}%` }}></div>
+                          </div>
+                          <div className="text-sm text-[#FF3C00] font-bold w-20 text-right">
+                            {row.average.toFixed(1)} <span className="text-gray-500 font-normal">({row.count})</span>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                <p className="text-xs text-gray-500">Average focus score of Pomodoros started while each setup was playing.</p>
+              </>
+            )}
+          </Card>
+
+          {/* Estimation Accuracy */}
+          <Card>
+            <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Estimation Accuracy</h3>
+            {estimateRows.length === 0 ? (
+              <div className="text-center text-[#D1D1D1] py-4">
+                Complete tasks with a Pomodoro estimate to see how accurate your estimates are.
+              </div>
+            ) : (
+              <>
+                <div className="text-[#D1D1D1] mb-4">
+                  Actual / estimate: <span className="text-[#FF3C00] font-bold">{averageEstimateRatio.toFixed(2)}×</span>
+                  <span className="text-gray-500 ml-2">
+                    ({Math.round((onEstimateCount / estimateRows.length) * 100)}% of {estimateRows.length} tasks within ±1 Pomodoro, last 8 weeks)
+                  </span>
+                </div>
+                <div className="flex items-end justify-between h-32 mb-2">
+                  {estimateWeeks.map(week => (
+                    <div key={week.label} className="flex flex-col items-center flex-1">
+                      <div className="text-xs text-gray-500 mb-1">{week.ratio !== null ? `${week.ratio.toFixed(1)}×` : ''}</div>
+                      <div
+                        className={`w-4 sm:w-6 rounded-t ${week.ratio !== null && Math.abs(week.ratio - 1) <= 0.25 ? 'bg-green-500' : 'bg-[#FF3C00]'}`}
+                        style={{ height: `${week.ratio !== null ? Math.min(week.ratio, 2) * 40 : 0}px` }}
+                        title={`${week.count} tasks`}
+                      ></div>
+                      <div className="text-xs text-[#D1D1D1] mt-1">{week.label}</div>
+                    </div>
+                  ))}
+                </div>
+                <div className="space-y-2 mt-4">
+                  {estimateRows.slice(0, 5).map(row => (
+                    <div key={`${row.text}-${row.completedAt}`} className="flex justify-between text-sm">
+                      <span className="text-[#D1D1D1] truncate mr-2">{row.text}</span>
+                      <span className={row.actual > row.estimated ? 'text-red-400' : 'text-green-400'}>
+                        🍅 {row.actual} / {row.estimated}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-4">Weekly average of actual ÷ estimated Pomodoros; 1.0× is a perfect estimate.</p>
+              </>
+            )}
+          </Card>
+
+          {/* Recent Activity */}
+          <Card>
+            <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Recent Activity</h3>
+            <div className="space-y-3 max-h-64 overflow-y-auto">
+              {productivityData.pomodoros.slice(0, 5).map((session, index) => (
+                <div key={index} className="flex items-center justify-between p-3 bg-[#0F0F0F] rounded-lg">
+                  <div className="flex items-center">
+                    <span className="text-[#FF3C00] mr-3">⏰</span>
+                    <div>
+                      <div className="text-[#D1D1D1] font-semibold">Pomodoro Session</div>
+                      <div className="text-sm text-gray-500">
+                        {session.startTime?.toDate?.().toLocaleString() || 'Recent'}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="text-[#FF3C00] font-bold">{session.duration || 25}min</div>
+                </div>
+              ))}
+              {productivityData.tasks.slice(0, 5).map((task, index) => (
+                <div key={index} className="flex items-center justify-between p-3 bg-[#0F0F0F] rounded-lg">
+                  <div className="flex items-center">
+                    <span className="text-green-500 mr-3">✅</span>
+                    <div>
+                      <div className="text-[#D1D1D1] font-semibold">{task.text}</div>
+                      <div className="text-sm text-gray-500">
+                        {task.completedAt?.toDate?.().toLocaleString() || 'Recent'}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              ))}
+              {productivityData.pomodoros.length === 0 && productivityData.tasks.length === 0 && (
+                <div className="text-center text-[#D1D1D1] py-8">
+                  No activity yet. Start using the Pomodoro timer and completing tasks to see your progress!
+                </div>
+              )}
+            </div>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,930 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { doc, collection, query, onSnapshot, deleteDoc, updateDoc, addDoc, where } from 'firebase/firestore';
+import { Card, FAB, Modal, NeonButton, SwipeableItem } from '../components/ui';
+import { appId } from '../firebase';
+import { supportsScheduledNotifications } from '../notifications';
+import { VOID_REASONS, formatCountdown } from './timing';
+import { ALERT_SOUNDS, playAlertSound } from './alertSounds';
+import { BINAURAL_PRESETS } from '../audio/AudioService';
+import { TimerServiceContext } from './TimerService';
+
+export const PomodoroTimer = ({ userId, db, timerAction, onTimerActionHandled }) => {
+  const {
+    pomodoroDuration, setPomodoroDuration, shortBreakDuration, setShortBreakDuration,
+    longBreakDuration, setLongBreakDuration, pomodorosUntilLongBreak, setPomodorosUntilLongBreak,
+    timerMode, setTimerMode, flowtimeBreakRatio, setFlowtimeBreakRatio, selectedProfileId,
+    newProfileName, setNewProfileName, targetEndTime, timerLoaded, now, isActive, isPaused,
+    isBreak, completedPomodoros, pendingScoreIds, setPendingScoreIds, autoStartBreaks,
+    setAutoStartBreaks, autoStartPomodoros, setAutoStartPomodoros, autoStopCycles,
+    setAutoStopCycles, autoStopTime, setAutoStopTime, chain, selectedTodoId, breakActivity,
+    setShowModal, modalContent, setModalContent, notificationsEnabled, soundEnabled,
+    setSoundEnabled, startSound, setStartSound, endSound, setEndSound, breakEndSound,
+    setBreakEndSound, warningSound, setWarningSound, tickingEnabled, setTickingEnabled,
+    alertVolume, setAlertVolume, audioLinked, setAudioLinked, focusPreset, setFocusPreset,
+    breakAudio, setBreakAudio, relaxPreset, setRelaxPreset, showFocusScore, focusScore,
+    setFocusScore, selectedEventId, sessionInterruptions, showVoidDialog, setShowVoidDialog,
+    voidReason, setVoidReason, voidNote, setVoidNote, interruptionNote, setInterruptionNote,
+    allProfiles, selectedProfile, requestNotificationPermission, playSound, timerActionRef,
+    isFlowPhase, getElapsedMinutes, toggleTimer, pauseTimer, skipPhase, resetTimer, confirmVoid,
+    logInterruption, selectTodo, chooseBreakActivity, finishFlow, selectEvent, selectProfile,
+    saveProfileAsNew, updateSelectedProfile, deleteSelectedProfile, startBreak, startLongBreak,
+    breakSuggestions, chosenActivity, displayMs, saveFocusScore, savePendingScore
+  } = useContext(TimerServiceContext);
+
+  const [tasks, setTasks] = useState([]);
+  const [newTask, setNewTask] = useState('');
+  const [newTaskEstimate, setNewTaskEstimate] = useState(''); // Estimated Pomodoros for the new task
+  const [editingTaskId, setEditingTaskId] = useState(null);
+  const [editingTaskText, setEditingTaskText] = useState('');
+  const [modalConfirmAction, setModalConfirmAction] = useState(null);
+  const [showConfirmModal, setShowConfirmModal] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [scheduledEvents, setScheduledEvents] = useState([]); // For Scheduler integration
+  const [showAddTaskForm, setShowAddTaskForm] = useState(false);
+  const tasksCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/tasks`);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const q = query(tasksCollectionRef);
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const fetchedTasks = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      setTasks(fetchedTasks);
+    }, (error) => {
+      console.error("Error fetching tasks:", error);
+      setModalContent({ title: 'Error', message: 'Failed to load tasks. Please try again.' });
+      setShowModal(true);
+    });
+
+    return () => unsubscribe();
+  }, [userId, db, setModalContent, setShowModal]);
+
+  // Fetch today's scheduled events
+  useEffect(() => {
+    if (!userId) return;
+    const today = new Date();
+    const yyyy = today.getFullYear();
+    const mm = String(today.getMonth() + 1).padStart(2, '0');
+    const dd = String(today.getDate()).padStart(2, '0');
+    const todayStr = `${yyyy}-${mm}-${dd}`;
+    const eventsRef = collection(db, `artifacts/${appId}/users/${userId}/scheduledEvents`);
+    const q = query(eventsRef, where('date', '==', todayStr));
+    const unsub = onSnapshot(q, (snap) => {
+      setScheduledEvents(snap.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    });
+    return () => unsub();
+  }, [userId, db]);
+
+  const addTask = async () => {
+    if (newTask.trim() === '') {
+      setModalContent({ title: 'Input Error', message: 'Task cannot be empty.' });
+      setShowModal(true);
+      return;
+    }
+    try {
+      await addDoc(tasksCollectionRef, {
+        text: newTask,
+        completed: false,
+        createdAt: new Date(),
+        estimatedPomodoros: parseInt(newTaskEstimate) || null,
+        pomodoroSessionIds: []
+      });
+      setNewTask('');
+      setNewTaskEstimate('');
+    } catch (e) {
+      console.error("Error adding document: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to add task. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const toggleTaskCompletion = async (id, completed) => {
+    try {
+      const taskDocRef = doc(db, `artifacts/${appId}/users/${userId}/tasks`, id);
+      await updateDoc(taskDocRef, { 
+        completed: !completed,
+        completedAt: !completed ? new Date() : null
+      });
+      
+      // Play sound when task is completed
+      if (!completed) {
+        playSound('marimba');
+      }
+    } catch (e) {
+      console.error("Error updating document: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to update task. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const deleteTask = (id) => {
+    setModalContent({
+      title: 'Confirm Deletion',
+      message: 'Are you sure you want to delete this task?'
+    });
+    setModalConfirmAction(() => async () => {
+      try {
+        await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/tasks`, id));
+        setShowConfirmModal(false);
+      } catch (e) {
+        console.error("Error deleting document: ", e);
+        setModalContent({ title: 'Error', message: 'Failed to delete task. Please try again.' });
+        setShowModal(true);
+        setShowConfirmModal(false);
+      }
+    });
+    setShowConfirmModal(true);
+  };
+
+  const setTaskEstimate = async (id, estimate) => {
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/tasks`, id), {
+        estimatedPomodoros: estimate > 0 ? estimate : null
+      });
+    } catch (e) {
+      console.error("Error updating task estimate: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to update estimate. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const startEditingTask = (task) => {
+    setEditingTaskId(task.id);
+    setEditingTaskText(task.text);
+  };
+
+  const saveEditedTask = async (id) => {
+    if (editingTaskText.trim() === '') {
+      setModalContent({ title: 'Input Error', message: 'Task cannot be empty.' });
+      setShowModal(true);
+      return;
+    }
+    try {
+      const taskDocRef = doc(db, `artifacts/${appId}/users/${userId}/tasks`, id);
+      await updateDoc(taskDocRef, { text: editingTaskText });
+      setEditingTaskId(null);
+      setEditingTaskText('');
+    } catch (e) {
+      console.error("Error saving edited task: ", e);
+      setModalContent({ title: 'Error', message: 'Failed to save task. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const cancelEditingTask = () => {
+    setEditingTaskId(null);
+    setEditingTaskText('');
+  };
+
+  // Notification actions are routed here by Dashboard; retried until the timer state has settled
+  useEffect(() => {
+    if (!timerLoaded || !timerAction) return;
+    if (timerActionRef.current(timerAction) && onTimerActionHandled) onTimerActionHandled();
+  }, [timerLoaded, timerAction, timerActionRef, onTimerActionHandled, isActive, isBreak, targetEndTime]);
+
+
+  return (
+    <Card className="w-full h-full flex flex-col p-4 md:p-6">
+      <h2 className="text-3xl text-[#FF3C00] font-bold mb-6 uppercase">Pomodoro Timer</h2>
+      {/* Task selector */}
+      {scheduledEvents.length > 0 && (
+        <div className="mb-4">
+          <label className="block text-[#FF3C00] text-lg mb-2">Focus on Scheduled Task</label>
+          <select
+            value={selectedEventId}
+            onChange={e => selectEvent(e.target.value)}
+            className="w-full p-2 rounded-lg bg-[#1a1a1a] text-[#D1D1D1] border border-[#333]"
+          >
+            <option value="">-- None (Ad-hoc Pomodoro) --</option>
+            {scheduledEvents.map(ev => (
+              <option key={ev.id} value={ev.id}>{ev.title} ({ev.startTime}-{ev.endTime})</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {selectedTodoId && tasks.some(task => task.id === selectedTodoId) && (() => {
+        const task = tasks.find(t => t.id === selectedTodoId);
+        return (
+          <div className="mb-4 text-center text-[#D1D1D1]">
+            Working on: <span className="text-[#FF3C00] font-bold">{task.text}</span>
+            <span className="text-gray-500 ml-2">
+              🍅 {(task.pomodoroSessionIds || []).length}{task.estimatedPomodoros ? ` / ${task.estimatedPomodoros} est.` : ''}
+            </span>
+          </div>
+        );
+      })()}
+
+      {/* Timer Profiles */}
+      <div className="mb-6">
+        <h3 className="text-xl text-[#FF3C00] font-bold mb-3">Timer Profile:</h3>
+        <div className="flex flex-wrap justify-center gap-3">
+          {allProfiles.map(profile => (
+            <button
+              key={profile.id}
+              onClick={() => selectProfile(profile)}
+              className={`px-4 py-2 rounded-br-lg text-lg font-bold transition-colors duration-200
+                          ${selectedProfileId === profile.id ? 'bg-[#FF3C00] text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+              disabled={isActive}
+            >
+              {profile.name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Timer Display */}
+      <div className="flex justify-center items-center mb-8">
+        <div className={`text-6xl sm:text-7xl font-extrabold ${isBreak ? 'text-blue-400' : 'text-[#FF3C00]'}
+                        bg-black p-6 md:p-8 rounded-xl shadow-inner shadow-black/50 border border-[#333]`}>
+          {formatCountdown(displayMs)}
+        </div>
+      </div>
+      {isFlowPhase && (
+        <p className="text-center text-sm text-gray-500 -mt-6 mb-8">
+          Flowtime counts up — take a break when your focus fades (break = worked time ÷ {flowtimeBreakRatio}).
+        </p>
+      )}
+
+      {/* Timer Controls */}
+      <div className="flex justify-center space-x-2 sm:space-x-4 mb-8">
+        <NeonButton onClick={toggleTimer}>
+          {isActive ? (isPaused ? 'Resume' : 'Pause') : 'Start'}
+        </NeonButton>
+        {isActive && !isPaused && (
+          <NeonButton onClick={pauseTimer}>Pause</NeonButton>
+        )}
+        <NeonButton onClick={resetTimer}>Reset</NeonButton>
+        {isActive && isFlowPhase && (
+          <NeonButton onClick={finishFlow}>Take Break</NeonButton>
+        )}
+        {isActive && (
+          <NeonButton onClick={skipPhase}>Skip</NeonButton>
+        )}
+        {!isBreak && (
+          <>
+            <NeonButton onClick={startBreak}>Short Break</NeonButton>
+            <NeonButton onClick={startLongBreak}>Long Break</NeonButton>
+          </>
+        )}
+      </div>
+
+      {/* Break Companion */}
+      {isBreak && (
+        <Card className="mb-6 p-4 bg-[#0F0F0F] border border-[#222]">
+          <h4 className="text-lg text-[#FF3C00] font-bold mb-3">Break Companion</h4>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-3">
+            {(chosenActivity && !breakSuggestions.some(a => a.id === chosenActivity.id)
+              ? [...breakSuggestions, chosenActivity]
+              : breakSuggestions
+            ).map(activity => (
+              <button
+                key={activity.id}
+                onClick={() => chooseBreakActivity(activity.id)}
+                className={`p-3 rounded-br-lg text-left transition-colors duration-200
+                            ${breakActivity === activity.id ? 'bg-[#FF3C00] text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+              >
+                <div className="font-bold">{activity.icon} {activity.name}</div>
+                <div className="text-xs opacity-75">{activity.minMinutes}+ min</div>
+              </button>
+            ))}
+          </div>
+          {chosenActivity ? (
+            <div className="text-[#D1D1D1] text-sm leading-relaxed">
+              {chosenActivity.id === 'breathing' && isActive && !isPaused && (
+                <div className="text-center text-2xl text-[#FF3C00] font-bold mb-2">
+                  {['Inhale', 'Hold', 'Exhale', 'Hold'][Math.floor(now / 4000) % 4]}
+                </div>
+              )}
+              {chosenActivity.instructions}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Pick what you'll do this break — it's logged so Progress can show which breaks lead to your best focus.
+            </p>
+          )}
+        </Card>
+      )}
+
+      {/* Deferred Focus Scores */}
+      {pendingScoreIds.length > 0 && (
+        <Card className="mb-6 p-4 bg-[#0F0F0F] border border-[#222]">
+          <div className="flex flex-col sm:flex-row items-center justify-between gap-3">
+            <p className="text-[#D1D1D1]">
+              Rate your focus for an earlier Pomodoro
+              {pendingScoreIds.length > 1 && <span className="text-gray-500"> ({pendingScoreIds.length} waiting)</span>}
+            </p>
+            <div className="flex items-center space-x-2">
+              {[1, 2, 3, 4, 5].map(score => (
+                <button
+                  key={score}
+                  onClick={() => savePendingScore(score)}
+                  className="w-9 h-9 rounded-full text-sm font-bold transition-all duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-[#FF3C00] hover:text-white"
+                >
+                  {score}
+                </button>
+              ))}
+              <button onClick={() => setPendingScoreIds([])} className="ml-2 text-gray-500 hover:text-red-500 text-sm">
+                Dismiss
+              </button>
+            </div>
+          </div>
+        </Card>
+      )}
+
+      {/* Interruption Log */}
+      {isActive && !isBreak && (
+        <div className="mb-6">
+          <div className="flex flex-col sm:flex-row gap-2 mb-2">
+            <input
+              type="text"
+              value={interruptionNote}
+              onChange={(e) => setInterruptionNote(e.target.value)}
+              placeholder="What interrupted you? (optional)"
+              className="flex-grow bg-[#0F0F0F] border border-[#333] text-[#D1D1D1] p-2 rounded-bl-xl focus:outline-none focus:border-[#FF3C00]"
+            />
+            <button
+              onClick={() => logInterruption('internal')}
+              className="px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+            >
+              ' Internal
+            </button>
+            <button
+              onClick={() => logInterruption('external')}
+              className="px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+            >
+              – External
+            </button>
+          </div>
+          <p className="text-sm text-gray-500 text-center">
+            Interruptions this Pomodoro: {sessionInterruptions.filter(i => i.type === 'internal').length} internal, {sessionInterruptions.filter(i => i.type === 'external').length} external
+          </p>
+        </div>
+      )}
+
+      {/* Session Info */}
+      <div className="text-center mb-4">
+        <div className="text-[#D1D1D1] text-lg">
+          Completed Pomodoros: <span className="text-[#FF3C00] font-bold">{completedPomodoros}</span>
+          {completedPomodoros > 0 && (
+            <span className="text-gray-500 ml-2">
+              (Next long break after {pomodorosUntilLongBreak - (completedPomodoros % pomodorosUntilLongBreak)} more)
+            </span>
+          )}
+        </div>
+        {chain && isActive && (
+          <div className="text-sm text-gray-500 mt-1">
+            ⏩ Auto-advance on
+            {chain.maxCycles && ` · ${Math.max(0, chain.maxCycles - (completedPomodoros - chain.startCycle))} of ${chain.maxCycles} cycles left`}
+            {chain.stopAt && ` · stops by ${new Date(chain.stopAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+          </div>
+        )}
+      </div>
+
+      {/* Settings and Controls */}
+      <div className="flex flex-col sm:flex-row justify-center items-center space-y-2 sm:space-y-0 sm:space-x-4 mb-6">
+        <button
+          onClick={() => setShowSettings(!showSettings)}
+          className="px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+        >
+          ⚙️ Settings
+        </button>
+        <button
+          onClick={requestNotificationPermission}
+          className={`px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200
+                      ${notificationsEnabled ? 'bg-green-600 text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+        >
+          {notificationsEnabled ? '🔔 Notifications On' : '🔕 Enable Notifications'}
+        </button>
+        <button
+          onClick={() => setSoundEnabled(!soundEnabled)}
+          className={`px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200
+                      ${soundEnabled ? 'bg-blue-600 text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+        >
+          {soundEnabled ? '🔊 Sound On' : '🔇 Sound Off'}
+        </button>
+      </div>
+      {notificationsEnabled && !supportsScheduledNotifications() && (
+        <p className="text-xs text-gray-500 text-center -mt-4 mb-6">
+          This browser only shows phase alerts while FocusForge is open. In a suspended or closed tab they may arrive late or not at all.
+        </p>
+      )}
+
+      {/* Settings Panel */}
+      {showSettings && (
+        <Card className="mb-6">
+          <h3 className="text-xl font-bold text-[#FF3C00] mb-4">Timer Settings</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Mode</label>
+              <select
+                value={timerMode}
+                onChange={(e) => setTimerMode(e.target.value)}
+                className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                disabled={isActive}
+              >
+                <option value="countdown">Countdown (Pomodoro)</option>
+                <option value="flowtime">Flowtime (count up)</option>
+              </select>
+            </div>
+            {timerMode === 'countdown' ? (
+              <div>
+                <label className="block text-[#D1D1D1] mb-2 font-semibold">Work Duration (minutes)</label>
+                <input
+                  type="number"
+                  value={pomodoroDuration}
+                  onChange={(e) => setPomodoroDuration(parseInt(e.target.value) || 25)}
+                  min="1"
+                  max="180"
+                  className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                  disabled={isActive}
+                />
+              </div>
+            ) : (
+              <div>
+                <label className="block text-[#D1D1D1] mb-2 font-semibold">Break Ratio (1 min break per N min worked)</label>
+                <input
+                  type="number"
+                  value={flowtimeBreakRatio}
+                  onChange={(e) => setFlowtimeBreakRatio(parseInt(e.target.value) || 5)}
+                  min="2"
+                  max="10"
+                  className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Short Break Duration (minutes)</label>
+              <input
+                type="number"
+                value={shortBreakDuration}
+                onChange={(e) => setShortBreakDuration(parseInt(e.target.value) || 5)}
+                min="1"
+                max="30"
+                className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+              />
+            </div>
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Long Break Duration (minutes)</label>
+              <input
+                type="number"
+                value={longBreakDuration}
+                onChange={(e) => setLongBreakDuration(parseInt(e.target.value) || 15)}
+                min="5"
+                max="60"
+                className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+              />
+            </div>
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Pomodoros until Long Break</label>
+              <input
+                type="number"
+                value={pomodorosUntilLongBreak}
+                onChange={(e) => setPomodorosUntilLongBreak(parseInt(e.target.value) || 4)}
+                min="2"
+                max="10"
+                className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+              />
+            </div>
+          </div>
+
+          {/* Sounds */}
+          <h4 className="text-lg font-bold text-[#FF3C00] mt-6 mb-3">Sounds</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {[
+              { label: 'Start', value: startSound, onChange: setStartSound },
+              { label: 'Pomodoro End', value: endSound, onChange: setEndSound },
+              { label: 'Break End', value: breakEndSound, onChange: setBreakEndSound },
+              { label: 'Final-Minute Warning', value: warningSound, onChange: setWarningSound }
+            ].map(setting => (
+              <div key={setting.label}>
+                <label className="block text-[#D1D1D1] mb-2 font-semibold">{setting.label}</label>
+                <div className="flex gap-2">
+                  <select
+                    value={setting.value}
+                    onChange={(e) => setting.onChange(e.target.value)}
+                    className="flex-grow p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                  >
+                    <option value="none">None</option>
+                    {Object.entries(ALERT_SOUNDS).map(([id, sound]) => (
+                      <option key={id} value={id}>{sound.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => playAlertSound(setting.value, alertVolume)}
+                    className="px-3 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+                    title="Preview"
+                    disabled={setting.value === 'none'}
+                  >
+                    ▶
+                  </button>
+                </div>
+              </div>
+            ))}
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Alert Volume: {Math.round(alertVolume * 100)}%</label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={alertVolume}
+                onChange={(e) => setAlertVolume(parseFloat(e.target.value))}
+                className="w-full accent-[#FF3C00]"
+              />
+            </div>
+            <label className="flex items-center space-x-2 text-[#D1D1D1]">
+              <input
+                type="checkbox"
+                checked={tickingEnabled}
+                onChange={(e) => setTickingEnabled(e.target.checked)}
+                className="form-checkbox h-5 w-5 text-[#FF3C00] bg-black border-gray-600 rounded focus:ring-[#FF3C00]"
+              />
+              <span>Ticking during focus</span>
+            </label>
+          </div>
+
+          {/* Auto-Advance */}
+          <h4 className="text-lg font-bold text-[#FF3C00] mt-6 mb-3">Auto-Advance</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="flex items-center space-x-2 text-[#D1D1D1]">
+              <input
+                type="checkbox"
+                checked={autoStartBreaks}
+                onChange={(e) => setAutoStartBreaks(e.target.checked)}
+                className="form-checkbox h-5 w-5 text-[#FF3C00] bg-black border-gray-600 rounded focus:ring-[#FF3C00]"
+              />
+              <span>Auto-start breaks</span>
+            </label>
+            <label className="flex items-center space-x-2 text-[#D1D1D1]">
+              <input
+                type="checkbox"
+                checked={autoStartPomodoros}
+                onChange={(e) => setAutoStartPomodoros(e.target.checked)}
+                className="form-checkbox h-5 w-5 text-[#FF3C00] bg-black border-gray-600 rounded focus:ring-[#FF3C00]"
+              />
+              <span>Auto-start next Pomodoro</span>
+            </label>
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Stop after cycles (0 = no limit)</label>
+              <input
+                type="number"
+                value={autoStopCycles}
+                onChange={(e) => setAutoStopCycles(Math.max(0, parseInt(e.target.value) || 0))}
+                min="0"
+                max="20"
+                className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+              />
+            </div>
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Stop by (optional)</label>
+              <input
+                type="time"
+                value={autoStopTime}
+                onChange={(e) => setAutoStopTime(e.target.value)}
+                className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+              />
+            </div>
+          </div>
+          <p className="text-sm text-gray-500 mt-2">
+            Applies from the next manual start. Focus scores are collected after the chain instead of interrupting it.
+          </p>
+
+          {/* Focus Audio */}
+          <h4 className="text-lg font-bold text-[#FF3C00] mt-6 mb-3">Focus Audio</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="flex items-center space-x-2 text-[#D1D1D1] md:col-span-2">
+              <input
+                type="checkbox"
+                checked={audioLinked}
+                onChange={(e) => setAudioLinked(e.target.checked)}
+                className="form-checkbox h-5 w-5 text-[#FF3C00] bg-black border-gray-600 rounded focus:ring-[#FF3C00]"
+              />
+              <span>Play binaural beats with the timer</span>
+            </label>
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">Focus Preset</label>
+              <select
+                value={focusPreset}
+                onChange={(e) => setFocusPreset(e.target.value)}
+                className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                disabled={!audioLinked}
+              >
+                {BINAURAL_PRESETS.map(preset => (
+                  <option key={preset.name} value={preset.name}>{preset.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-[#D1D1D1] mb-2 font-semibold">During Breaks</label>
+              <select
+                value={breakAudio}
+                onChange={(e) => setBreakAudio(e.target.value)}
+                className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                disabled={!audioLinked}
+              >
+                <option value="fade">Fade out</option>
+                <option value="relax">Switch to a relaxing preset</option>
+              </select>
+            </div>
+            {breakAudio === 'relax' && (
+              <div>
+                <label className="block text-[#D1D1D1] mb-2 font-semibold">Break Preset</label>
+                <select
+                  value={relaxPreset}
+                  onChange={(e) => setRelaxPreset(e.target.value)}
+                  className="w-full p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+                  disabled={!audioLinked}
+                >
+                  {BINAURAL_PRESETS.map(preset => (
+                    <option key={preset.name} value={preset.name}>{preset.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+          <p className="text-sm text-gray-500 mt-2">
+            Audio keeps playing while you browse other pages and stops at the end of the cycle or on reset.
+          </p>
+
+          {/* Profile Management */}
+          <div className="mt-6 flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              value={newProfileName}
+              onChange={(e) => setNewProfileName(e.target.value)}
+              placeholder="New profile name..."
+              className="flex-grow p-2 bg-[#0F0F0F] border border-[#333] rounded-lg text-[#D1D1D1]"
+            />
+            <button
+              onClick={saveProfileAsNew}
+              className="px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-[#FF3C00] text-white"
+            >
+              Save as Profile
+            </button>
+          </div>
+          {!selectedProfile.id.startsWith('builtin-') && (
+            <div className="mt-2 flex gap-2">
+              <button
+                onClick={updateSelectedProfile}
+                className="px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-gray-700 text-[#D1D1D1] hover:bg-gray-600"
+              >
+                Update "{selectedProfile.name}"
+              </button>
+              <button
+                onClick={deleteSelectedProfile}
+                className="px-4 py-2 rounded-br-lg text-sm font-bold transition-colors duration-200 bg-gray-700 text-red-400 hover:bg-gray-600"
+                disabled={isActive}
+              >
+                Delete
+              </button>
+            </div>
+          )}
+        </Card>
+      )}
+
+      {/* Task Management */}
+      <h3 className="text-2xl text-[#FF3C00] font-bold mb-4 uppercase">Tasks</h3>
+      <div className="flex flex-col sm:flex-row mb-4">
+        <input
+          type="text"
+          value={newTask}
+          onChange={(e) => setNewTask(e.target.value)}
+          placeholder="Add a new task..."
+          className="flex-grow bg-[#0F0F0F] border border-[#333] text-[#D1D1D1] p-3 rounded-bl-xl focus:outline-none focus:border-[#FF3C00] mb-2 sm:mb-0"
+        />
+        <input
+          type="number"
+          value={newTaskEstimate}
+          onChange={(e) => setNewTaskEstimate(e.target.value)}
+          placeholder="🍅 est."
+          min="1"
+          max="20"
+          className="sm:w-24 bg-[#0F0F0F] border border-[#333] text-[#D1D1D1] p-3 focus:outline-none focus:border-[#FF3C00] mb-2 sm:mb-0 sm:ml-2"
+        />
+        <NeonButton onClick={addTask} className="sm:ml-2">Add</NeonButton>
+      </div>
+
+      <div className="mb-2">
+        <p className="text-xs text-gray-500 text-center">💡 Swipe right to complete, left to delete</p>
+      </div>
+      <ul className="flex-grow overflow-y-auto pr-2">
+        {tasks.length === 0 && <p className="text-center text-[#D1D1D1] opacity-70">No tasks yet. Add one to get started!</p>}
+        {tasks.map((task) => (
+          <SwipeableItem
+            key={task.id}
+            onSwipeLeft={() => deleteTask(task.id)}
+            onSwipeRight={() => toggleTaskCompletion(task.id, task.completed)}
+            leftAction="Delete"
+            rightAction={task.completed ? "Undo" : "Complete"}
+            leftColor="bg-red-500"
+            rightColor={task.completed ? "bg-yellow-500" : "bg-green-500"}
+            className="mb-2"
+          >
+            <li className={`flex flex-col sm:flex-row items-start sm:items-center justify-between bg-[#0F0F0F] p-3 rounded-br-lg border hover:bg-[#151515] transition-colors duration-200
+                            ${selectedTodoId === task.id ? 'border-[#FF3C00]' : 'border-[#222]'}`}>
+              {editingTaskId === task.id ? (
+                <input
+                  type="text"
+                  value={editingTaskText}
+                  onChange={(e) => setEditingTaskText(e.target.value)}
+                  onBlur={() => saveEditedTask(task.id)} // Save on blur
+                  onKeyPress={(e) => {
+                    if (e.key === 'Enter') saveEditedTask(task.id);
+                    if (e.key === 'Escape') cancelEditingTask();
+                  }}
+                  className="flex-grow bg-transparent border-b border-[#FF3C00] text-[#D1D1D1] focus:outline-none p-1 w-full sm:w-auto"
+                  autoFocus
+                />
+              ) : (
+                <span
+                  className={`flex-grow text-lg ${task.completed ? 'line-through text-gray-500' : 'text-[#D1D1D1]'} w-full sm:w-auto mb-2 sm:mb-0`}
+                  onDoubleClick={() => startEditingTask(task)}
+                >
+                  {task.text}
+                </span>
+              )}
+              <div className="flex items-center space-x-2 sm:ml-4 self-end sm:self-auto">
+                {/* Estimated vs. actual Pomodoros */}
+                <div className="flex items-center text-sm text-gray-400" title="Actual / estimated Pomodoros">
+                  <button
+                    onClick={() => setTaskEstimate(task.id, (task.estimatedPomodoros || 0) - 1)}
+                    className="px-1 hover:text-[#FF3C00]"
+                  >
+                    −
+                  </button>
+                  <span className={task.estimatedPomodoros && (task.pomodoroSessionIds || []).length > task.estimatedPomodoros ? 'text-red-400' : ''}>
+                    🍅 {(task.pomodoroSessionIds || []).length}/{task.estimatedPomodoros || '?'}
+                  </span>
+                  <button
+                    onClick={() => setTaskEstimate(task.id, (task.estimatedPomodoros || 0) + 1)}
+                    className="px-1 hover:text-[#FF3C00]"
+                  >
+                    +
+                  </button>
+                </div>
+                {!task.completed && (
+                  <button
+                    onClick={() => selectTodo(task.id)}
+                    className={`transition-colors duration-200 p-1 ${selectedTodoId === task.id ? 'text-[#FF3C00]' : 'text-gray-400 hover:text-[#FF3C00]'}`}
+                    title={selectedTodoId === task.id ? 'Stop counting Pomodoros for this task' : 'Count Pomodoros towards this task'}
+                  >
+                    🎯
+                  </button>
+                )}
+                <input
+                  type="checkbox"
+                  checked={task.completed}
+                  onChange={() => toggleTaskCompletion(task.id, task.completed)}
+                  className="form-checkbox h-5 w-5 text-[#FF3C00] bg-black border-gray-600 rounded focus:ring-[#FF3C00]"
+                />
+                {editingTaskId !== task.id && (
+                  <>
+                    <button
+                      onClick={() => startEditingTask(task)}
+                      className="text-gray-400 hover:text-[#FF3C00] transition-colors duration-200 p-1"
+                      title="Edit Task"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                        <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.38-2.828-2.829z" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => deleteTask(task.id)}
+                      className="text-gray-400 hover:text-red-500 transition-colors duration-200 p-1"
+                      title="Delete Task"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                      </svg>
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          </SwipeableItem>
+        ))}
+      </ul>
+      <Modal
+        isOpen={showConfirmModal}
+        onClose={() => setShowConfirmModal(false)}
+        title={modalContent.title}
+        message={modalContent.message}
+        onConfirm={modalConfirmAction}
+        showConfirm={true}
+      />
+      
+      {/* Void Pomodoro Modal */}
+      {showVoidDialog && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+          <Card className="max-w-md w-full text-center">
+            <h3 className="text-xl text-[#FF3C00] font-bold mb-4">Void This Pomodoro?</h3>
+            <p className="text-[#D1D1D1] mb-6">
+              The {getElapsedMinutes()} minutes you worked will be credited as partial focus time.
+            </p>
+
+            <div className="flex flex-wrap justify-center gap-2 mb-4">
+              {VOID_REASONS.map(reason => (
+                <button
+                  key={reason}
+                  onClick={() => setVoidReason(reason)}
+                  className={`px-3 py-1 rounded-lg text-sm font-bold transition-colors duration-200
+                              ${voidReason === reason ? 'bg-[#FF3C00] text-white' : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+                >
+                  {reason}
+                </button>
+              ))}
+            </div>
+
+            <input
+              type="text"
+              value={voidNote}
+              onChange={(e) => setVoidNote(e.target.value)}
+              placeholder="Add a note (optional)"
+              className="w-full bg-[#0F0F0F] border border-[#333] text-[#D1D1D1] p-2 rounded-bl-xl focus:outline-none focus:border-[#FF3C00] mb-6"
+            />
+
+            <div className="flex justify-center space-x-4">
+              <NeonButton onClick={confirmVoid}>Void</NeonButton>
+              <NeonButton onClick={() => setShowVoidDialog(false)}>Keep Going</NeonButton>
+            </div>
+          </Card>
+        </div>
+      )}
+
+      {/* Focus Score Modal */}
+      {showFocusScore && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+          <Card className="max-w-md w-full text-center">
+            <h3 className="text-xl text-[#FF3C00] font-bold mb-4">Rate Your Focus</h3>
+            <p className="text-[#D1D1D1] mb-6">How focused were you during this Pomodoro session?</p>
+            
+            <div className="flex justify-center space-x-2 mb-6">
+              {[1, 2, 3, 4, 5].map(score => (
+                <button
+                  key={score}
+                  onClick={() => setFocusScore(score)}
+                  className={`w-12 h-12 rounded-full text-lg font-bold transition-all duration-200
+                              ${focusScore === score 
+                                ? 'bg-[#FF3C00] text-white' 
+                                : 'bg-gray-700 text-[#D1D1D1] hover:bg-gray-600'}`}
+                >
+                  {score}
+                </button>
+              ))}
+            </div>
+            
+            <div className="text-sm text-gray-500 mb-6">
+              {focusScore === 1 && 'Very Distracted'}
+              {focusScore === 2 && 'Somewhat Distracted'}
+              {focusScore === 3 && 'Moderate Focus'}
+              {focusScore === 4 && 'Good Focus'}
+              {focusScore === 5 && 'Excellent Focus'}
+            </div>
+            
+            <div className="flex justify-center space-x-4">
+              <NeonButton onClick={saveFocusScore}>
+                Save Score
+              </NeonButton>
+            </div>
+          </Card>
+        </div>
+      )}
+      {/* Add Task Form */}
+      {(showAddTaskForm || window.innerWidth >= 768) && (
+        <Card className="mb-8 p-4 bg-[#0F0F0F] border border-[#222]">
+          <h4 className="text-xl text-[#FF3C00] font-bold mb-4">Add New Task</h4>
+          <div className="space-y-4">
+            <input
+              type="text"
+              value={newTask}
+              onChange={(e) => setNewTask(e.target.value)}
+              placeholder="Enter task description..."
+              className="w-full bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-3 rounded-bl-md focus:outline-none focus:border-[#FF3C00]"
+            />
+            <input
+              type="number"
+              value={newTaskEstimate}
+              onChange={(e) => setNewTaskEstimate(e.target.value)}
+              placeholder="Estimated Pomodoros (optional)"
+              min="1"
+              max="20"
+              className="w-full bg-[#1a1a1a] border border-[#333] text-[#D1D1D1] p-3 rounded-bl-md focus:outline-none focus:border-[#FF3C00]"
+            />
+            <NeonButton onClick={addTask} className="w-full">Add Task</NeonButton>
+            {window.innerWidth < 768 && (
+              <button onClick={() => setShowAddTaskForm(false)} className="mt-2 text-gray-400 hover:text-red-500">Cancel</button>
+            )}
+          </div>
+        </Card>
+      )}
+      {/* FAB for Add Task (mobile only) */}
+      {window.innerWidth < 768 && (
+        <FAB onClick={() => setShowAddTaskForm(true)} label="Add Task" icon="+" />
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,958 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback, createContext, useContext } from 'react';
+import { doc, setDoc, collection, query, onSnapshot, deleteDoc, updateDoc, addDoc, orderBy, getDocs, arrayUnion, limit } from 'firebase/firestore';
+import * as Tone from 'tone'; // Import Tone.js as a namespace
+import { Modal } from '../components/ui';
+import { appId } from '../firebase';
+import { cancelScheduledNotification, scheduleNotification, showNotification } from '../notifications';
+import { BREAK_END_ACTIONS, DEFAULT_TIMER_PROFILES, PHASE_NOTIFICATION_TAG, VOID_REASONS, WORK_END_ACTIONS, profileValues, sameProfileValues, toMillis } from './timing';
+import { playAlertSound } from './alertSounds';
+import { BREAK_ACTIVITIES, suggestBreakActivities } from './breakActivities';
+import { AudioServiceContext } from '../audio/AudioService';
+
+// The Pomodoro engine lives here, above the Dashboard pages, so phases complete, alerts sound and
+// linked audio follows the timer whichever page is open. PomodoroTimer is the UI on top of it.
+export const TimerServiceContext = createContext(null);
+
+export const TimerServiceProvider = ({ userId, db, children }) => {
+  const audio = useContext(AudioServiceContext);
+  const [pomodoroDuration, setPomodoroDuration] = useState(25); // Default to 25 minutes
+  const [shortBreakDuration, setShortBreakDuration] = useState(5); // Default short break
+  const [longBreakDuration, setLongBreakDuration] = useState(15); // Default long break
+  const [pomodorosUntilLongBreak, setPomodorosUntilLongBreak] = useState(4); // Default 4 pomodoros
+  const [timerMode, setTimerMode] = useState('countdown'); // 'countdown' or 'flowtime'
+  const [flowtimeBreakRatio, setFlowtimeBreakRatio] = useState(5); // Flowtime break = worked minutes / ratio
+  const [profiles, setProfiles] = useState([]); // Saved timer profiles
+  const [selectedProfileId, setSelectedProfileId] = useState(DEFAULT_TIMER_PROFILES[0].id);
+  const [newProfileName, setNewProfileName] = useState('');
+  const [remainingMs, setRemainingMs] = useState(25 * 60 * 1000); // Time left while idle or paused
+  const [targetEndTime, setTargetEndTime] = useState(null); // Epoch ms at which the running phase ends
+  const [phaseMode, setPhaseMode] = useState('countdown'); // Mode of the phase in the activeTimer doc
+  const [anchorTime, setAnchorTime] = useState(null); // Epoch ms a running Flowtime phase counts up from
+  const [elapsedMs, setElapsedMs] = useState(0); // Flowtime time worked while paused
+  const [extensionMinutes, setExtensionMinutes] = useState(0); // Added to the phase via "+5 min"
+  const [timerLoaded, setTimerLoaded] = useState(false); // First activeTimer snapshot received
+  const [now, setNow] = useState(Date.now());
+  const [isActive, setIsActive] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [isBreak, setIsBreak] = useState(false);
+  const [isLongBreak, setIsLongBreak] = useState(false);
+  const [completedPomodoros, setCompletedPomodoros] = useState(0);
+  const [currentSessionId, setCurrentSessionId] = useState(null);
+  const [scoreSessionId, setScoreSessionId] = useState(null); // Session awaiting a focus score
+  const [pendingScoreIds, setPendingScoreIds] = useState([]); // Scores deferred while a chain auto-advances
+  const [autoStartBreaks, setAutoStartBreaks] = useState(false);
+  const [autoStartPomodoros, setAutoStartPomodoros] = useState(false);
+  const [autoStopCycles, setAutoStopCycles] = useState(0); // 0 = no cycle limit
+  const [autoStopTime, setAutoStopTime] = useState(''); // 'HH:MM', empty = no end time
+  const [chain, setChain] = useState(null); // { startCycle, maxCycles, stopAt } while auto-advancing
+  const [selectedTodoId, setSelectedTodoId] = useState(''); // Task the running Pomodoros count towards
+  const [breakActivity, setBreakActivity] = useState(null); // Activity chosen for the current break
+  const [recentScores, setRecentScores] = useState([]); // Focus scores of the last few Pomodoros
+  const [showModal, setShowModal] = useState(false);
+  const [modalContent, setModalContent] = useState({ title: '', message: '' });
+  const [notificationsEnabled, setNotificationsEnabled] = useState(false);
+  const [soundEnabled, setSoundEnabled] = useState(true);
+  const [startSound, setStartSound] = useState('soft');
+  const [endSound, setEndSound] = useState('chime');
+  const [breakEndSound, setBreakEndSound] = useState('bell');
+  const [warningSound, setWarningSound] = useState('none'); // Cue when one minute is left
+  const [tickingEnabled, setTickingEnabled] = useState(false);
+  const [alertVolume, setAlertVolume] = useState(0.5); // Independent of the binaural beats volume
+  const [audioLinked, setAudioLinked] = useState(false); // Drive the beats generator from the timer
+  const [focusPreset, setFocusPreset] = useState('Beta (12-30 Hz)');
+  const [breakAudio, setBreakAudio] = useState('fade'); // 'fade' or 'relax' during breaks
+  const [relaxPreset, setRelaxPreset] = useState('Alpha (8-12 Hz)');
+  const [showFocusScore, setShowFocusScore] = useState(false);
+  const [focusScore, setFocusScore] = useState(5);
+  const [selectedEventId, setSelectedEventId] = useState('');
+  const [sessionInterruptions, setSessionInterruptions] = useState([]);
+  const [showVoidDialog, setShowVoidDialog] = useState(false);
+  const [voidReason, setVoidReason] = useState(VOID_REASONS[0]);
+  const [voidNote, setVoidNote] = useState('');
+  const [interruptionNote, setInterruptionNote] = useState('');
+
+  const timerRef = useRef(null);
+  const audioRef = useRef(null);
+  const tickSynthRef = useRef(null);
+  const warnedSessionRef = useRef(null); // Session that already got its final-minute cue
+  const loadedProfileRef = useRef(null); // { id, saved } of the profile the working values came from
+
+  const sessionsCollectionRef = useMemo(() => collection(db, `artifacts/${appId}/users/${userId}/pomodoroSessions`), [db, userId]);
+  const activeTimerRef = useMemo(() => doc(db, `artifacts/${appId}/users/${userId}/timerState`, 'activeTimer'), [db, userId]);
+  const profilesCollectionRef = useMemo(() => collection(db, `artifacts/${appId}/users/${userId}/timerProfiles`), [db, userId]);
+
+  const allProfiles = useMemo(() => [...DEFAULT_TIMER_PROFILES, ...profiles], [profiles]);
+  const selectedProfile = useMemo(
+    () => allProfiles.find(profile => profile.id === selectedProfileId) || DEFAULT_TIMER_PROFILES[0],
+    [allProfiles, selectedProfileId]
+  );
+
+  // Request notification permission
+  const requestNotificationPermission = async () => {
+    if ('Notification' in window) {
+      const permission = await Notification.requestPermission();
+      setNotificationsEnabled(permission === 'granted');
+      return permission === 'granted';
+    }
+    return false;
+  };
+
+  const canNotify = useCallback(
+    () => notificationsEnabled && 'Notification' in window && Notification.permission === 'granted',
+    [notificationsEnabled]
+  );
+
+  // Send notification; it replaces the phase alert the service worker may already have shown
+  const sendNotification = (title, body, actions = []) => {
+    if (canNotify()) {
+      showNotification({ tag: PHASE_NOTIFICATION_TAG, title, body, actions, renotify: false });
+    }
+  };
+
+  // Play sound effect
+  const playSound = useCallback((soundId) => {
+    if (!soundEnabled) return;
+    playAlertSound(soundId, alertVolume);
+  }, [soundEnabled, alertVolume]);
+
+  useEffect(() => {
+    // Update the idle countdown when pomodoroDuration changes, only if not active
+    if (!isActive && !isBreak) {
+      setRemainingMs(pomodoroDuration * 60 * 1000);
+    }
+  }, [pomodoroDuration, isActive, isBreak]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(query(profilesCollectionRef), (snapshot) => {
+      const fetchedProfiles = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      fetchedProfiles.sort((a, b) => a.name.localeCompare(b.name));
+      setProfiles(fetchedProfiles);
+    }, (error) => {
+      console.error("Error fetching timer profiles:", error);
+    });
+
+    return () => unsubscribe();
+  }, [userId, profilesCollectionRef]);
+
+  const getPhaseDuration = (breakPhase, longBreakPhase) => {
+    if (!breakPhase) return pomodoroDuration;
+    return longBreakPhase ? longBreakDuration : shortBreakDuration;
+  };
+
+  const loadProfile = useCallback((profile) => {
+    const values = profileValues(profile);
+    setTimerMode(values.mode);
+    if (values.workMinutes && !isActive) setPomodoroDuration(values.workMinutes);
+    setShortBreakDuration(values.shortBreakMinutes);
+    setLongBreakDuration(values.longBreakMinutes);
+    setPomodorosUntilLongBreak(values.pomodorosUntilLongBreak);
+    setFlowtimeBreakRatio(values.breakRatio);
+    setAutoStartBreaks(values.autoStartBreaks);
+    setAutoStartPomodoros(values.autoStartPomodoros);
+    setAutoStopCycles(values.autoStopCycles);
+    setAutoStopTime(values.autoStopTime);
+    setStartSound(values.startSound);
+    setEndSound(values.endSound);
+    setBreakEndSound(values.breakEndSound);
+    setWarningSound(values.warningSound);
+    setTickingEnabled(values.tickingEnabled);
+    setAlertVolume(values.alertVolume);
+    setAudioLinked(values.audioLinked);
+    setFocusPreset(values.focusPreset);
+    setBreakAudio(values.breakAudio);
+    setRelaxPreset(values.relaxPreset);
+  }, [isActive]);
+
+  // Current working values in the shape stored in the timerProfiles collection
+  const profileFromSettings = () => ({
+    mode: timerMode,
+    workMinutes: timerMode === 'flowtime' ? null : pomodoroDuration,
+    shortBreakMinutes: shortBreakDuration,
+    longBreakMinutes: longBreakDuration,
+    pomodorosUntilLongBreak,
+    breakRatio: flowtimeBreakRatio,
+    autoStartBreaks,
+    autoStartPomodoros,
+    autoStopCycles,
+    autoStopTime,
+    startSound,
+    endSound,
+    breakEndSound,
+    warningSound,
+    tickingEnabled,
+    alertVolume,
+    audioLinked,
+    focusPreset,
+    breakAudio,
+    relaxPreset
+  });
+  const workingValuesRef = useRef(null); // Latest working values, for the profile-load effect below
+  workingValuesRef.current = profileFromSettings();
+
+  const applyTimerState = useCallback((timer) => {
+    setIsActive(timer.status === 'running' || timer.status === 'paused');
+    setIsPaused(timer.status === 'paused');
+    setIsBreak(!!timer.isBreak);
+    setIsLongBreak(!!timer.isLongBreak);
+    setPhaseMode(timer.mode || 'countdown');
+    setTargetEndTime(timer.status === 'running' ? toMillis(timer.targetEndTime) : null);
+    setAnchorTime(timer.status === 'running' ? toMillis(timer.anchorTime) : null);
+    setElapsedMs(timer.elapsedMs || 0);
+    setExtensionMinutes(timer.extensionMinutes || 0);
+    setRemainingMs(timer.remainingMs ?? timer.duration * 60 * 1000);
+    setCurrentSessionId(timer.sessionId || null);
+    setSelectedEventId(timer.selectedEventId || '');
+    setSelectedTodoId(timer.selectedTodoId || '');
+    setBreakActivity(timer.breakActivity || null);
+    setCompletedPomodoros(timer.cyclePosition || 0);
+    setChain(timer.chain || null);
+    if (timer.profileId) setSelectedProfileId(timer.profileId);
+    if (timer.status !== 'idle' && !timer.isBreak && timer.duration) setPomodoroDuration(timer.duration);
+    setNow(Date.now());
+  }, []);
+
+  // Load the working values when another profile is selected, or when the selected profile's saved
+  // copy changes (e.g. on another device) while there are no unsaved edits here
+  useEffect(() => {
+    const loaded = loadedProfileRef.current;
+    const saved = profileValues(selectedProfile);
+    loadedProfileRef.current = { id: selectedProfileId, saved };
+    if (loaded && loaded.id === selectedProfileId) {
+      if (sameProfileValues(loaded.saved, saved) || !sameProfileValues(loaded.saved, workingValuesRef.current)) return;
+    }
+    loadProfile(selectedProfile);
+  }, [selectedProfileId, selectedProfile, loadProfile]);
+
+  // Recent focus scores feed the break companion; refetched once a pending score is saved
+  useEffect(() => {
+    if (!userId || !isBreak) return;
+
+    const recentQuery = query(sessionsCollectionRef, orderBy('startTime', 'desc'), limit(10));
+    getDocs(recentQuery)
+      .then(snapshot => {
+        setRecentScores(snapshot.docs
+          .map(doc => doc.data())
+          .filter(session => !session.isBreak && session.focusScore)
+          .slice(0, 3)
+          .map(session => session.focusScore));
+      })
+      .catch(e => console.error("Error fetching recent focus scores:", e));
+  }, [userId, sessionsCollectionRef, isBreak, showFocusScore, pendingScoreIds.length]);
+
+  // Mirror the per-user activeTimer document so every device drives the same countdown
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(activeTimerRef, (snap) => {
+      if (snap.exists()) applyTimerState(snap.data());
+      setTimerLoaded(true);
+    }, (error) => {
+      console.error("Error syncing active timer:", error);
+    });
+
+    return () => unsubscribe();
+  }, [userId, activeTimerRef, applyTimerState]);
+
+  // Keep the service worker's phase-end alert in step with the shared timer on every device.
+  // Turning notifications off also withdraws an alert that is already scheduled.
+  useEffect(() => {
+    if (canNotify() && isActive && !isPaused && targetEndTime && targetEndTime > Date.now()) {
+      scheduleNotification(isBreak ? {
+        tag: PHASE_NOTIFICATION_TAG,
+        title: isLongBreak ? 'Long Break Over!' : 'Break Over!',
+        body: 'Time to get back to work!',
+        actions: BREAK_END_ACTIONS
+      } : {
+        tag: PHASE_NOTIFICATION_TAG,
+        title: 'Pomodoro Complete!',
+        body: 'Time for a break.',
+        actions: WORK_END_ACTIONS
+      }, targetEndTime);
+    } else {
+      cancelScheduledNotification(PHASE_NOTIFICATION_TAG);
+    }
+  }, [isActive, isPaused, targetEndTime, isBreak, isLongBreak, canNotify]);
+
+  const timerActionRef = useRef(null); // Latest handleTimerAction, for the action effect below
+
+  // Follow the running session so interruptions logged on any device show up here
+  useEffect(() => {
+    if (!userId || !currentSessionId) {
+      setSessionInterruptions([]);
+      return;
+    }
+    const unsub = onSnapshot(doc(db, `artifacts/${appId}/users/${userId}/pomodoroSessions`, currentSessionId), (snap) => {
+      setSessionInterruptions(snap.data()?.interruptions || []);
+    });
+    return () => unsub();
+  }, [userId, db, currentSessionId]);
+
+  // Release the ticking synth on sign-out
+  useEffect(() => {
+    return () => {
+      if (tickSynthRef.current) tickSynthRef.current.dispose();
+    };
+  }, []);
+
+  // Re-render from the wall clock; the interval only triggers a recompute, it never counts time itself
+  useEffect(() => {
+    if (!isActive || isPaused || (!targetEndTime && !anchorTime)) return;
+
+    const tick = () => setNow(Date.now());
+    tick();
+    timerRef.current = setInterval(tick, 250);
+    document.addEventListener('visibilitychange', tick);
+
+    return () => {
+      clearInterval(timerRef.current);
+      document.removeEventListener('visibilitychange', tick);
+    };
+  }, [isActive, isPaused, targetEndTime, anchorTime]);
+
+  const completePhaseRef = useRef(null); // Latest completePhase, for the effect below
+  useEffect(() => {
+    if (isActive && !isPaused && targetEndTime && now >= targetEndTime) {
+      completePhaseRef.current();
+    }
+  }, [now, isActive, isPaused, targetEndTime]);
+
+  const updateSession = (sessionId, data) => {
+    if (!sessionId) return Promise.resolve();
+    return updateDoc(doc(db, `artifacts/${appId}/users/${userId}/pomodoroSessions`, sessionId), data)
+      .catch(e => console.error("Error updating pomodoro session:", e));
+  };
+
+  // Applies a timer transition locally and publishes it to the activeTimer document
+  const writeTimer = (changes) => {
+    const timer = {
+      status: !isActive ? 'idle' : (isPaused ? 'paused' : 'running'),
+      mode: phaseMode,
+      isBreak,
+      isLongBreak,
+      duration: phaseMode === 'flowtime' && !isBreak ? null : getPhaseDuration(isBreak, isLongBreak),
+      targetEndTime: targetEndTime ? new Date(targetEndTime) : null,
+      anchorTime: anchorTime ? new Date(anchorTime) : null,
+      elapsedMs,
+      extensionMinutes,
+      remainingMs,
+      profileId: selectedProfileId,
+      sessionId: currentSessionId,
+      selectedEventId,
+      selectedTodoId,
+      breakActivity: isBreak ? breakActivity : null,
+      cyclePosition: completedPomodoros,
+      chain,
+      ...changes,
+      updatedAt: new Date()
+    };
+    applyTimerState(timer);
+    setDoc(activeTimerRef, timer)
+      .catch(e => console.error("Error saving active timer:", e));
+  };
+
+  // Idle state for the phase that follows, shared by completion, skip and reset. A running
+  // auto-advance chain survives phases the user starts by hand when keepChain is set.
+  const idleTimerFor = (breakPhase, longBreakPhase, cyclePosition, breakMinutes = null, keepChain = false) => {
+    const flow = !breakPhase && timerMode === 'flowtime';
+    const duration = flow ? null : (breakMinutes || getPhaseDuration(breakPhase, longBreakPhase));
+    return {
+      status: 'idle',
+      mode: flow ? 'flowtime' : 'countdown',
+      isBreak: breakPhase,
+      isLongBreak: longBreakPhase,
+      duration,
+      targetEndTime: null,
+      anchorTime: null,
+      elapsedMs: 0,
+      extensionMinutes: 0,
+      remainingMs: flow ? 0 : duration * 60 * 1000,
+      sessionId: null,
+      cyclePosition,
+      chain: keepChain ? chain : null,
+      breakActivity: null
+    };
+  };
+
+  // Next occurrence of the auto-advance end time after the chain starts
+  const getChainStopAt = (startedAt) => {
+    if (!autoStopTime) return null;
+    const [hours, mins] = autoStopTime.split(':').map(Number);
+    const stopAt = new Date(startedAt);
+    stopAt.setHours(hours, mins, 0, 0);
+    if (stopAt.getTime() <= startedAt) stopAt.setDate(stopAt.getDate() + 1);
+    return stopAt.getTime();
+  };
+
+  // Whether the auto-advance chain goes on with a phase starting at startedAt: it is under its
+  // cycle limit and a Pomodoro (phaseMs long) would end by the stop time
+  const chainContinues = (startedAt, cyclePosition, phaseMs = 0) => {
+    if (!chain) return false;
+    if (chain.maxCycles && cyclePosition - chain.startCycle >= chain.maxCycles) return false;
+    return !chain.stopAt || startedAt + phaseMs <= chain.stopAt;
+  };
+
+  const isFlowPhase = !isBreak && (isActive ? phaseMode : timerMode) === 'flowtime';
+
+  // Minutes of the running phase that have actually elapsed, credited as partial focus time
+  const getElapsedMinutes = () => {
+    let workedMs;
+    if (isFlowPhase) {
+      workedMs = isPaused ? elapsedMs : Date.now() - anchorTime;
+    } else {
+      const left = isPaused ? remainingMs : Math.max(0, targetEndTime - Date.now());
+      workedMs = (getPhaseDuration(isBreak, isLongBreak) + extensionMinutes) * 60 * 1000 - left;
+    }
+    return Math.round(Math.max(0, workedMs) / 6000) / 10;
+  };
+
+  const voidSession = (reason, note = null) => {
+    const endedAt = new Date();
+    updateSession(currentSessionId, {
+      status: 'voided',
+      endTime: endedAt,
+      voidedAt: endedAt,
+      voidReason: reason,
+      voidNote: note,
+      focusMinutes: getElapsedMinutes()
+    });
+  };
+
+  // Starts a phase anchored to the wall clock and records its start/target timestamps.
+  // Auto-advance passes { startedAt, sessionRef, cyclePosition } derived from the phase that just
+  // ended, so every device completing that phase writes the same follow-up session.
+  const startPhase = (breakPhase, longBreakPhase, breakMinutes = null, advance = null) => {
+    if (!advance && isActive && currentSessionId) {
+      if (isBreak) {
+        updateSession(currentSessionId, { status: 'reset', endTime: new Date() });
+      } else {
+        voidSession('Started a break early');
+      }
+    }
+
+    const flow = !breakPhase && timerMode === 'flowtime';
+    const duration = flow ? null : (breakMinutes || getPhaseDuration(breakPhase, longBreakPhase));
+    const startedAt = advance ? advance.startedAt : Date.now();
+    const endsAt = flow ? null : startedAt + duration * 60 * 1000;
+    const sessionRef = advance ? advance.sessionRef : doc(sessionsCollectionRef);
+    const cyclePosition = advance ? advance.cyclePosition : completedPomodoros;
+    let nextChain = chain;
+    if (!advance) {
+      // Chained phases already got the end cue of the phase before
+      playSound(startSound);
+      // Phases started by hand inside a chain keep counting towards it; only a focus start opens one
+      if (!autoStartBreaks && !autoStartPomodoros) {
+        nextChain = null;
+      } else if (!chain && !breakPhase) {
+        nextChain = { startCycle: completedPomodoros, maxCycles: autoStopCycles || null, stopAt: getChainStopAt(startedAt) };
+      }
+    }
+
+    setDoc(sessionRef, {
+      startTime: new Date(startedAt),
+      targetEndTime: flow ? null : new Date(endsAt),
+      duration: duration,
+      isBreak: breakPhase,
+      isLongBreak: longBreakPhase,
+      mode: flow ? 'flowtime' : 'countdown',
+      profileId: selectedProfile.id,
+      profileName: selectedProfile.name,
+      status: 'running',
+      pausedAt: null,
+      remainingMs: null,
+      cyclePosition,
+      completed: false,
+      focusScore: null,
+      taskId: selectedEventId || null, // Link to Scheduler event if selected
+      todoId: breakPhase ? null : (selectedTodoId || null), // Link to task list entry if selected
+      breakActivity: breakPhase ? breakActivity : null
+    }).catch(e => console.error("Error recording pomodoro session:", e));
+
+    writeTimer({
+      status: 'running',
+      mode: flow ? 'flowtime' : 'countdown',
+      isBreak: breakPhase,
+      isLongBreak: longBreakPhase,
+      duration,
+      targetEndTime: flow ? null : new Date(endsAt),
+      anchorTime: flow ? new Date(startedAt) : null,
+      elapsedMs: 0,
+      extensionMinutes: 0,
+      remainingMs: flow ? 0 : duration * 60 * 1000,
+      sessionId: sessionRef.id,
+      cyclePosition,
+      chain: nextChain,
+      breakActivity: breakPhase ? breakActivity : null
+    });
+
+    // Chained phases run on every device; only the one whose audio the timer started follows them
+    if (audioLinked && (!advance || audio.pomodoroLinked)) {
+      if (breakPhase) {
+        audio.onPomodoroBreak(breakAudio, relaxPreset);
+      } else {
+        audio.onPomodoroFocus(focusPreset, sessionRef.id);
+      }
+    }
+  };
+
+  // Every device watching the timer runs this at the target time; the writes are idempotent.
+  // Flowtime phases have no target and are completed by the user with the minutes worked.
+  const completePhase = (flowMinutes = null) => {
+    clearInterval(timerRef.current);
+    updateSession(currentSessionId, {
+      completed: true,
+      status: 'completed',
+      endTime: flowMinutes === null ? new Date(targetEndTime) : new Date(),
+      focusMinutes: isBreak ? 0 : (flowMinutes ?? getPhaseDuration(false, false) + extensionMinutes),
+      ...(flowMinutes !== null && { duration: flowMinutes })
+    });
+
+    const advanceFrom = (cyclePosition) => {
+      const startedAt = flowMinutes === null ? targetEndTime : Date.now();
+      return { startedAt, sessionRef: doc(sessionsCollectionRef, `auto-${startedAt}`), cyclePosition };
+    };
+
+    if (!isBreak) {
+      // Pomodoro completed
+      const newCompletedPomodoros = completedPomodoros + 1;
+
+      // Count it towards the selected task; arrayUnion keeps repeated completions idempotent
+      if (selectedTodoId) {
+        updateDoc(doc(db, `artifacts/${appId}/users/${userId}/tasks`, selectedTodoId), {
+          pomodoroSessionIds: arrayUnion(currentSessionId)
+        }).catch(e => console.error("Error counting pomodoro for task:", e));
+      }
+
+      // Check if it's time for a long break
+      const shouldTakeLongBreak = flowMinutes === null && newCompletedPomodoros % pomodorosUntilLongBreak === 0;
+      const breakMinutes = flowMinutes === null
+        ? getPhaseDuration(true, shouldTakeLongBreak)
+        : Math.max(1, Math.round(flowMinutes / flowtimeBreakRatio));
+      const completionMessage = flowMinutes === null
+        ? (shouldTakeLongBreak ? 'Great work! Time for a long break.' : 'Take a short break or continue working.')
+        : `You stayed in flow for ${Math.round(flowMinutes)} minutes. Take a ${breakMinutes}-minute break.`;
+
+      // Play sound and send notification
+      playSound(endSound);
+      sendNotification('Pomodoro Complete!', completionMessage, WORK_END_ACTIONS);
+
+      const advance = advanceFrom(newCompletedPomodoros);
+      const chainGoesOn = chainContinues(advance.startedAt, newCompletedPomodoros);
+      if (chainGoesOn && autoStartBreaks) {
+        // Keep the chain rolling and ask for the focus score later
+        setPendingScoreIds(prev => prev.includes(currentSessionId) ? prev : [...prev, currentSessionId]);
+        startPhase(true, shouldTakeLongBreak, breakMinutes, advance);
+        return;
+      }
+
+      if (audioLinked) audio.onPomodoroBreak(breakAudio, relaxPreset);
+
+      // Show focus score dialog
+      setScoreSessionId(currentSessionId);
+      setShowFocusScore(true);
+
+      setModalContent(chain && !chainGoesOn ? {
+        title: 'Cycle Complete!',
+        message: `Auto-advance finished after ${newCompletedPomodoros - chain.startCycle} Pomodoros. ${completionMessage}`
+      } : {
+        title: 'Pomodoro Complete!',
+        message: completionMessage
+      });
+      setShowModal(true);
+
+      // Set up next break
+      writeTimer(idleTimerFor(true, shouldTakeLongBreak, newCompletedPomodoros, breakMinutes, chainGoesOn));
+    } else {
+      // Break completed
+      playSound(breakEndSound);
+      sendNotification(
+        isLongBreak ? 'Long Break Over!' : 'Break Over!',
+        'Time to get back to work!',
+        BREAK_END_ACTIONS
+      );
+
+      const advance = advanceFrom(completedPomodoros);
+      const workMs = timerMode === 'flowtime' ? 0 : pomodoroDuration * 60 * 1000;
+      const chainGoesOn = chainContinues(advance.startedAt, completedPomodoros, workMs);
+      if (chainGoesOn && autoStartPomodoros) {
+        startPhase(false, false, null, advance);
+        return;
+      }
+
+      // A finished chain or long break closes the cycle
+      if (!chainGoesOn && (chain || isLongBreak)) audio.onPomodoroCycleEnd();
+
+      setModalContent(chain && !chainGoesOn ? {
+        title: 'Cycle Complete!',
+        message: `Auto-advance finished after ${completedPomodoros - chain.startCycle} Pomodoros. Nice deep-work block!`
+      } : {
+        title: isLongBreak ? 'Long Break Over!' : 'Break Over!',
+        message: 'Time to get back to work!'
+      });
+      setShowModal(true);
+
+      writeTimer(idleTimerFor(false, false, completedPomodoros, null, chainGoesOn));
+    }
+  };
+  completePhaseRef.current = completePhase;
+
+  const toggleTimer = () => {
+    if (!isActive) {
+      // Keep the proposed length of a pending Flowtime break
+      startPhase(isBreak, isLongBreak, isBreak ? remainingMs / 60000 : null);
+    } else {
+      pauseTimer();
+    }
+  };
+
+  const pauseTimer = () => {
+    if (!isActive) return;
+
+    if (isFlowPhase) {
+      if (isPaused) {
+        updateSession(currentSessionId, { status: 'running', pausedAt: null });
+        writeTimer({ status: 'running', anchorTime: new Date(Date.now() - elapsedMs) });
+      } else {
+        const worked = Date.now() - anchorTime;
+        clearInterval(timerRef.current);
+        updateSession(currentSessionId, { status: 'paused', pausedAt: new Date(), elapsedMs: worked });
+        writeTimer({ status: 'paused', anchorTime: null, elapsedMs: worked });
+      }
+      return;
+    }
+
+    if (isPaused) {
+      const endsAt = Date.now() + remainingMs;
+      updateSession(currentSessionId, {
+        status: 'running',
+        targetEndTime: new Date(endsAt),
+        pausedAt: null,
+        remainingMs: null
+      });
+      writeTimer({ status: 'running', targetEndTime: new Date(endsAt) });
+    } else {
+      const left = Math.max(0, targetEndTime - Date.now());
+      clearInterval(timerRef.current);
+      updateSession(currentSessionId, {
+        status: 'paused',
+        pausedAt: new Date(),
+        remainingMs: left
+      });
+      writeTimer({ status: 'paused', targetEndTime: null, remainingMs: left });
+    }
+  };
+
+  // Ends the current phase early without counting it and moves on to the next one
+  const skipPhase = () => {
+    if (!isActive) return;
+    clearInterval(timerRef.current);
+    updateSession(currentSessionId, {
+      status: 'skipped',
+      endTime: new Date(),
+      focusMinutes: isBreak ? 0 : getElapsedMinutes()
+    });
+    writeTimer(idleTimerFor(!isBreak, false, completedPomodoros, null, true));
+  };
+
+  const resetTimer = () => {
+    // Abandoning a running Pomodoro goes through the void dialog so the reason is recorded
+    if (isActive && !isBreak) {
+      setShowVoidDialog(true);
+      return;
+    }
+    clearInterval(timerRef.current);
+    if (isActive) {
+      updateSession(currentSessionId, { status: 'reset', endTime: new Date() });
+    }
+    audio.onPomodoroCycleEnd();
+    writeTimer(idleTimerFor(false, false, completedPomodoros));
+  };
+
+  // The Pomodoro may have ended while the dialog was open; its completion and pending break stand
+  const confirmVoid = () => {
+    const phaseEnded = !isActive || isBreak || (targetEndTime && Date.now() >= targetEndTime);
+    if (phaseEnded) {
+      setModalContent({ title: 'Pomodoro Already Complete', message: 'The Pomodoro finished before it was voided, so it was kept.' });
+      setShowModal(true);
+    } else {
+      clearInterval(timerRef.current);
+      voidSession(voidReason, voidNote.trim() || null);
+      audio.onPomodoroCycleEnd();
+      writeTimer(idleTimerFor(false, false, completedPomodoros));
+    }
+    setShowVoidDialog(false);
+    setVoidReason(VOID_REASONS[0]);
+    setVoidNote('');
+  };
+
+  // Cirillo-style interruption marks: ' for internal urges, - for external disturbances
+  const logInterruption = async (type) => {
+    if (!isActive || isBreak || !currentSessionId) return;
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/pomodoroSessions`, currentSessionId), {
+        interruptions: arrayUnion({
+          type,
+          at: new Date(),
+          note: interruptionNote.trim() || null
+        })
+      });
+      setInterruptionNote('');
+    } catch (e) {
+      console.error("Error logging interruption:", e);
+      setModalContent({ title: 'Error', message: 'Failed to log interruption. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  // Attaches the running and following Pomodoros to a task; clicking the selected task clears it
+  const selectTodo = (todoId) => {
+    const nextTodoId = todoId === selectedTodoId ? '' : todoId;
+    if (isActive && !isBreak) updateSession(currentSessionId, { todoId: nextTodoId || null });
+    writeTimer({ selectedTodoId: nextTodoId });
+  };
+
+  // Records the break activity on the running break session, or on the next one if the break is pending
+  const chooseBreakActivity = (activityId) => {
+    const nextActivity = activityId === breakActivity ? null : activityId;
+    if (isActive && isBreak) updateSession(currentSessionId, { breakActivity: nextActivity });
+    writeTimer({ breakActivity: nextActivity });
+  };
+
+  // Adds minutes to the running countdown phase
+  const extendPhase = (minutes) => {
+    const newTarget = targetEndTime + minutes * 60 * 1000;
+    updateSession(currentSessionId, {
+      targetEndTime: new Date(newTarget),
+      duration: getPhaseDuration(isBreak, isLongBreak) + extensionMinutes + minutes
+    });
+    writeTimer({ targetEndTime: new Date(newTarget), extensionMinutes: extensionMinutes + minutes });
+  };
+
+  // Applies a notification action button; returns false while the phase it refers to is still settling
+  const handleTimerAction = (action) => {
+    const isDue = isActive && !isPaused && targetEndTime && Date.now() >= targetEndTime;
+
+    if (action === 'extend') {
+      if (isActive && !isPaused && targetEndTime) {
+        extendPhase(5);
+      } else if (!isActive && canNotify()) {
+        // The phase already rang here; remind again in five minutes
+        scheduleNotification(isBreak ? {
+          tag: PHASE_NOTIFICATION_TAG,
+          title: 'Break Time',
+          body: 'Your extra five minutes are up.',
+          actions: WORK_END_ACTIONS.filter(a => a.action !== 'extend')
+        } : {
+          tag: PHASE_NOTIFICATION_TAG,
+          title: 'Back to Work',
+          body: 'Your extra five minutes of break are up.',
+          actions: BREAK_END_ACTIONS.filter(a => a.action !== 'extend')
+        }, Date.now() + 5 * 60 * 1000);
+      }
+      return true;
+    }
+    if (isDue) return false;
+
+    if (action === 'start-break') {
+      if (!isActive && isBreak) startPhase(true, isLongBreak, remainingMs / 60000);
+    } else if (action === 'start-pomodoro') {
+      // From a running break this ends the break early
+      if (!isActive || isBreak) startPhase(false, false);
+    } else if (action === 'skip') {
+      if (isActive) {
+        skipPhase();
+      } else if (isBreak) {
+        writeTimer(idleTimerFor(false, false, completedPomodoros));
+      }
+    }
+    return true;
+  };
+  timerActionRef.current = handleTimerAction;
+
+  const finishFlow = () => {
+    if (!isActive || !isFlowPhase) return;
+    completePhase(getElapsedMinutes());
+  };
+
+  const selectEvent = (eventId) => {
+    writeTimer({ selectedEventId: eventId });
+  };
+
+  // Switching profiles resets the idle timer to a fresh work phase using the profile's values
+  const selectProfile = (profile) => {
+    if (isActive) return;
+    setSelectedProfileId(profile.id);
+    loadProfile(profile);
+    const flow = profile.mode === 'flowtime';
+    writeTimer({
+      profileId: profile.id,
+      status: 'idle',
+      mode: profile.mode,
+      isBreak: false,
+      isLongBreak: false,
+      duration: flow ? null : profile.workMinutes,
+      elapsedMs: 0,
+      remainingMs: flow ? 0 : profile.workMinutes * 60 * 1000
+    });
+  };
+
+  const saveProfileAsNew = async () => {
+    if (newProfileName.trim() === '') {
+      setModalContent({ title: 'Input Error', message: 'Profile name cannot be empty.' });
+      setShowModal(true);
+      return;
+    }
+    try {
+      const profileRef = await addDoc(profilesCollectionRef, {
+        name: newProfileName.trim(),
+        ...profileFromSettings(),
+        createdAt: new Date()
+      });
+      setNewProfileName('');
+      if (!isActive) writeTimer({ profileId: profileRef.id });
+    } catch (e) {
+      console.error("Error saving timer profile:", e);
+      setModalContent({ title: 'Error', message: 'Failed to save profile. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const updateSelectedProfile = async () => {
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/timerProfiles`, selectedProfile.id), profileFromSettings());
+    } catch (e) {
+      console.error("Error updating timer profile:", e);
+      setModalContent({ title: 'Error', message: 'Failed to update profile. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const deleteSelectedProfile = async () => {
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/timerProfiles`, selectedProfile.id));
+      selectProfile(DEFAULT_TIMER_PROFILES[0]);
+    } catch (e) {
+      console.error("Error deleting timer profile:", e);
+      setModalContent({ title: 'Error', message: 'Failed to delete profile. Please try again.' });
+      setShowModal(true);
+    }
+  };
+
+  const startBreak = () => {
+    clearInterval(timerRef.current);
+    startPhase(true, false);
+  };
+
+  const startLongBreak = () => {
+    clearInterval(timerRef.current);
+    startPhase(true, true);
+  };
+
+  const breakSuggestions = isBreak ? suggestBreakActivities({
+    breakMinutes: isActive ? getPhaseDuration(true, isLongBreak) : remainingMs / 60000,
+    streak: isLongBreak ? pomodorosUntilLongBreak : ((Math.max(completedPomodoros, 1) - 1) % pomodorosUntilLongBreak) + 1,
+    recentScores
+  }) : [];
+  const chosenActivity = BREAK_ACTIVITIES.find(activity => activity.id === breakActivity);
+
+  let displayMs;
+  if (isFlowPhase) {
+    displayMs = isActive && !isPaused && anchorTime ? now - anchorTime : elapsedMs;
+  } else {
+    displayMs = isActive && !isPaused && targetEndTime ? Math.max(0, targetEndTime - now) : remainingMs;
+  }
+  const displaySecond = Math.ceil(displayMs / 1000);
+  const isRunningFocus = isActive && !isPaused && !isBreak;
+
+  // Ticks once per displayed second, so the ticking follows the wall-clock display. The sound
+  // settings are read through a ref so changing them does not add a tick out of step.
+  const tickSettingsRef = useRef(null);
+  tickSettingsRef.current = { tickingEnabled, soundEnabled, alertVolume };
+  useEffect(() => {
+    const { tickingEnabled, soundEnabled, alertVolume } = tickSettingsRef.current;
+    if (!isRunningFocus || !tickingEnabled || !soundEnabled) return;
+    if (Tone.context.state !== 'running') return;
+    if (!tickSynthRef.current) {
+      tickSynthRef.current = new Tone.MembraneSynth({
+        pitchDecay: 0.008,
+        octaves: 2,
+        envelope: { attack: 0.001, decay: 0.03, sustain: 0, release: 0.01 }
+      }).toDestination();
+    }
+    tickSynthRef.current.volume.value = Tone.gainToDb(alertVolume * 0.3);
+    tickSynthRef.current.triggerAttackRelease('C5', 0.02);
+  }, [displaySecond, isRunningFocus]);
+
+  // Final-minute cue, once per countdown phase
+  const inFinalMinute = isActive && !isPaused && !isFlowPhase && displayMs > 0 && displayMs <= 60 * 1000 &&
+    getPhaseDuration(isBreak, isLongBreak) > 1;
+  useEffect(() => {
+    if (!inFinalMinute || warningSound === 'none') return;
+    if (warnedSessionRef.current === currentSessionId) return;
+    warnedSessionRef.current = currentSessionId;
+    playSound(warningSound);
+  }, [inFinalMinute, warningSound, currentSessionId, playSound]);
+
+  const saveFocusScore = async () => {
+    if (scoreSessionId) {
+      try {
+        await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/pomodoroSessions`, scoreSessionId), {
+          focusScore: focusScore
+        });
+      } catch (e) {
+        console.error("Error saving focus score:", e);
+      }
+    }
+    setShowFocusScore(false);
+    setFocusScore(5);
+    setScoreSessionId(null);
+  };
+
+  // Rates the oldest Pomodoro whose score was deferred during auto-advance
+  const savePendingScore = async (score) => {
+    const [sessionId, ...rest] = pendingScoreIds;
+    setPendingScoreIds(rest);
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/pomodoroSessions`, sessionId), {
+        focusScore: score
+      });
+    } catch (e) {
+      console.error("Error saving focus score:", e);
+    }
+  };
+
+  const timer = {
+    pomodoroDuration, setPomodoroDuration, shortBreakDuration, setShortBreakDuration,
+    longBreakDuration, setLongBreakDuration, pomodorosUntilLongBreak, setPomodorosUntilLongBreak,
+    timerMode, setTimerMode, flowtimeBreakRatio, setFlowtimeBreakRatio, selectedProfileId,
+    newProfileName, setNewProfileName, targetEndTime, timerLoaded, now, isActive, isPaused,
+    isBreak, completedPomodoros, pendingScoreIds, setPendingScoreIds, autoStartBreaks,
+    setAutoStartBreaks, autoStartPomodoros, setAutoStartPomodoros, autoStopCycles,
+    setAutoStopCycles, autoStopTime, setAutoStopTime, chain, selectedTodoId, breakActivity,
+    setShowModal, modalContent, setModalContent, notificationsEnabled, soundEnabled,
+    setSoundEnabled, startSound, setStartSound, endSound, setEndSound, breakEndSound,
+    setBreakEndSound, warningSound, setWarningSound, tickingEnabled, setTickingEnabled,
+    alertVolume, setAlertVolume, audioLinked, setAudioLinked, focusPreset, setFocusPreset,
+    breakAudio, setBreakAudio, relaxPreset, setRelaxPreset, showFocusScore, focusScore,
+    setFocusScore, selectedEventId, sessionInterruptions, showVoidDialog, setShowVoidDialog,
+    voidReason, setVoidReason, voidNote, setVoidNote, interruptionNote, setInterruptionNote,
+    allProfiles, selectedProfile, requestNotificationPermission, playSound, timerActionRef,
+    isFlowPhase, getElapsedMinutes, toggleTimer, pauseTimer, skipPhase, resetTimer, confirmVoid,
+    logInterruption, selectTodo, chooseBreakActivity, finishFlow, selectEvent, selectProfile,
+    saveProfileAsNew, updateSelectedProfile, deleteSelectedProfile, startBreak, startLongBreak,
+    breakSuggestions, chosenActivity, displayMs, saveFocusScore, savePendingScore
+  };
+
+  return (
+    <TimerServiceContext.Provider value={timer}>
+      {children}
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title={modalContent.title}
+        message={modalContent.message}
+      />
+    </TimerServiceContext.Provider>
+  );
+};
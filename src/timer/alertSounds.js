@@ -0,0 +1,53 @@
+import * as Tone from 'tone'; // Import Tone.js as a namespace
+
+// Synthesized alert sounds; each note is [pitch, duration, offset in seconds]
+export const ALERT_SOUNDS = {
+  chime: {
+    name: 'Rising Chime',
+    createSynth: () => new Tone.Synth({ oscillator: { type: 'sine' }, envelope: { attack: 0.01, decay: 0.3, sustain: 0.2, release: 0.4 } }),
+    notes: [['A4', 0.15, 0], ['E5', 0.15, 0.15], ['A5', 0.3, 0.3]]
+  },
+  bell: {
+    name: 'Bell',
+    createSynth: () => new Tone.FMSynth({ harmonicity: 3.01, modulationIndex: 14, envelope: { attack: 0.001, decay: 1.2, sustain: 0, release: 1 } }),
+    notes: [['C6', 0.8, 0]]
+  },
+  marimba: {
+    name: 'Marimba',
+    createSynth: () => new Tone.Synth({ oscillator: { type: 'triangle' }, envelope: { attack: 0.005, decay: 0.25, sustain: 0, release: 0.2 } }),
+    notes: [['C5', 0.1, 0], ['E5', 0.1, 0.1], ['G5', 0.2, 0.2]]
+  },
+  gong: {
+    name: 'Gong',
+    createSynth: () => new Tone.MembraneSynth({ pitchDecay: 0.2, octaves: 3, envelope: { attack: 0.01, decay: 2, sustain: 0, release: 1.5 } }),
+    notes: [['G1', 1.5, 0]]
+  },
+  digital: {
+    name: 'Digital Beeps',
+    createSynth: () => new Tone.Synth({ oscillator: { type: 'square' }, envelope: { attack: 0.001, decay: 0.05, sustain: 0.6, release: 0.05 } }),
+    notes: [['A5', 0.08, 0], ['A5', 0.08, 0.2], ['A5', 0.08, 0.4]]
+  },
+  soft: {
+    name: 'Soft Pad',
+    createSynth: () => new Tone.AMSynth({ envelope: { attack: 0.2, decay: 0.4, sustain: 0.4, release: 1 } }),
+    notes: [['E4', 0.5, 0], ['G4', 0.6, 0.4]]
+  }
+};
+
+// Plays an alert sound through its own gain stage, then releases the Tone nodes
+export const playAlertSound = (soundId, volume) => {
+  const sound = ALERT_SOUNDS[soundId];
+  if (!sound) return;
+  if (Tone.context.state !== 'running') Tone.context.resume();
+
+  const gain = new Tone.Gain(volume).toDestination();
+  const synth = sound.createSynth().connect(gain);
+  const start = Tone.now() + 0.05;
+  sound.notes.forEach(([note, duration, offset]) => synth.triggerAttackRelease(note, duration, start + offset));
+
+  const lastNoteEnd = Math.max(...sound.notes.map(([, duration, offset]) => duration + offset));
+  setTimeout(() => {
+    synth.dispose();
+    gain.dispose();
+  }, (lastNoteEnd + 3) * 1000);
+};
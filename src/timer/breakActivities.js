@@ -0,0 +1,38 @@
+
+
+// Mindfulness exercises shared by the Focus Guides and the break companion
+export const MINDFULNESS_EXERCISES = {
+  breathing: "Sit comfortably, close your eyes, and bring your attention to your breath. Notice the sensation of each inhale and exhale. When your mind wanders, gently bring it back to your breath.",
+  bodyScan: "Lie down and bring attention to different parts of your body, noticing any sensations without trying to change them. This helps you become more aware of your physical presence.",
+  walking: "Pay attention to the sensations of walking – the feeling of your feet on the ground, the movement of your legs, the rhythm of your steps. Engage all your senses."
+};
+
+// Activities the break companion can suggest; kind drives how history shifts the ranking
+export const BREAK_ACTIVITIES = [
+  { id: 'breathing', name: 'Mindful Breathing', icon: '🌬️', kind: 'restorative', minMinutes: 1, instructions: MINDFULNESS_EXERCISES.breathing },
+  { id: 'eye-rest', name: 'Eye Rest', icon: '👀', kind: 'light', minMinutes: 1, instructions: "Look at something at least 20 feet (6 m) away for 20 seconds, then close your eyes and relax them. Repeat a few times and blink slowly." },
+  { id: 'hydrate', name: 'Hydrate', icon: '💧', kind: 'light', minMinutes: 1, instructions: "Get up, refill your water and drink a full glass away from your screen." },
+  { id: 'stretch', name: 'Stretching', icon: '🤸', kind: 'physical', minMinutes: 3, instructions: "Stand up and roll your shoulders, stretch your neck side to side, open your chest with arms behind you and finish with a forward fold. Hold each stretch for 20–30 seconds." },
+  { id: 'body-scan', name: 'Body Scan', icon: '🧘', kind: 'restorative', minMinutes: 8, instructions: MINDFULNESS_EXERCISES.bodyScan },
+  { id: 'walk', name: 'Mindful Walk', icon: '🚶', kind: 'physical', minMinutes: 10, instructions: MINDFULNESS_EXERCISES.walking }
+];
+
+// Ranks break activities for the break length, the current Pomodoro streak and recent focus scores
+export const suggestBreakActivities = ({ breakMinutes, streak, recentScores }) => {
+  const averageScore = recentScores.length
+    ? recentScores.reduce((sum, score) => sum + score, 0) / recentScores.length
+    : null;
+
+  return BREAK_ACTIVITIES
+    .filter(activity => activity.minMinutes <= breakMinutes)
+    .map(activity => {
+      let score = activity.minMinutes / Math.max(breakMinutes, 1); // Prefer activities that fill the break
+      if (streak >= 3 && activity.kind === 'physical') score += 2; // Long streaks call for movement
+      if (averageScore !== null && averageScore < 3 && activity.kind === 'restorative') score += 2; // Low focus calls for calm
+      if (averageScore !== null && averageScore >= 4 && activity.kind === 'light') score += 1; // Focus is good, keep it light
+      if (streak < 3 && activity.id === 'eye-rest') score += 1;
+      return { ...activity, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3);
+};
@@ -0,0 +1,27 @@
+import { suggestBreakActivities } from './breakActivities';
+
+const suggest = (options) => suggestBreakActivities({ streak: 0, recentScores: [], ...options }).map(activity => activity.id);
+
+describe('suggestBreakActivities', () => {
+  it('suggests at most three activities that fit the break', () => {
+    expect(suggest({ breakMinutes: 5 })).toEqual(['eye-rest', 'stretch', 'breathing']);
+    expect(suggest({ breakMinutes: 0.5 })).toEqual([]);
+  });
+
+  it('prefers movement after a long streak', () => {
+    expect(suggest({ breakMinutes: 15, streak: 4 })).toEqual(['walk', 'stretch', 'body-scan']);
+  });
+
+  it('prefers calm after low focus scores', () => {
+    expect(suggest({ breakMinutes: 15, streak: 1, recentScores: [2, 2] })).toEqual(['body-scan', 'breathing', 'eye-rest']);
+  });
+
+  it('keeps it light after good focus scores', () => {
+    expect(suggest({ breakMinutes: 5, streak: 3, recentScores: [5, 4] })).toEqual(['stretch', 'eye-rest', 'hydrate']);
+  });
+
+  it('returns the ranking score with each activity', () => {
+    const [first] = suggestBreakActivities({ breakMinutes: 5, streak: 0, recentScores: [] });
+    expect(first).toMatchObject({ id: 'eye-rest', name: 'Eye Rest', score: 1.2 });
+  });
+});
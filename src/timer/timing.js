@@ -0,0 +1,72 @@
+
+
+// Converts Firestore Timestamps, Dates and ISO strings to epoch milliseconds
+export const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return new Date(value).getTime();
+};
+
+// Formats a duration as MM:SS, rounding up so the display never shows 00:00 early
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const mins = Math.floor(totalSeconds / 60);
+  const secs = totalSeconds % 60;
+  return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+};
+
+// Built-in timer profiles; users can save their own to Firestore alongside these
+export const DEFAULT_TIMER_PROFILES = [
+  { id: 'builtin-classic', name: 'Classic 25/5', mode: 'countdown', workMinutes: 25, shortBreakMinutes: 5, longBreakMinutes: 15, pomodorosUntilLongBreak: 4, breakRatio: 5 },
+  { id: 'builtin-52-17', name: '52/17', mode: 'countdown', workMinutes: 52, shortBreakMinutes: 17, longBreakMinutes: 17, pomodorosUntilLongBreak: 4, breakRatio: 5 },
+  { id: 'builtin-ultradian', name: '90-min Ultradian', mode: 'countdown', workMinutes: 90, shortBreakMinutes: 20, longBreakMinutes: 30, pomodorosUntilLongBreak: 3, breakRatio: 5 },
+  // Flowtime counts up and proposes a break of workedMinutes / breakRatio
+  { id: 'builtin-flowtime', name: 'Flowtime', mode: 'flowtime', workMinutes: null, shortBreakMinutes: 5, longBreakMinutes: 15, pomodorosUntilLongBreak: 4, breakRatio: 5 }
+];
+
+// A saved profile's values with the defaults the timer falls back to, in the stored shape
+export const profileValues = (profile) => ({
+  mode: profile.mode,
+  workMinutes: profile.mode === 'flowtime' ? null : profile.workMinutes,
+  shortBreakMinutes: profile.shortBreakMinutes,
+  longBreakMinutes: profile.longBreakMinutes,
+  pomodorosUntilLongBreak: profile.pomodorosUntilLongBreak,
+  breakRatio: profile.breakRatio || 5,
+  autoStartBreaks: !!profile.autoStartBreaks,
+  autoStartPomodoros: !!profile.autoStartPomodoros,
+  autoStopCycles: profile.autoStopCycles || 0,
+  autoStopTime: profile.autoStopTime || '',
+  startSound: profile.startSound || 'soft',
+  endSound: profile.endSound || 'chime',
+  breakEndSound: profile.breakEndSound || 'bell',
+  warningSound: profile.warningSound || 'none',
+  tickingEnabled: !!profile.tickingEnabled,
+  alertVolume: profile.alertVolume ?? 0.5,
+  audioLinked: !!profile.audioLinked,
+  focusPreset: profile.focusPreset || 'Beta (12-30 Hz)',
+  breakAudio: profile.breakAudio || 'fade',
+  relaxPreset: profile.relaxPreset || 'Alpha (8-12 Hz)'
+});
+
+export const sameProfileValues = (a, b) => Object.keys(a).every(key => a[key] === b[key]);
+
+// Actions offered on the phase-end notifications, handled by handleTimerAction in TimerService
+export const PHASE_NOTIFICATION_TAG = 'pomodoro-phase';
+export const WORK_END_ACTIONS = [
+  { action: 'start-break', title: 'Start break' },
+  { action: 'skip', title: 'Skip' },
+  { action: 'extend', title: '+5 min' }
+];
+export const BREAK_END_ACTIONS = [
+  { action: 'start-pomodoro', title: 'Start Pomodoro' },
+  { action: 'extend', title: '+5 min' }
+];
+
+// Reasons offered when a Pomodoro is voided before it rings
+export const VOID_REASONS = [
+  'Interrupted by someone',
+  'Urgent task came up',
+  'Lost focus',
+  'Too tired',
+  'Other'
+];